@@ -8,13 +8,33 @@
 /** @internal */
 const DB_NAME = "llamacpp_metrics_db";
 /** @internal */
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 /** @internal */
 const STORE_SESSIONS = "sessions";
 /** @internal */
 const STORE_RECORDS = "records";
 /** @internal */
+const STORE_SERVER_SNAPSHOTS = "server_snapshots";
+/** @internal */
+const STORE_SERVER_SAMPLES = "server_samples";
+/** @internal */
+const ALLOWED_DOMAINS_KEY = "allowed_domains";
+/** @internal */
+const SERVER_POLLING_KEY = "server_polling";
+/** @internal */
+const SERVER_POLL_ORIGINS_KEY = "server_poll_origins";
+/** @internal */
+const SERVER_POLL_ORIGIN_REFRESH_MS = 60 * 60 * 1000;
+/** @internal */
+const SERVER_POLL_ALARM = "server_poll";
+/** @internal */
+const DEFAULT_SERVER_POLL_INTERVAL_SEC = 30;
+/** @internal */
+const SERVER_SAMPLE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+/** @internal */
+const SERVER_SAMPLE_WINDOW_PAD_MS = 5 * 60 * 1000;
+/** @internal */
 const CHAIN_STATE_IDLE_RESET_MS = 30 * 60 * 1000;
 /** @internal */
 const CHAIN_DUPLICATE_PROMPT_WINDOW_MS = 2 * 60 * 1000;
@@ -48,6 +68,17 @@ function openDb() {
         r.createIndex("session_id", "session_id", { unique: false });
         r.createIndex("captured_at_ms", "captured_at_ms", { unique: false });
       }
+
+      if (!db.objectStoreNames.contains(STORE_SERVER_SNAPSHOTS)) {
+        const ss = db.createObjectStore(STORE_SERVER_SNAPSHOTS, { keyPath: "snapshot_id" });
+        ss.createIndex("origin", "origin", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(STORE_SERVER_SAMPLES)) {
+        const sm = db.createObjectStore(STORE_SERVER_SAMPLES, { keyPath: "key", autoIncrement: true });
+        sm.createIndex("origin", "origin", { unique: false });
+        sm.createIndex("sampled_at_ms", "sampled_at_ms", { unique: false });
+      }
     };
 
     req.onsuccess = () => resolve(req.result);
@@ -317,7 +348,9 @@ async function addRecord(record, sender = null) {
   record.captured_at_ms = ts;
   let chainMeta = { chain_id: null, turn_number: null };
   try {
-    chainMeta = await assignChainMetadata(record, sender);
+    // Aborted and failed runs must not advance the tab's turn counter or rotate its chain; the retry that follows
+    // is the real turn. They are kept for the abandonment and error panels only.
+    if (recordOutcome(record) === "completed") chainMeta = await assignChainMetadata(record, sender);
   } catch (e) {
     await debugLog("Chain metadata assignment failed; continuing without chain fields", {
       trace_id: traceId,
@@ -338,6 +371,12 @@ async function addRecord(record, sender = null) {
   });
   db.close();
 
+  try {
+    await notePollOrigin(record);
+  } catch (e) {
+    await debugLog("Poll origin update failed", { trace_id: traceId, error: String(e?.message || e) });
+  }
+
   await debugLog("Record added", {
     key,
     session_id: sid,
@@ -350,6 +389,333 @@ async function addRecord(record, sender = null) {
   return { session_id: sid, key, ...chainMeta };
 }
 
+/**
+ * Set Record Network Timing.
+ * Attaches network phases that arrived after the record was stored; false when the record is gone.
+ */
+async function setRecordNetworkTiming(key, networkTiming) {
+  if (typeof key !== "string") throw new Error("Invalid record key");
+  const db = await openDb();
+  const tx = db.transaction([STORE_RECORDS], "readwrite");
+  const store = tx.objectStore(STORE_RECORDS);
+  const row = await new Promise((resolve) => {
+    const req = store.get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  });
+  const updated = Boolean(row?.record?.resp);
+  if (updated) {
+    row.record.resp.network_timing = networkTiming || null;
+    store.put(row);
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error || new Error("IDB transaction failed"));
+    tx.onabort = () => reject(tx.error || new Error("IDB transaction aborted"));
+  });
+  db.close();
+  return updated;
+}
+
+/**
+ * Put Server Snapshot.
+ * Upserts a per-origin server snapshot, keeping when it was first and last seen.
+ */
+async function putServerSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot.snapshot_id !== "string" || typeof snapshot.origin !== "string") {
+    throw new Error("Invalid server snapshot");
+  }
+  const now = Date.now();
+  const db = await openDb();
+  const tx = db.transaction([STORE_SERVER_SNAPSHOTS], "readwrite");
+  const store = tx.objectStore(STORE_SERVER_SNAPSHOTS);
+  const existing = await new Promise((resolve) => {
+    const req = store.get(snapshot.snapshot_id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  });
+  store.put({ ...snapshot, first_seen_ms: existing?.first_seen_ms ?? now, last_seen_ms: now });
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error || new Error("IDB transaction failed"));
+    tx.onabort = () => reject(tx.error || new Error("IDB transaction aborted"));
+  });
+  db.close();
+  await debugLog("Server snapshot stored", { snapshot_id: snapshot.snapshot_id, origin: snapshot.origin });
+}
+
+/**
+ * Get Server Snapshots.
+ * Snapshots for the given ids; unknown ids are skipped.
+ */
+async function getServerSnapshots(ids) {
+  const wanted = Array.from(new Set((ids || []).filter((id) => typeof id === "string")));
+  if (!wanted.length) return [];
+  const db = await openDb();
+  const tx = db.transaction([STORE_SERVER_SNAPSHOTS], "readonly");
+  const store = tx.objectStore(STORE_SERVER_SNAPSHOTS);
+  const out = await Promise.all(wanted.map((id) => new Promise((resolve) => {
+    const req = store.get(id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  })));
+  db.close();
+  return out.filter(Boolean);
+}
+
+/**
+ * Parse Prometheus Text.
+ * Metric name to value for a Prometheus text exposition; samples of the same name with different labels are summed.
+ */
+function parsePrometheusText(text) {
+  const out = {};
+  if (typeof text !== "string") return out;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    const name = line.match(/^[A-Za-z_:][A-Za-z0-9_:]*/)?.[0];
+    if (!name) continue;
+    let rest = line.slice(name.length);
+    if (rest.startsWith("{")) {
+      const end = rest.indexOf("}");
+      if (end < 0) continue;
+      rest = rest.slice(end + 1);
+    }
+    const value = Number(rest.trim().split(/\s+/)[0]);
+    if (!rest.trim() || !Number.isFinite(value)) continue;
+    out[name] = (out[name] || 0) + value;
+  }
+  return out;
+}
+
+/**
+ * Build Server Sample.
+ * One load sample from a llama.cpp `/metrics` body and `/slots` array; null when neither was available.
+ */
+function buildServerSample(origin, metricsText, slots, sampledAtMs) {
+  const metrics = typeof metricsText === "string" ? parsePrometheusText(metricsText) : null;
+  const slotList = Array.isArray(slots) ? slots : null;
+  if ((!metrics || !Object.keys(metrics).length) && !slotList) return null;
+  const metric = (name) => toFiniteNumber(metrics?.[`llamacpp:${name}`]);
+
+  return {
+    origin,
+    sampled_at_ms: sampledAtMs,
+    kv_cache_usage_ratio: metric("kv_cache_usage_ratio"),
+    kv_cache_tokens: metric("kv_cache_tokens"),
+    requests_processing: metric("requests_processing"),
+    requests_deferred: metric("requests_deferred"),
+    prompt_tokens_total: metric("prompt_tokens_total"),
+    tokens_predicted_total: metric("tokens_predicted_total"),
+    prompt_tokens_seconds: metric("prompt_tokens_seconds"),
+    predicted_tokens_seconds: metric("predicted_tokens_seconds"),
+    slots_total: slotList ? slotList.length : null,
+    slots_processing: slotList ? slotList.filter((x) => x?.is_processing === true || x?.state === 1).length : null
+  };
+}
+
+/**
+ * With Server Sample Rates.
+ * Adds per-interval prompt and generation tokens/sec from the counter deltas between consecutive samples of an origin.
+ */
+function withServerSampleRates(samples) {
+  const sorted = [...(samples || [])].sort((a, b) => (a.sampled_at_ms || 0) - (b.sampled_at_ms || 0));
+  const lastByOrigin = new Map();
+  return sorted.map((s) => {
+    const prev = lastByOrigin.get(s.origin) || null;
+    lastByOrigin.set(s.origin, s);
+    const dtSec = prev ? (s.sampled_at_ms - prev.sampled_at_ms) / 1000 : null;
+    const rate = (key) => {
+      if (!prev || !(dtSec > 0)) return null;
+      const a = toFiniteNumber(prev[key]);
+      const b = toFiniteNumber(s[key]);
+      // Counters reset when the server restarts.
+      if (a === null || b === null || b < a) return null;
+      return round2((b - a) / dtSec);
+    };
+    return { ...s, interval_prompt_tps: rate("prompt_tokens_total"), interval_predicted_tps: rate("tokens_predicted_total") };
+  });
+}
+
+/**
+ * Origin Matches Domain Pattern.
+ * Same matching rules as the content script allowlist, applied to an origin string.
+ */
+function originMatchesDomainPattern(origin, pattern) {
+  let u;
+  try {
+    u = new URL(origin);
+  } catch {
+    return false;
+  }
+  const p = String(pattern || "").trim().toLowerCase();
+  if (!p) return false;
+  const hostname = u.hostname.toLowerCase();
+  const host = u.host.toLowerCase();
+
+  if (p.startsWith("*.")) {
+    const suffix = p.slice(2);
+    return hostname === suffix || hostname.endsWith(`.${suffix}`);
+  }
+  if (p.includes(":")) return host === p;
+  return hostname === p;
+}
+
+/**
+ * Get Server Polling Options.
+ */
+async function getServerPollingOptions() {
+  const { [SERVER_POLLING_KEY]: options } = await chrome.storage.local.get([SERVER_POLLING_KEY]);
+  const interval = Math.round(Number(options?.interval_sec));
+  return {
+    enabled: options?.enabled === true,
+    interval_sec: Number.isFinite(interval) && interval >= 30 ? interval : DEFAULT_SERVER_POLL_INTERVAL_SEC
+  };
+}
+
+/**
+ * Sync Server Poll Alarm.
+ * Creates or clears the polling alarm to match the stored options; an alarm that already matches is left running.
+ */
+async function syncServerPollAlarm() {
+  const options = await getServerPollingOptions();
+  const existing = await chrome.alarms.get(SERVER_POLL_ALARM);
+  if (!options.enabled) {
+    if (existing) await chrome.alarms.clear(SERVER_POLL_ALARM);
+    await debugLog("Server polling disabled");
+    return;
+  }
+  if (existing && existing.periodInMinutes === options.interval_sec / 60) return;
+  await chrome.alarms.clear(SERVER_POLL_ALARM);
+  await chrome.alarms.create(SERVER_POLL_ALARM, { delayInMinutes: 0.5, periodInMinutes: options.interval_sec / 60 });
+  await debugLog("Server polling scheduled", options);
+}
+
+/**
+ * Note Poll Origin.
+ * Remembers which server origin a page sent its completions to, so polling samples the API rather than the UI.
+ * The stored entry is only rewritten when it changes or is an hour old.
+ */
+async function notePollOrigin(record) {
+  const apiOrigin = typeof record?.api_origin === "string" ? record.api_origin : null;
+  if (!apiOrigin) return;
+  const uiOrigin = typeof record?.ui_origin === "string" ? record.ui_origin : null;
+  const ts = toFiniteNumber(record?.captured_at_ms) ?? Date.now();
+  const { [SERVER_POLL_ORIGINS_KEY]: known } = await chrome.storage.local.get([SERVER_POLL_ORIGINS_KEY]);
+  const origins = known && typeof known === "object" ? known : {};
+  const prev = origins[apiOrigin];
+  if (prev && prev.ui_origin === uiOrigin && ts - prev.last_seen_ms < SERVER_POLL_ORIGIN_REFRESH_MS) return;
+  origins[apiOrigin] = { ui_origin: uiOrigin, last_seen_ms: ts };
+  await chrome.storage.local.set({ [SERVER_POLL_ORIGINS_KEY]: origins });
+}
+
+/**
+ * Select Poll Origins.
+ * Server origins that received completions within the sample retention window from an allowlisted page (or that
+ * are allowlisted themselves).
+ */
+function selectPollOrigins(known, patterns, nowMs) {
+  if (!known || typeof known !== "object" || !Array.isArray(patterns) || !patterns.length) return [];
+  return Object.entries(known)
+    .filter(([, v]) => typeof v?.last_seen_ms === "number" && nowMs - v.last_seen_ms <= SERVER_SAMPLE_RETENTION_MS)
+    .filter(([origin, v]) => patterns.some((p) => originMatchesDomainPattern(origin, p) || (v.ui_origin && originMatchesDomainPattern(v.ui_origin, p))))
+    .map(([origin]) => origin)
+    .sort();
+}
+
+/**
+ * Get Poll Origins.
+ */
+async function getPollOrigins() {
+  const {
+    [ALLOWED_DOMAINS_KEY]: allowed_domains,
+    [SERVER_POLL_ORIGINS_KEY]: known
+  } = await chrome.storage.local.get([ALLOWED_DOMAINS_KEY, SERVER_POLL_ORIGINS_KEY]);
+  return selectPollOrigins(known, Array.isArray(allowed_domains) ? allowed_domains : [], Date.now());
+}
+
+/**
+ * Fetch Server Endpoint.
+ * GET with a timeout; returns the body text, or null when the endpoint is disabled or unreachable.
+ */
+async function fetchServerEndpoint(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 5000);
+  try {
+    const res = await fetch(url, { cache: "no-store", signal: ctrl.signal });
+    if (!res.ok) return null;
+    return await res.text();
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Put Server Samples.
+ * Stores new load samples and drops samples older than the retention window.
+ */
+async function putServerSamples(samples) {
+  const db = await openDb();
+  const tx = db.transaction([STORE_SERVER_SAMPLES], "readwrite");
+  const store = tx.objectStore(STORE_SERVER_SAMPLES);
+  for (const sample of samples) store.add(sample);
+  store.index("sampled_at_ms").openCursor(IDBKeyRange.upperBound(Date.now() - SERVER_SAMPLE_RETENTION_MS)).onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error || new Error("IDB transaction failed"));
+    tx.onabort = () => reject(tx.error || new Error("IDB transaction aborted"));
+  });
+  db.close();
+}
+
+/**
+ * Poll Server Endpoints.
+ * Scrapes `/metrics` and `/slots` once for every poll origin.
+ */
+async function pollServerEndpoints() {
+  const origins = await getPollOrigins();
+  const samples = [];
+  for (const origin of origins) {
+    const [metricsText, slotsText] = await Promise.all([
+      fetchServerEndpoint(`${origin}/metrics`),
+      fetchServerEndpoint(`${origin}/slots`)
+    ]);
+    let slots = null;
+    try {
+      slots = slotsText ? JSON.parse(slotsText) : null;
+    } catch {}
+    const sample = buildServerSample(origin, metricsText, slots, Date.now());
+    if (sample) samples.push(sample);
+  }
+  if (samples.length) await putServerSamples(samples);
+  await debugLog("Server poll finished", { origins: origins.length, samples: samples.length });
+}
+
+/**
+ * Get Server Samples.
+ * Samples for the given origins between two timestamps, with interval rates.
+ */
+async function getServerSamples(origins, fromMs, toMs) {
+  const wanted = new Set((origins || []).filter((o) => typeof o === "string"));
+  if (!wanted.size || !Number.isFinite(fromMs) || !Number.isFinite(toMs)) return [];
+  const db = await openDb();
+  const tx = db.transaction([STORE_SERVER_SAMPLES], "readonly");
+  const rows = await new Promise((resolve) => {
+    const req = tx.objectStore(STORE_SERVER_SAMPLES).index("sampled_at_ms").getAll(IDBKeyRange.bound(fromMs, toMs));
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => resolve([]);
+  });
+  db.close();
+  return withServerSampleRates(rows.filter((x) => wanted.has(x?.origin))).map(({ key, ...rest }) => rest);
+}
+
 /**
  * Count Records For Session.
  */
@@ -468,9 +834,10 @@ async function getRecordsForSession(activeSessionId) {
 
 /**
  * Build Dashboard Stats.
+ * Only completed runs count; aborted and error records are left to the compact records for the outcome panels.
  */
 function buildDashboardStats(records) {
-  const cleanRecords = records.filter((r) => r && r.resp && r.req);
+  const cleanRecords = records.filter((r) => r && r.resp && r.req && recordOutcome(r) === "completed");
   const totalCompletions = cleanRecords.length;
 
   const summaryAcc = {
@@ -644,6 +1011,51 @@ function buildDashboardStats(records) {
   };
 }
 
+/**
+ * Record Outcome.
+ * Classifies a stored record as `completed`, `aborted` or `error` for dashboard filtering.
+ */
+function recordOutcome(r) {
+  if (r?.aborted === true || r?.err?.type === "aborted") return "aborted";
+  if (r?.err) return "error";
+  return "completed";
+}
+
+/**
+ * Choice Spread.
+ * Max minus min of a numeric per-choice field, or null when fewer than two choices report it.
+ */
+function choiceSpread(choices, key) {
+  const vals = (Array.isArray(choices) ? choices : []).map((c) => toFiniteNumber(c?.[key])).filter((x) => x !== null);
+  if (vals.length < 2) return null;
+  return Math.max(...vals) - Math.min(...vals);
+}
+
+/**
+ * Describe Sampler Params.
+ * Short human-readable label for a run's sampler settings, used next to the parameter fingerprint.
+ */
+function describeSamplerParams(params, llamaParams) {
+  const p = params || {};
+  const v = llamaParams?.values || {};
+  const num = (x) => (typeof x === "number" && Number.isFinite(x) ? x : null);
+  const parts = [];
+  if (num(p.temperature) !== null) parts.push(`T${p.temperature}`);
+  if (num(p.top_p) !== null) parts.push(`top_p ${p.top_p}`);
+  if (num(p.top_k) !== null) parts.push(`top_k ${p.top_k}`);
+  if (num(v.min_p) !== null) parts.push(`min_p ${v.min_p}`);
+  if (num(v.typical_p) !== null && v.typical_p !== 1) parts.push(`typical_p ${v.typical_p}`);
+  if (num(v.repeat_penalty) !== null && v.repeat_penalty !== 1) parts.push(`rep ${v.repeat_penalty}`);
+  if (num(v.mirostat) > 0) parts.push(`mirostat v${v.mirostat}`);
+  if (num(v.dry_multiplier) > 0) parts.push("DRY");
+  if (num(v.xtc_probability) > 0) parts.push("XTC");
+  if (v.grammar) parts.push("grammar");
+  if (v.json_schema) parts.push("json_schema");
+  if (v.response_format?.type) parts.push(`format ${v.response_format.type}`);
+  if (Array.isArray(v.lora) && v.lora.length) parts.push(`lora×${v.lora.length}`);
+  return parts.length ? parts.join(" · ") : "server defaults";
+}
+
 /**
  * Build Dashboard Records.
  */
@@ -651,15 +1063,84 @@ function buildDashboardRecords(records) {
   const out = [];
   for (const r of records) {
     if (!r || !r.req || !r.resp) continue;
+    const toolCalls = Array.isArray(r?.resp?.tool_calls) ? r.resp.tool_calls : [];
     out.push({
       captured_at_ms: toFiniteNumber(r?.captured_at_ms),
       chain_id: typeof r?.chain_id === "string" ? r.chain_id : null,
       turn_number: toFiniteNumber(r?.turn_number),
       model: r?.req?.model || r?.resp?.model || "unknown",
+      endpoint: r?.endpoint || "/v1/chat/completions",
+      ui_origin: typeof r?.ui_origin === "string" ? r.ui_origin : null,
+      api_origin: typeof r?.api_origin === "string" ? r.api_origin : (typeof r?.ui_origin === "string" ? r.ui_origin : null),
+      server_snapshot_id: typeof r?.server_snapshot_id === "string" ? r.server_snapshot_id : null,
+      outcome: recordOutcome(r),
+      abort_cause: r?.aborted === true ? (r?.err?.cause || "unknown") : null,
+      http_status: toFiniteNumber(r?.err?.status),
+      error_type: r?.err && r?.aborted !== true ? (r.err.error_type || r.err.type || "unknown") : null,
+      received_content_chars: toFiniteNumber(r?.resp?.received?.content_chars),
+      received_reasoning_chars: toFiniteNumber(r?.resp?.received?.reasoning_chars),
       input_mode: r?.req?.scenario_labels?.input_mode || "unknown",
       has_images: r?.req?.has_images === true,
       has_files: r?.req?.has_files === true,
       finish_reason: r?.resp?.finish_reason || null,
+      choices_count: toFiniteNumber(r?.resp?.choices_count) ?? 1,
+      choices_predicted_n_total: toFiniteNumber(r?.resp?.choices_predicted_n_total) ?? toFiniteNumber(r?.resp?.timings?.predicted_n),
+      choice_predicted_n_spread: choiceSpread(r?.resp?.choices, "predicted_n"),
+      choice_content_chars_spread: choiceSpread(r?.resp?.choices, "content_chars"),
+      tool_calls_count: toFiniteNumber(r?.resp?.tool_calls_count) ?? 0,
+      tool_calls_json_checked_count: toolCalls.filter((c) => typeof c?.arguments_valid_json === "boolean").length,
+      tool_calls_json_valid_count: toolCalls.filter((c) => c?.arguments_valid_json === true).length,
+      tool_call_args_bytes: toolCalls.reduce((sum, c) => sum + (toFiniteNumber(c?.arguments_bytes) || 0), 0),
+      tool_call_args_ms: (() => {
+        const ms = toolCalls.map((c) => toFiniteNumber(c?.first_to_last_argument_ms)).filter((x) => x !== null);
+        return ms.length ? ms.reduce((a, b) => a + b, 0) : null;
+      })(),
+      token_chunk_count: toFiniteNumber(r?.resp?.chunk_timeline?.token_chunk_count),
+      itl_p50_ms: toFiniteNumber(r?.resp?.itl?.p50_ms),
+      itl_p90_ms: toFiniteNumber(r?.resp?.itl?.p90_ms),
+      itl_p99_ms: toFiniteNumber(r?.resp?.itl?.p99_ms),
+      itl_max_ms: toFiniteNumber(r?.resp?.itl?.max_ms),
+      stall_count: toFiniteNumber(r?.resp?.itl?.stall_count),
+      stall_total_ms: toFiniteNumber(r?.resp?.itl?.stall_total_ms),
+      throughput_q1_tps: toFiniteNumber(r?.resp?.throughput?.q1_tps),
+      throughput_q4_tps: toFiniteNumber(r?.resp?.throughput?.q4_tps),
+      throughput_decay_ratio: toFiniteNumber(r?.resp?.throughput?.decay_ratio),
+      throughput_curve_tps: Array.isArray(r?.resp?.throughput?.curve_tps) ? r.resp.throughput.curve_tps.map(toFiniteNumber) : null,
+      net_timing_allowed: typeof r?.resp?.network_timing?.timing_allowed === "boolean" ? r.resp.network_timing.timing_allowed : null,
+      net_dns_ms: toFiniteNumber(r?.resp?.network_timing?.dns_ms),
+      net_connect_ms: toFiniteNumber(r?.resp?.network_timing?.connect_ms),
+      net_tls_ms: toFiniteNumber(r?.resp?.network_timing?.tls_ms),
+      net_request_ms: toFiniteNumber(r?.resp?.network_timing?.request_ms),
+      net_response_start_ms: toFiniteNumber(r?.resp?.network_timing?.response_start_ms),
+      ttft_overhead_ms: toFiniteNumber(r?.resp?.derived?.ttft_overhead_ms),
+      temperature: toFiniteNumber(r?.req?.params?.temperature),
+      top_p: toFiniteNumber(r?.req?.params?.top_p),
+      sampling_tokens: toFiniteNumber(r?.resp?.sampling_stats?.tokens),
+      sampling_mean_logprob: toFiniteNumber(r?.resp?.sampling_stats?.mean_logprob),
+      sampling_perplexity: toFiniteNumber(r?.resp?.sampling_stats?.perplexity),
+      sampling_low_conf_fraction: toFiniteNumber(r?.resp?.sampling_stats?.low_confidence_fraction),
+      sampling_top_margin: toFiniteNumber(r?.resp?.sampling_stats?.mean_top_margin),
+      param_fingerprint: typeof r?.req?.llama_params?.fingerprint === "string" ? r.req.llama_params.fingerprint : null,
+      sampler_label: describeSamplerParams(r?.req?.params, r?.req?.llama_params),
+      output_constraint: typeof r?.req?.output_constraint?.kind === "string" ? r.req.output_constraint.kind : null,
+      structured_parse_ok: typeof r?.resp?.structured_output?.parse_ok === "boolean" ? r.resp.structured_output.parse_ok : null,
+      structured_valid: typeof r?.resp?.structured_output?.valid === "boolean" ? r.resp.structured_output.valid : null,
+      output_chars: toFiniteNumber(r?.resp?.output_shape?.chars),
+      output_empty: typeof r?.resp?.output_shape?.empty === "boolean" ? r.resp.output_shape.empty : null,
+      output_looping: typeof r?.resp?.output_shape?.looping === "boolean" ? r.resp.output_shape.looping : null,
+      output_repeat_ratio: toFiniteNumber(r?.resp?.output_shape?.repeated_ngram_ratio),
+      output_code_blocks: toFiniteNumber(r?.resp?.output_shape?.code_blocks),
+      output_code_languages: Array.isArray(r?.resp?.output_shape?.code_languages) ? r.resp.output_shape.code_languages : null,
+      output_headings: toFiniteNumber(r?.resp?.output_shape?.headings),
+      output_list_items: toFiniteNumber(r?.resp?.output_shape?.list_items),
+      context_truncated: r?.resp?.guardrails?.context_truncated === true,
+      n_ctx: toFiniteNumber(r?.resp?.context?.n_ctx),
+      context_used_pct: toFiniteNumber(r?.resp?.context?.context_used_pct),
+      prefill_total_tokens: toFiniteNumber(r?.resp?.prompt_progress?.total_tokens),
+      prefill_cache_skipped_pct: toFiniteNumber(r?.resp?.prompt_progress?.cache_skipped_pct),
+      prefill_client_ms: toFiniteNumber(r?.resp?.prompt_progress?.last_progress_ms),
+      prefill_server_ms: toFiniteNumber(r?.resp?.prompt_progress?.server_prefill_ms),
+      prefill_curve: Array.isArray(r?.resp?.prompt_progress?.curve) ? r.resp.prompt_progress.curve : null,
       prompt_n: toFiniteNumber(r?.resp?.timings?.prompt_n),
       predicted_n: toFiniteNumber(r?.resp?.timings?.predicted_n),
       prompt_ms: toFiniteNumber(r?.resp?.timings?.prompt_ms),
@@ -667,7 +1148,13 @@ function buildDashboardRecords(records) {
       prompt_tps: toFiniteNumber(r?.resp?.timings?.prompt_tps),
       predicted_tps: toFiniteNumber(r?.resp?.timings?.predicted_tps),
       cache_n: toFiniteNumber(r?.resp?.timings?.cache_n),
+      reasoning_detection: r?.resp?.derived?.reasoning_detection || null,
+      draft_n: toFiniteNumber(r?.resp?.timings?.draft_n),
+      draft_n_accepted: toFiniteNumber(r?.resp?.timings?.draft_n_accepted),
+      draft_acceptance_rate: toFiniteNumber(r?.resp?.derived?.draft_acceptance_rate),
       ttft_ms: toFiniteNumber(r?.resp?.client_timing?.duration_request_to_first_stream_chunk_ms) ?? toFiniteNumber(r?.resp?.timings?.prompt_ms),
+      ttft_reasoning_ms: toFiniteNumber(r?.resp?.client_timing?.duration_request_to_first_reasoning_chunk_ms),
+      ttft_content_ms: toFiniteNumber(r?.resp?.client_timing?.duration_request_to_first_content_chunk_ms),
       request_to_headers_ms: toFiniteNumber(r?.resp?.client_timing?.duration_request_to_headers_ms),
       headers_to_first_stream_chunk_ms: toFiniteNumber(r?.resp?.client_timing?.duration_headers_to_first_stream_chunk_ms),
       first_stream_chunk_to_stop_ms: toFiniteNumber(r?.resp?.client_timing?.duration_first_stream_chunk_to_stop_ms),
@@ -677,6 +1164,9 @@ function buildDashboardRecords(records) {
       reasoning_n: toFiniteNumber(r?.resp?.derived?.reasoning_n),
       content_n: toFiniteNumber(r?.resp?.derived?.content_n),
       text_bytes_total: toFiniteNumber(r?.req?.input_composition?.text_bytes_total),
+      user_text_tokens: toFiniteNumber(r?.req?.input_composition?.current_user_text_tokens),
+      user_text_token_bucket: r?.req?.scenario_labels?.current_user_text_token_bucket || null,
+      bytes_per_token: toFiniteNumber(r?.req?.input_composition?.bytes_per_token),
       file_count: toFiniteNumber(r?.req?.input_composition?.file_count) ?? toFiniteNumber(r?.req?.files_count),
       file_bytes_total: toFiniteNumber(r?.req?.input_composition?.file_bytes_total),
       file_kind_set: r?.req?.scenario_labels?.file_kind_set || "none",
@@ -718,7 +1208,9 @@ function initScenarioBucket(label) {
     fileBytesSum: 0,
     fileBytesCount: 0,
     userTextBytesSum: 0,
-    userTextBytesCount: 0
+    userTextBytesCount: 0,
+    userTextTokensSum: 0,
+    userTextTokensCount: 0
   };
 }
 
@@ -775,7 +1267,7 @@ function addScenarioRecord(acc, r) {
     acc.outputTokensCount += 1;
   }
 
-  const outChars = toFiniteNumber(guard.output_chars_estimate);
+  const outChars = toFiniteNumber(r?.resp?.output_shape?.chars) ?? toFiniteNumber(guard.output_chars_estimate);
   if (outChars !== null) {
     acc.outputCharsSum += outChars;
     acc.outputCharsCount += 1;
@@ -792,6 +1284,12 @@ function addScenarioRecord(acc, r) {
     acc.userTextBytesSum += userBytes;
     acc.userTextBytesCount += 1;
   }
+
+  const userTokens = toFiniteNumber(r?.req?.input_composition?.current_user_text_tokens);
+  if (userTokens !== null) {
+    acc.userTextTokensSum += userTokens;
+    acc.userTextTokensCount += 1;
+  }
 }
 
 /**
@@ -810,7 +1308,8 @@ function finalizeScenarioBuckets(map, sortByCount = true) {
     avg_output_tokens: round2(average(x.outputTokensSum, x.outputTokensCount)),
     avg_output_chars: round2(average(x.outputCharsSum, x.outputCharsCount)),
     avg_file_bytes: round2(average(x.fileBytesSum, x.fileBytesCount)),
-    avg_user_text_bytes: round2(average(x.userTextBytesSum, x.userTextBytesCount))
+    avg_user_text_bytes: round2(average(x.userTextBytesSum, x.userTextBytesCount)),
+    avg_user_text_tokens: round2(average(x.userTextTokensSum, x.userTextTokensCount))
   }));
 
   return rows.sort((a, b) => {
@@ -832,11 +1331,41 @@ function groupScenario(records, keyFn, sortByCount = true) {
   return finalizeScenarioBuckets(m, sortByCount);
 }
 
+/**
+ * Build Tokenizer Efficiency.
+ * Bytes per token per model over the prompts that were counted with `/tokenize`.
+ */
+function buildTokenizerEfficiency(records) {
+  const byModel = new Map();
+  for (const r of records) {
+    const ic = r?.req?.input_composition || {};
+    const bytes = toFiniteNumber(ic.tokenized_text_bytes);
+    const tokens = (toFiniteNumber(ic.system_text_tokens) || 0) + (toFiniteNumber(ic.current_user_text_tokens) || 0);
+    if (ic.token_count_source !== "tokenize" || bytes === null || tokens <= 0) continue;
+    const model = r?.req?.model || r?.resp?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, { model, requests: 0, bytes: 0, tokens: 0 });
+    const m = byModel.get(model);
+    m.requests += 1;
+    m.bytes += bytes;
+    m.tokens += tokens;
+  }
+  return Array.from(byModel.values())
+    .map((m) => ({
+      model: m.model,
+      requests: m.requests,
+      text_bytes: m.bytes,
+      text_tokens: m.tokens,
+      bytes_per_token: round2(m.bytes / m.tokens)
+    }))
+    .sort((a, b) => (b.bytes_per_token || 0) - (a.bytes_per_token || 0) || a.model.localeCompare(b.model));
+}
+
 /**
  * Build Scenario Comparisons.
+ * Buckets completed runs only, so partial or failed runs do not skew the averages.
  */
 function buildScenarioComparisons(records, selectedModel) {
-  const clean = records.filter((r) => r && r.req && r.resp);
+  const clean = records.filter((r) => r && r.req && r.resp && recordOutcome(r) === "completed");
   const modelCounts = new Map();
   for (const r of clean) {
     const model = r?.req?.model || r?.resp?.model || "unknown";
@@ -869,8 +1398,10 @@ function buildScenarioComparisons(records, selectedModel) {
     return "5+";
   }, false);
   const userTextSize = groupScenario(modelRecords, (r) => r?.req?.scenario_labels?.current_user_text_size_bucket || "unknown", false);
+  const userTextTokens = groupScenario(modelRecords, (r) => r?.req?.scenario_labels?.current_user_text_token_bucket || "unknown", false);
   const runtimeBucket = groupScenario(modelRecords, (r) => r?.req?.scenario_labels?.runtime_bucket || "default_or_unknown");
   const stopReason = groupScenario(modelRecords, (r) => r?.resp?.guardrails?.stop_reason_category || "unknown");
+  const endpoint = groupScenario(modelRecords, (r) => r?.endpoint || "/v1/chat/completions");
 
   const outputNorm = groupScenario(modelRecords, (r) => {
     const n = toFiniteNumber(r?.resp?.guardrails?.output_length_estimate?.output_tokens_estimate);
@@ -947,13 +1478,16 @@ function buildScenarioComparisons(records, selectedModel) {
       image_size_bucket: imageSize,
       image_count_bucket: imageCount,
       current_user_text_size_bucket: userTextSize,
+      current_user_text_token_bucket: userTextTokens,
       runtime_bucket: runtimeBucket,
       stop_reason_category: stopReason,
+      endpoint,
       output_length_bucket: outputNorm
     },
     comparisons: {
       file_vs_text: fileVsText,
-      prompt_hash_controls: promptHashControls
+      prompt_hash_controls: promptHashControls,
+      tokenizer_efficiency: buildTokenizerEfficiency(clean)
     }
   };
 }
@@ -1013,7 +1547,7 @@ async function clearAll() {
     req.onblocked = () => resolve();
   });
 
-  await chrome.storage.local.remove(["active_session_id"]);
+  await chrome.storage.local.remove(["active_session_id", SERVER_POLL_ORIGINS_KEY]);
   await debugLog("All data cleared");
 }
 
@@ -1089,6 +1623,26 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   clearTabChainState(tabId).catch(() => {});
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm?.name !== SERVER_POLL_ALARM) return;
+  pollServerEndpoints().catch((e) => debugLog("Server poll failed", String(e?.message || e)));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[SERVER_POLLING_KEY]) return;
+  syncServerPollAlarm().catch(() => {});
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncServerPollAlarm().catch(() => {});
+});
+
+// Alarms do not always survive a browser restart; re-create the poll alarm whenever the browser or worker starts.
+chrome.runtime.onStartup.addListener(() => {
+  syncServerPollAlarm().catch(() => {});
+});
+syncServerPollAlarm().catch(() => {});
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
@@ -1113,6 +1667,19 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      if (msg.type === "record_network_timing") {
+        const updated = await setRecordNetworkTiming(msg.key, msg.network_timing);
+        await debugLog("Record network timing set", { key: msg.key, updated });
+        sendResponse({ ok: updated, key: msg.key });
+        return;
+      }
+
+      if (msg.type === "server_snapshot") {
+        await putServerSnapshot(msg.snapshot);
+        sendResponse({ ok: true, snapshot_id: msg.snapshot.snapshot_id });
+        return;
+      }
+
       if (msg.type === "get_status") {
         const sid = await getActiveSessionId();
         const count = await countRecordsForSession(sid);
@@ -1147,6 +1714,15 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const stats = buildDashboardStats(records);
         const scenario = buildScenarioComparisons(records, msg.selected_model || null);
         const recordsCompact = buildDashboardRecords(records);
+        const serverSnapshots = await getServerSnapshots(recordsCompact.map((r) => r.server_snapshot_id));
+        const capturedTimes = recordsCompact.map((r) => r.captured_at_ms).filter((x) => x !== null);
+        const serverSamples = capturedTimes.length
+          ? await getServerSamples(
+            recordsCompact.map((r) => r.api_origin),
+            Math.min(...capturedTimes) - SERVER_SAMPLE_WINDOW_PAD_MS,
+            Math.max(...capturedTimes) + SERVER_SAMPLE_WINDOW_PAD_MS
+          )
+          : [];
         sendResponse({
           ok: true,
           scope: "session",
@@ -1154,7 +1730,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           summary: stats.summary,
           models: stats.models,
           scenario,
-          records_compact: recordsCompact
+          records_compact: recordsCompact,
+          server_snapshots: serverSnapshots,
+          server_samples: serverSamples
         });
         return;
       }
@@ -10,6 +10,10 @@ const PROBE_PREFIX = "[llama.cpp metrics][probe][content]";
 /** @internal */
 const ALLOWED_DOMAINS_KEY = "allowed_domains";
 /** @internal */
+const ENDPOINT_RULES_KEY = "endpoint_match_rules";
+/** @internal */
+const CAPTURE_OPTIONS_KEY = "capture_options";
+/** @internal */
 const DASHBOARD_THEME_KEY = "dashboard_theme";
 
 /** @internal */
@@ -18,6 +22,11 @@ let __probeDebugEnabled = false;
 let __captureStarted = false;
 /** @internal */
 let __dashboardRefreshTimer = null;
+// Stored record key per trace, so network timing that arrives after its record can be attached to it.
+/** @internal */
+const __recordKeysByTrace = new Map();
+/** @internal */
+const RECORD_KEY_RETENTION_MS = 60000;
 /** @internal */
 const __dashboardState = {
   mounted: false,
@@ -25,6 +34,9 @@ const __dashboardState = {
   scope: "session",
   selectedModel: null,
   selectedInputMode: "all",
+  selectedEndpoint: "all",
+  selectedOutputShape: "all",
+  ttftBasis: "first_token",
   selectedModels: new Set(),
   theme: "light",
   lastStats: null,
@@ -206,6 +218,45 @@ async function syncDebugToPage(reason = "sync") {
   await debugLog("Debug flag synced to page", { enabled: Boolean(debug_enabled), reason });
 }
 
+/**
+ * Send Endpoint Rules To Page.
+ * A null rule list tells the page hook to fall back to its built-in defaults.
+ */
+function sendEndpointRulesToPage(rules, reason = "unknown") {
+  window.postMessage(
+    { type: "LLAMACPP_SET_ENDPOINT_RULES", rules: Array.isArray(rules) ? rules : null, reason },
+    "*"
+  );
+}
+
+/**
+ * Sync Endpoint Rules To Page.
+ */
+async function syncEndpointRulesToPage(reason = "sync") {
+  const { [ENDPOINT_RULES_KEY]: rules } = await safeStorageGet([ENDPOINT_RULES_KEY]);
+  sendEndpointRulesToPage(rules, reason);
+  await debugLog("Endpoint rules synced to page", { count: Array.isArray(rules) ? rules.length : null, reason });
+}
+
+/**
+ * Send Capture Options To Page.
+ */
+function sendCaptureOptionsToPage(options, reason = "unknown") {
+  window.postMessage(
+    { type: "LLAMACPP_SET_CAPTURE_OPTIONS", options: options && typeof options === "object" ? options : null, reason },
+    "*"
+  );
+}
+
+/**
+ * Sync Capture Options To Page.
+ */
+async function syncCaptureOptionsToPage(reason = "sync") {
+  const { [CAPTURE_OPTIONS_KEY]: options } = await safeStorageGet([CAPTURE_OPTIONS_KEY]);
+  sendCaptureOptionsToPage(options, reason);
+  await debugLog("Capture options synced to page", { options: options || null, reason });
+}
+
 /**
  * Inject Injected Script.
  */
@@ -447,6 +498,83 @@ function syncInputModeSelector(records) {
   el.value = valid;
 }
 
+/**
+ * Sync Endpoint Selector.
+ */
+function syncEndpointSelector(records) {
+  const el = __dashboardState.elements?.endpoint;
+  if (!el) return;
+  const endpoints = ["all", ...uniqueValues(records.map((r) => r?.endpoint || "/v1/chat/completions")).sort()];
+  const previous = __dashboardState.selectedEndpoint || "all";
+  const key = endpoints.join("|");
+  const labelForEndpoint = (e) => {
+    if (e === "all") return "Endpoint Filter (All)";
+    return `Endpoint: ${e}`;
+  };
+  if (el.getAttribute("data-key") !== key) {
+    el.innerHTML = endpoints.map((e) => `<option value="${escapeHtml(e)}">${escapeHtml(labelForEndpoint(e))}</option>`).join("");
+    el.setAttribute("data-key", key);
+  }
+  const valid = endpoints.includes(previous) ? previous : "all";
+  __dashboardState.selectedEndpoint = valid;
+  el.value = valid;
+}
+
+/**
+ * Output Shape Matches.
+ * Runs captured before output analysis (no `output_chars`) only match "all".
+ */
+function outputShapeMatches(r, shape) {
+  if (shape === "all") return true;
+  if (toFiniteNumber(r?.output_chars) === null) return false;
+  const hasCode = (toFiniteNumber(r?.output_code_blocks) || 0) > 0;
+  const hasMarkdown = (toFiniteNumber(r?.output_headings) || 0) > 0 || (toFiniteNumber(r?.output_list_items) || 0) > 0;
+  const degenerate = r?.output_empty === true || r?.output_looping === true;
+  if (shape === "code") return hasCode;
+  if (shape === "markdown") return hasMarkdown && !hasCode;
+  if (shape === "prose") return !hasCode && !hasMarkdown && !degenerate;
+  if (shape === "degenerate") return degenerate;
+  return true;
+}
+
+/**
+ * Filter Dashboard Records.
+ * Applies the input-mode, endpoint, output-shape and model selections shared by the render and resize paths.
+ */
+function filterDashboardRecords(records) {
+  const mode = __dashboardState.selectedInputMode || "all";
+  const endpoint = __dashboardState.selectedEndpoint || "all";
+  const shape = __dashboardState.selectedOutputShape || "all";
+  const selectedModels = new Set(Array.from(__dashboardState.selectedModels));
+  return records.filter((r) => {
+    if (mode !== "all" && (r?.input_mode || "unknown") !== mode) return false;
+    if (endpoint !== "all" && (r?.endpoint || "/v1/chat/completions") !== endpoint) return false;
+    if (!outputShapeMatches(r, shape)) return false;
+    return selectedModels.has(r.model);
+  });
+}
+
+/**
+ * Apply Ttft Basis.
+ * With the "first_content" basis, `ttft_ms` becomes time to the first visible answer chunk, so every TTFT panel
+ * ranks reasoning models by when the user starts reading. Runs without content keep their raw TTFT.
+ */
+function applyTtftBasis(records) {
+  if (__dashboardState.ttftBasis !== "first_content") return records;
+  return records.map((r) => {
+    const contentTtft = toFiniteNumber(r?.ttft_content_ms);
+    return contentTtft === null ? r : { ...r, ttft_ms: contentTtft };
+  });
+}
+
+/**
+ * Is Completed Dashboard Record.
+ * Performance panels only use runs that reached a completion boundary; aborted and failed runs feed the outcome panels.
+ */
+function isCompletedDashboardRecord(r) {
+  return (r?.outcome || "completed") === "completed";
+}
+
 /**
  * Update Model Filter Label.
  */
@@ -649,174 +777,1503 @@ function perfBuildDocumentIngestionRows(records) {
       model,
       short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
       color: perfColorByIndex(colorIdx++),
-      file_run_count: fileRows.length,
-      file_bytes_median_mb: (() => {
-        const v = median(fileBytesVals);
-        return typeof v === "number" ? (v / 1_000_000) : null;
-      })(),
-      doc_ms_per_mb: median(docMsPerMbVals),
-      ttft_delta_ms: median(ttftDeltaVals),
-      ttft_delta_count: ttftDeltaVals.length,
-      baseline_exact_count: baselineExactCount,
-      baseline_model_count: baselineModelCount,
-      ms_per_output_token_file: median(fileMsPerTokenVals),
-      ms_per_output_token_text: textMsPerTokenBaseline,
-      output_efficiency_delta_pct: (() => {
-        const f = median(fileMsPerTokenVals);
-        const t = textMsPerTokenBaseline;
-        if (typeof f !== "number" || typeof t !== "number" || t <= 0) return null;
-        return ((f - t) / t) * 100;
-      })(),
-      file_kind_set: uniqueValues(fileRows.map((r) => r?.file_kind_set || "none")).join(", "),
-      file_size_bucket_set: uniqueValues(fileRows.map((r) => r?.file_size_bucket || "unknown")).join(", ")
+      file_run_count: fileRows.length,
+      file_bytes_median_mb: (() => {
+        const v = median(fileBytesVals);
+        return typeof v === "number" ? (v / 1_000_000) : null;
+      })(),
+      doc_ms_per_mb: median(docMsPerMbVals),
+      ttft_delta_ms: median(ttftDeltaVals),
+      ttft_delta_count: ttftDeltaVals.length,
+      baseline_exact_count: baselineExactCount,
+      baseline_model_count: baselineModelCount,
+      ms_per_output_token_file: median(fileMsPerTokenVals),
+      ms_per_output_token_text: textMsPerTokenBaseline,
+      output_efficiency_delta_pct: (() => {
+        const f = median(fileMsPerTokenVals);
+        const t = textMsPerTokenBaseline;
+        if (typeof f !== "number" || typeof t !== "number" || t <= 0) return null;
+        return ((f - t) / t) * 100;
+      })(),
+      file_kind_set: uniqueValues(fileRows.map((r) => r?.file_kind_set || "none")).join(", "),
+      file_size_bucket_set: uniqueValues(fileRows.map((r) => r?.file_size_bucket || "unknown")).join(", ")
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Perf Doc Tone Class.
+ */
+function perfDocToneClass(index, total) {
+  const n = Math.max(1, total | 0);
+  if (n <= 2) return index === 0 ? "good" : "warn";
+  const p = index / Math.max(1, n - 1);
+  if (p <= 0.33) return "good";
+  if (p <= 0.66) return "mid";
+  return "warn";
+}
+
+/**
+ * Perf Render Document Ingestion Card.
+ */
+function perfRenderDocumentIngestionCard(records) {
+  const rows = perfBuildDocumentIngestionRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel full-width">
+        <h3 class="dark-header">DOCUMENT INGESTION EFFICIENCY INDEX</h3>
+        <div class="sub-label">Compares file-ingestion cost, startup delay inflation, and post-ingestion output efficiency for document-attached runs.</div>
+        <div class="llm-empty">No document-attached runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const ingestionRows = [...rows]
+    .filter((r) => typeof r.doc_ms_per_mb === "number")
+    .sort((a, b) => a.doc_ms_per_mb - b.doc_ms_per_mb);
+  const ingestionMax = Math.max(...ingestionRows.map((r) => r.doc_ms_per_mb || 0), 1);
+  const ttftRows = [...rows]
+    .filter((r) => typeof r.ttft_delta_ms === "number")
+    .sort((a, b) => a.ttft_delta_ms - b.ttft_delta_ms);
+  const ttftAbsMax = Math.max(...ttftRows.map((r) => Math.abs(r.ttft_delta_ms || 0)), 1);
+  const outputRows = [...rows]
+    .filter((r) => typeof r.ms_per_output_token_file === "number" || typeof r.ms_per_output_token_text === "number")
+    .sort((a, b) => (a.ms_per_output_token_file ?? Infinity) - (b.ms_per_output_token_file ?? Infinity));
+  const outputMax = Math.max(...outputRows.flatMap((r) => [r.ms_per_output_token_file || 0, r.ms_per_output_token_text || 0]), 1);
+
+  const ingestionHtml = ingestionRows.length
+    ? ingestionRows.map((r, i) => {
+      const cls = perfDocToneClass(i, ingestionRows.length);
+      const pct = ((r.doc_ms_per_mb || 0) / ingestionMax) * 100;
+      const medal = i < 3 ? ["🥇 ", "🥈 ", "🥉 "][i] : "";
+      return `
+        <div class="doc-metric-row">
+          <div class="doc-row-head">
+            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${medal}${escapeHtml(r.short)}</span>
+            <span class="doc-value">${formatNumber(r.doc_ms_per_mb, 0)} ms/MB</span>
+          </div>
+          <div class="doc-track"><div class="doc-fill ${cls}" style="width:${formatNumber(pct, 1)}%"></div></div>
+          <div class="doc-meta">${formatInt(r.file_run_count)} runs · median file ${formatNumber(r.file_bytes_median_mb, 2)} MB</div>
+        </div>
+      `;
+    }).join("")
+    : `<div class="llm-empty">No valid prompt/file size timing pairs.</div>`;
+
+  const ttftHtml = ttftRows.length
+    ? ttftRows.map((r) => {
+      const delta = r.ttft_delta_ms || 0;
+      const magPct = (Math.abs(delta) / ttftAbsMax) * 50;
+      const left = delta < 0 ? (50 - magPct) : 50;
+      const cls = delta < 0 ? "good" : (delta > 0 ? "warn" : "mid");
+      const baselineLabel = r.baseline_exact_count > 0
+        ? (r.baseline_model_count > 0 ? `mixed baseline (${r.baseline_exact_count} exact)` : "prompt-hash baseline")
+        : "model baseline";
+      return `
+        <div class="doc-metric-row">
+          <div class="doc-row-head">
+            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</span>
+            <span class="doc-value ${delta < 0 ? "val-green" : delta > 0 ? "val-warn" : "val"}">${delta >= 0 ? "+" : ""}${formatNumber(delta, 0)} ms</span>
+          </div>
+          <div class="doc-delta-track">
+            <div class="doc-delta-zero"></div>
+            <div class="doc-delta-fill ${cls}" style="left:${formatNumber(left, 1)}%;width:${formatNumber(magPct, 1)}%"></div>
+          </div>
+          <div class="doc-meta">${baselineLabel} · ${formatInt(r.ttft_delta_count)} comparable runs</div>
+        </div>
+      `;
+    }).join("")
+    : `<div class="llm-empty">No text-only baseline available for TTFT delta.</div>`;
+
+  const outputHtml = outputRows.length
+    ? outputRows.map((r) => {
+      const f = r.ms_per_output_token_file;
+      const t = r.ms_per_output_token_text;
+      const filePct = typeof f === "number" ? (f / outputMax) * 100 : 0;
+      const textPct = typeof t === "number" ? (t / outputMax) * 100 : 0;
+      const deltaPct = r.output_efficiency_delta_pct;
+      return `
+        <div class="doc-metric-row">
+          <div class="doc-row-head">
+            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</span>
+            <span class="doc-value">${typeof f === "number" ? `${formatNumber(f, 2)} ms/tok` : "-"}</span>
+          </div>
+          <div class="doc-dual-bars">
+            <div class="doc-dual-line">
+              <span class="doc-dual-label">Text</span>
+              <div class="doc-track"><div class="doc-fill neutral" style="width:${formatNumber(textPct, 1)}%"></div></div>
+              <span class="doc-dual-value">${typeof t === "number" ? formatNumber(t, 2) : "-"}</span>
+            </div>
+            <div class="doc-dual-line">
+              <span class="doc-dual-label">File</span>
+              <div class="doc-track"><div class="doc-fill blue" style="width:${formatNumber(filePct, 1)}%"></div></div>
+              <span class="doc-dual-value">${typeof f === "number" ? formatNumber(f, 2) : "-"}</span>
+            </div>
+          </div>
+          <div class="doc-meta">${typeof deltaPct === "number" ? `${deltaPct >= 0 ? "+" : ""}${formatNumber(deltaPct, 1)}% vs text baseline` : "No text-only output-speed baseline"}</div>
+        </div>
+      `;
+    }).join("")
+    : `<div class="llm-empty">No output timing data available for document runs.</div>`;
+
+  const bestIngestion = ingestionRows[0] || null;
+  const bestTtft = [...ttftRows].sort((a, b) => (a.ttft_delta_ms || 0) - (b.ttft_delta_ms || 0))[0] || null;
+  const stableOutput = [...outputRows]
+    .filter((r) => typeof r.output_efficiency_delta_pct === "number")
+    .sort((a, b) => Math.abs(a.output_efficiency_delta_pct) - Math.abs(b.output_efficiency_delta_pct))[0] || null;
+
+  return `
+    <div class="card-panel full-width" data-panel="document-ingestion-efficiency">
+      <h3 class="dark-header">DOCUMENT INGESTION EFFICIENCY INDEX</h3>
+      <div class="sub-label">Isolates document workflows by comparing ingestion cost per MB, TTFT inflation versus text-only baselines, and post-ingestion output efficiency. Lower values are generally better.</div>
+      <div class="doc-ingestion-grid">
+        <div class="doc-subpanel">
+          <div class="doc-subpanel-title">A. Ingestion Cost per MB</div>
+          <div class="doc-subpanel-sub">Prompt processing cost normalized by file size (ms/MB)</div>
+          <div>${ingestionHtml}</div>
+        </div>
+        <div class="doc-subpanel">
+          <div class="doc-subpanel-title">B. TTFT Inflation (Delta)</div>
+          <div class="doc-subpanel-sub">Document TTFT minus text-only baseline TTFT (ms)</div>
+          <div>${ttftHtml}</div>
+        </div>
+        <div class="doc-subpanel">
+          <div class="doc-subpanel-title">C. Output Efficiency After Ingestion</div>
+          <div class="doc-subpanel-sub">Compare ms/output-token for text-only vs text+file (lower is better)</div>
+          <div>${outputHtml}</div>
+        </div>
+      </div>
+      <div class="takeaway"><strong>DOC TAKEAWAY:</strong> ${bestIngestion ? `${escapeHtml(bestIngestion.short)} leads ingestion at ${formatNumber(bestIngestion.doc_ms_per_mb, 0)} ms/MB.` : "Need more file runs."} ${bestTtft ? `Best startup delta: ${escapeHtml(bestTtft.short)} (${bestTtft.ttft_delta_ms >= 0 ? "+" : ""}${formatNumber(bestTtft.ttft_delta_ms, 0)} ms).` : ""} ${stableOutput ? `Most stable output speed vs text baseline: ${escapeHtml(stableOutput.short)} (${stableOutput.output_efficiency_delta_pct >= 0 ? "+" : ""}${formatNumber(stableOutput.output_efficiency_delta_pct, 1)}%).` : ""}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Multi Choice Rows.
+ */
+function perfBuildMultiChoiceRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    if ((toFiniteNumber(r?.choices_count) || 1) <= 1) continue;
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  return Array.from(byModel.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([model, arr]) => ({
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      color: perfColorByIndex(colorIdx++),
+      run_count: arr.length,
+      avg_choices: avgOf(arr.map((r) => toFiniteNumber(r?.choices_count)).filter((x) => x !== null)),
+      total_tokens: median(arr.map((r) => toFiniteNumber(r?.choices_predicted_n_total)).filter((x) => x !== null)),
+      token_spread: median(arr.map((r) => toFiniteNumber(r?.choice_predicted_n_spread)).filter((x) => x !== null)),
+      chars_spread: median(arr.map((r) => toFiniteNumber(r?.choice_content_chars_spread)).filter((x) => x !== null))
+    }));
+}
+
+/**
+ * Perf Render Multi Choice Card.
+ */
+function perfRenderMultiChoiceCard(records) {
+  const rows = perfBuildMultiChoiceRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="multi-choice">
+        <h3 class="blue-header">MULTIPLE CHOICES (n &gt; 1)</h3>
+        <div class="sub-label">Compares total generated tokens and per-choice spread for requests that ask for several completions at once.</div>
+        <div class="llm-empty">No multi-choice runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const totalMax = Math.max(...rows.map((r) => r.total_tokens || 0), 1);
+  const totalBars = rows.map((r) => perfSpeedBarRow(r.short, r.total_tokens, " tok", ((r.total_tokens || 0) / totalMax) * 100, r.color, "val-blue")).join("");
+  const spreadMax = Math.max(...rows.map((r) => r.token_spread || 0), 1);
+  const spreadRows = rows.map((r) => `
+    <div class="consistency-row">
+      <div class="consistency-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</div>
+      <div class="consistency-bar-bg"><div class="consistency-bar-fill" style="width:${formatNumber(((r.token_spread || 0) / spreadMax) * 100, 1)}%;background:${r.color}"></div></div>
+      <div class="consistency-value" style="color:${r.color}">${typeof r.token_spread === "number" ? `±${formatNumber(r.token_spread, 0)}` : "-"}</div>
+    </div>
+  `).join("");
+  const widest = [...rows].filter((r) => typeof r.token_spread === "number").sort((a, b) => b.token_spread - a.token_spread)[0] || null;
+
+  return `
+    <div class="card-panel" data-panel="multi-choice">
+      <h3 class="blue-header">MULTIPLE CHOICES (n &gt; 1)</h3>
+      <div class="sub-label">Shows the median tokens generated across all choices of one request, so compare bar lengths to see the real output budget of sampling several answers.</div>
+      <div>${totalBars}</div>
+      <div class="sub-label">Median spread between the longest and shortest choice (tokens). Wider spreads mean sampled answers differ more in length.</div>
+      <div>${spreadRows}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${widest ? `${escapeHtml(widest.short)} varies most across choices (±${formatNumber(widest.token_spread, 0)} tokens over ${formatNumber(widest.avg_choices, 1)} choices).` : "Per-choice token counts were not reported for these runs."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Abandonment Rows.
+ */
+function perfBuildAbandonmentRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    const outcome = r?.outcome || "completed";
+    if (outcome !== "completed" && outcome !== "aborted") continue;
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  return Array.from(byModel.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([model, arr]) => {
+      const aborted = arr.filter((r) => r?.outcome === "aborted");
+      return {
+        model,
+        short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+        color: perfColorByIndex(colorIdx++),
+        run_count: arr.length,
+        aborted_count: aborted.length,
+        aborted_pct: (aborted.length / arr.length) * 100,
+        time_to_abort_ms: median(aborted.map((r) => toFiniteNumber(r?.request_to_stop_ms)).filter((x) => x !== null)),
+        received_chars: median(aborted.map((r) => (toFiniteNumber(r?.received_content_chars) || 0) + (toFiniteNumber(r?.received_reasoning_chars) || 0)))
+      };
+    });
+}
+
+/**
+ * Perf Render Abandonment Card.
+ */
+function perfRenderAbandonmentCard(records) {
+  const rows = perfBuildAbandonmentRows(records).filter((r) => r.aborted_count > 0);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="abandonment">
+        <h3 class="dark-header">ABANDONED GENERATIONS</h3>
+        <div class="sub-label">Counts streams the user stopped (or that closed) before a finish reason, per model.</div>
+        <div class="llm-empty">No aborted runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const sorted = [...rows].sort((a, b) => b.aborted_pct - a.aborted_pct);
+  const rateBars = sorted.map((r) => perfSpeedBarRow(r.short, r.aborted_pct, "%", r.aborted_pct, r.color, "val-warn")).join("");
+  const detailRows = sorted.map((r) => `
+    <div class="doc-metric-row">
+      <div class="doc-row-head">
+        <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</span>
+        <span class="doc-value">${typeof r.time_to_abort_ms === "number" ? `${formatNumber(convertMsToSec(r.time_to_abort_ms), 1)} s` : "-"}</span>
+      </div>
+      <div class="doc-meta">${formatInt(r.aborted_count)} of ${formatInt(r.run_count)} runs aborted · median ${formatInt(r.received_chars)} chars received before stop</div>
+    </div>
+  `).join("");
+  const top = sorted[0];
+
+  return `
+    <div class="card-panel" data-panel="abandonment">
+      <h3 class="dark-header">ABANDONED GENERATIONS</h3>
+      <div class="sub-label">Share of streamed runs that ended without a finish reason (Stop pressed, tab closed, connection dropped). High rates usually mean answers are too slow or off track.</div>
+      <div>${rateBars}</div>
+      <div class="sub-label">Median time from request to abort, with how much text had arrived.</div>
+      <div>${detailRows}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${escapeHtml(top.short)} is abandoned most often (${formatNumber(top.aborted_pct, 1)}% of runs).</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Count By.
+ * Returns `[{ key, count }]` sorted by count (desc) then key.
+ */
+function perfCountBy(records, keyFn) {
+  const counts = new Map();
+  for (const r of records || []) {
+    const key = String(keyFn(r) ?? "unknown");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+/**
+ * Perf Render Error Card.
+ */
+function perfRenderErrorCard(records) {
+  const errors = (records || []).filter((r) => r?.outcome === "error");
+  if (!errors.length) {
+    return `
+      <div class="card-panel" data-panel="errors">
+        <h3 class="orange-header">FAILED REQUESTS</h3>
+        <div class="sub-label">Breaks HTTP and server errors down by model, status code and llama.cpp error type.</div>
+        <div class="llm-empty">No failed requests detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const attemptsByModel = new Map();
+  for (const r of records || []) {
+    const model = r?.model || "unknown";
+    attemptsByModel.set(model, (attemptsByModel.get(model) || 0) + 1);
+  }
+  const modelKeys = Array.from(attemptsByModel.keys()).sort((a, b) => a.localeCompare(b));
+  const colorFor = (model) => perfColorByIndex(Math.max(0, modelKeys.indexOf(model)));
+  const byModel = perfCountBy(errors, (r) => r?.model || "unknown").map((x) => ({
+    ...x,
+    pct: (x.count / (attemptsByModel.get(x.key) || x.count)) * 100
+  }));
+  const modelBars = byModel
+    .map((x) => perfSpeedBarRow(shortenModelName(x.key.replace(/-Q\d.*$/i, ""), 18), x.pct, "%", x.pct, colorFor(x.key), "val-warn"))
+    .join("");
+  const countRows = (list) => {
+    const max = Math.max(...list.map((x) => x.count), 1);
+    return list.slice(0, 6).map((x) => `
+      <div class="consistency-row">
+        <div class="consistency-name">${escapeHtml(x.key)}</div>
+        <div class="consistency-bar-bg"><div class="consistency-bar-fill" style="width:${formatNumber((x.count / max) * 100, 1)}%;background:${PERF_TEMPLATE_COLORS[0]}"></div></div>
+        <div class="consistency-value val-warn">${formatInt(x.count)}</div>
+      </div>
+    `).join("");
+  };
+  const byStatus = perfCountBy(errors, (r) => (typeof r?.http_status === "number" ? r.http_status : "unknown"));
+  const byType = perfCountBy(errors, (r) => r?.error_type || "unknown");
+
+  return `
+    <div class="card-panel" data-panel="errors">
+      <h3 class="orange-header">FAILED REQUESTS</h3>
+      <div class="sub-label">Share of requests per model that came back as an HTTP 4xx/5xx error instead of a completion.</div>
+      <div>${modelBars}</div>
+      <div class="two-col-grid">
+        <div>
+          <div class="sub-label">By status code</div>
+          <div>${countRows(byStatus)}</div>
+        </div>
+        <div>
+          <div class="sub-label">By error type</div>
+          <div>${countRows(byType)}</div>
+        </div>
+      </div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> Most common failure is <b>${escapeHtml(byType[0].key)}</b> (${formatInt(byType[0].count)} of ${formatInt(errors.length)} errors).</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Render Truncation Card.
+ * Runs where the server reported that the prompt was cut to fit the slot context, per model and per chain.
+ */
+function perfRenderTruncationCard(records) {
+  const truncated = (records || []).filter((r) => r?.context_truncated === true);
+  if (!truncated.length) {
+    return `
+      <div class="card-panel" data-panel="context-truncation">
+        <h3 class="dark-header">CONTEXT TRUNCATION</h3>
+        <div class="sub-label">Runs where llama.cpp dropped part of the prompt to fit the context window, so the model silently lost conversation history.</div>
+        <div class="llm-empty">No truncated runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const runsByModel = new Map();
+  for (const r of records || []) {
+    const model = r?.model || "unknown";
+    runsByModel.set(model, (runsByModel.get(model) || 0) + 1);
+  }
+  const modelKeys = Array.from(runsByModel.keys()).sort((a, b) => a.localeCompare(b));
+  const colorFor = (model) => perfColorByIndex(Math.max(0, modelKeys.indexOf(model)));
+  const modelBars = perfCountBy(truncated, (r) => r?.model || "unknown")
+    .map((x) => ({ ...x, pct: (x.count / (runsByModel.get(x.key) || x.count)) * 100 }))
+    .map((x) => perfSpeedBarRow(shortenModelName(x.key.replace(/-Q\d.*$/i, ""), 18), x.pct, "%", x.pct, colorFor(x.key), "val-warn"))
+    .join("");
+
+  const byChain = perfCountBy(truncated, (r) => r?.chain_id || "no chain");
+  const chainMax = Math.max(...byChain.map((x) => x.count), 1);
+  const chainRows = byChain.slice(0, 8).map((x) => {
+    const runs = truncated.filter((r) => (r?.chain_id || "no chain") === x.key);
+    const turns = runs.map((r) => toFiniteNumber(r?.turn_number)).filter((t) => t !== null);
+    const model = runs[runs.length - 1]?.model || "unknown";
+    const label = `${x.key === "no chain" ? x.key : x.key.slice(-8)} · ${shortenModelName(model.replace(/-Q\d.*$/i, ""), 14)}${turns.length ? ` · turn ${Math.min(...turns)}${turns.length > 1 ? `-${Math.max(...turns)}` : ""}` : ""}`;
+    return `
+      <div class="consistency-row" title="${escapeHtml(x.key)}">
+        <div class="consistency-name"><span class="color-dot" style="background:${colorFor(model)}"></span>${escapeHtml(label)}</div>
+        <div class="consistency-bar-bg"><div class="consistency-bar-fill" style="width:${formatNumber((x.count / chainMax) * 100, 1)}%;background:${colorFor(model)}"></div></div>
+        <div class="consistency-value val-warn">${formatInt(x.count)}</div>
+      </div>
+    `;
+  }).join("");
+  const nCtx = median(truncated.map((r) => toFiniteNumber(r?.n_ctx)).filter((x) => x !== null));
+
+  return `
+    <div class="card-panel" data-panel="context-truncation">
+      <h3 class="dark-header">CONTEXT TRUNCATION</h3>
+      <div class="sub-label">Share of completed runs per model where the server truncated the prompt to fit the context window.</div>
+      <div>${modelBars}</div>
+      <div class="sub-label">Conversations (chains) with truncated turns. Later turns in these chains no longer see the start of the conversation.</div>
+      <div>${chainRows}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${formatInt(truncated.length)} run${truncated.length === 1 ? "" : "s"} across ${formatInt(byChain.length)} conversation${byChain.length === 1 ? "" : "s"} lost history${typeof nCtx === "number" ? ` at a median context of ${formatInt(nCtx)} tokens` : ""}; raise the context size or trim the conversation.</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Server Config Rows.
+ * Groups completed runs by the server snapshot they were captured against.
+ */
+function perfBuildServerConfigRows(records, snapshots) {
+  const byId = new Map((snapshots || []).filter((s) => s?.snapshot_id).map((s) => [s.snapshot_id, s]));
+  const groups = new Map();
+  for (const r of records || []) {
+    const id = r?.server_snapshot_id || null;
+    if (!id) continue;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(r);
+  }
+
+  return Array.from(groups.entries()).map(([id, runs]) => {
+    const snap = byId.get(id) || null;
+    const modelFile = typeof snap?.model_path === "string" ? snap.model_path.split(/[\\/]/).pop() : null;
+    return {
+      id,
+      snapshot: snap,
+      label: modelFile || snap?.model_id || runs[runs.length - 1]?.model || "unknown",
+      runs: runs.length,
+      tps: median(runs.map((r) => toFiniteNumber(r?.predicted_tps)).filter((x) => x !== null)),
+      ttft: median(runs.map((r) => toFiniteNumber(r?.ttft_ms)).filter((x) => x !== null))
+    };
+  }).sort((a, b) => b.runs - a.runs || a.label.localeCompare(b.label));
+}
+
+/**
+ * Perf Render Server Config Card.
+ * One row per server configuration with its context size, slots and build, plus median speed and TTFT.
+ */
+function perfRenderServerConfigCard(records, snapshots) {
+  const rows = perfBuildServerConfigRows(records, snapshots);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="server-config">
+        <h3 class="blue-header">SERVER CONFIGURATIONS</h3>
+        <div class="sub-label">Runs grouped by the llama.cpp server configuration read from /props and /v1/models.</div>
+        <div class="llm-empty">No runs linked to a server snapshot for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const maxTps = Math.max(...rows.map((r) => r.tps || 0), 1);
+  const body = rows.slice(0, 8).map((row, i) => {
+    const snap = row.snapshot;
+    const details = [
+      typeof snap?.n_ctx === "number" ? `ctx ${formatInt(snap.n_ctx)}` : null,
+      typeof snap?.total_slots === "number" ? `${formatInt(snap.total_slots)} slot${snap.total_slots === 1 ? "" : "s"}` : null,
+      typeof snap?.n_params === "number" ? `${formatNumber(snap.n_params / 1e9, 1)}B params` : null,
+      snap?.build_info || null
+    ].filter(Boolean).join(" · ");
+    return `
+      ${perfSpeedBarRow(shortenModelName(row.label.replace(/-Q\d.*$/i, ""), 18), row.tps, " t/s", ((row.tps || 0) / maxTps) * 100, perfColorByIndex(i))}
+      <div class="sub-label" title="${escapeHtml(row.id)}">${escapeHtml(details || "configuration details unavailable")} · ${formatInt(row.runs)} run${row.runs === 1 ? "" : "s"} · TTFT ${formatNumber(convertMsToSec(row.ttft), 2)} s</div>
+    `;
+  }).join("");
+  const unlinked = (records || []).filter((r) => !r?.server_snapshot_id).length;
+
+  return `
+    <div class="card-panel" data-panel="server-config">
+      <h3 class="blue-header">SERVER CONFIGURATIONS</h3>
+      <div class="sub-label">Median generation speed per llama.cpp server configuration (model file, context size, slots, build).</div>
+      <div>${body}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${formatInt(rows.length)} distinct configuration${rows.length === 1 ? "" : "s"} observed${unlinked ? `; ${formatInt(unlinked)} run${unlinked === 1 ? "" : "s"} predate snapshot capture or came from a server without /props` : ""}.</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Nearest Server Sample.
+ * Closest load sample for an origin within `maxGapMs` of a timestamp.
+ */
+function perfNearestServerSample(samples, origin, t, maxGapMs) {
+  let best = null;
+  for (const s of samples || []) {
+    if (s?.origin !== origin) continue;
+    const gap = Math.abs((toFiniteNumber(s?.sampled_at_ms) ?? Infinity) - t);
+    if (gap <= maxGapMs && (!best || gap < best.gap)) best = { gap, sample: s };
+  }
+  return best ? best.sample : null;
+}
+
+/**
+ * Perf Server Busy Pct.
+ * Share of slots busy in a sample, from `/slots` when available, otherwise from the `/metrics` processing count.
+ */
+function perfServerBusyPct(sample) {
+  const total = toFiniteNumber(sample?.slots_total);
+  const busy = toFiniteNumber(sample?.slots_processing) ?? toFiniteNumber(sample?.requests_processing);
+  if (!total || busy === null) return null;
+  return Math.min(100, (busy / total) * 100);
+}
+
+/**
+ * Perf Render Server Load Svg.
+ * Per-record values as dots on the left axis, with KV cache usage and busy slots as lines on a 0-100% right axis.
+ */
+function perfRenderServerLoadSvg(points, samples, t0, t1, axisLabel) {
+  const W = 620;
+  const H = 200;
+  const pad = { l: 52, r: 40, t: 18, b: 40 };
+  const span = Math.max(1, t1 - t0);
+  const maxY = Math.max(1, ...points.map((p) => p.v)) * 1.1;
+  const xp = (t) => pad.l + ((t - t0) / span) * (W - pad.l - pad.r);
+  const yp = (v) => H - pad.b - (v / maxY) * (H - pad.t - pad.b);
+  const yPct = (pct) => H - pad.b - (pct / 100) * (H - pad.t - pad.b);
+  const timeLabel = (t) => new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  const grid = Array.from({ length: 5 }, (_, i) => {
+    const y = pad.t + i * ((H - pad.t - pad.b) / 4);
+    const val = maxY - i * (maxY / 4);
+    return `<g><line x1="${pad.l}" y1="${y}" x2="${W - pad.r}" y2="${y}" class="scatter-grid"/><text x="${pad.l - 5}" y="${y + 4}" class="scatter-tick" text-anchor="end">${formatNumber(val, val < 10 ? 1 : 0)}</text><text x="${W - pad.r + 5}" y="${y + 4}" class="scatter-tick" text-anchor="start">${100 - i * 25}%</text></g>`;
+  }).join("");
+  const ticksX = Array.from({ length: 5 }, (_, i) => {
+    const t = t0 + (span * i) / 4;
+    return `<text x="${xp(t)}" y="${H - pad.b + 16}" class="scatter-tick" text-anchor="middle">${timeLabel(t)}</text>`;
+  }).join("");
+  const line = (key, color, dash) => {
+    const pts = samples
+      .map((s) => ({ t: s.sampled_at_ms, v: key === "busy" ? perfServerBusyPct(s) : toFiniteNumber(s?.kv_cache_usage_ratio) }))
+      .filter((x) => typeof x.v === "number")
+      .map((x) => `${formatNumber(xp(x.t), 1)},${formatNumber(yPct(key === "busy" ? x.v : x.v * 100), 1)}`);
+    if (pts.length < 2) return "";
+    return `<polyline points="${pts.join(" ")}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" ${dash ? 'stroke-dasharray="4 3"' : ""} opacity=".75"></polyline>`;
+  };
+  const deferred = samples
+    .filter((s) => (toFiniteNumber(s?.requests_deferred) || 0) > 0)
+    .map((s) => `<line x1="${formatNumber(xp(s.sampled_at_ms), 1)}" y1="${H - pad.b - 6}" x2="${formatNumber(xp(s.sampled_at_ms), 1)}" y2="${H - pad.b}" stroke="var(--accent-warn)" stroke-width="2"><title>${formatInt(s.requests_deferred)} deferred</title></line>`)
+    .join("");
+  const dots = points
+    .map((p) => `<circle cx="${formatNumber(xp(p.t), 1)}" cy="${formatNumber(yp(p.v), 1)}" r="3.5" fill="${p.color}" opacity=".9"></circle>`)
+    .join("");
+
+  return `
+    <svg viewBox="0 0 ${W} ${H}" class="perf-scatter-svg" preserveAspectRatio="none">
+      ${grid}
+      ${ticksX}
+      <line x1="${pad.l}" y1="${H - pad.b}" x2="${W - pad.r}" y2="${H - pad.b}" class="scatter-axis"/>
+      <line x1="${pad.l}" y1="${pad.t}" x2="${pad.l}" y2="${H - pad.b}" class="scatter-axis"/>
+      <text x="${W / 2}" y="${H - 3}" class="scatter-axis-label" text-anchor="middle">Time →</text>
+      <text x="12" y="${H / 2}" class="scatter-axis-label" text-anchor="middle" transform="rotate(-90 12 ${H / 2})">${escapeHtml(axisLabel)} ↑</text>
+      ${line("kv", "var(--accent-primary)", false)}
+      ${line("busy", "var(--accent-secondary)", true)}
+      ${deferred}
+      ${dots}
+    </svg>
+  `;
+}
+
+/**
+ * Perf Render Server Load Card.
+ * Overlays polled `/metrics` and `/slots` samples on the per-record TPS and TTFT timeline.
+ */
+function perfRenderServerLoadCard(records, samples) {
+  const origins = new Set((records || []).map((r) => r?.api_origin).filter(Boolean));
+  const relevant = (samples || []).filter((s) => origins.has(s?.origin) && typeof s?.sampled_at_ms === "number");
+  const timed = (records || []).filter((r) => typeof toFiniteNumber(r?.captured_at_ms) === "number");
+  if (!relevant.length || !timed.length) {
+    return `
+      <div class="card-panel full-width" data-panel="server-load">
+        <h3 class="dark-header">SERVER LOAD TIMELINE</h3>
+        <div class="sub-label">KV cache usage and busy slots scraped from llama.cpp /metrics and /slots, overlaid on each run's speed and TTFT.</div>
+        <div class="llm-empty">No server load samples for the current filters. Enable "Poll server load" in the extension popup (the server needs --metrics for /metrics).</div>
+      </div>
+    `;
+  }
+
+  const times = [...timed.map((r) => r.captured_at_ms), ...relevant.map((s) => s.sampled_at_ms)];
+  const t0 = Math.min(...times);
+  const t1 = Math.max(...times);
+  const modelKeys = uniqueValues(timed.map((r) => r?.model || "unknown")).sort((a, b) => a.localeCompare(b));
+  const colorFor = (model) => perfColorByIndex(Math.max(0, modelKeys.indexOf(model)));
+  const pointsFor = (key, scale) => timed
+    .map((r) => ({ t: r.captured_at_ms, v: toFiniteNumber(r?.[key]), color: colorFor(r?.model || "unknown") }))
+    .filter((p) => p.v !== null)
+    .map((p) => ({ ...p, v: p.v * scale }));
+
+  // Split runs by whether another request was in flight on the server when they finished.
+  const contended = [];
+  const idle = [];
+  for (const r of timed) {
+    const tps = toFiniteNumber(r?.predicted_tps);
+    const sample = perfNearestServerSample(relevant, r.api_origin, r.captured_at_ms, 2 * 60 * 1000);
+    if (tps === null || !sample) continue;
+    const busy = toFiniteNumber(sample.slots_processing) ?? toFiniteNumber(sample.requests_processing) ?? 0;
+    if (busy > 1 || (toFiniteNumber(sample.requests_deferred) || 0) > 0) contended.push(tps);
+    else idle.push(tps);
+  }
+  const idleTps = median(idle);
+  const contendedTps = median(contended);
+  const legend = [
+    ...modelKeys.map((m) => `<div class="legend-item"><div class="legend-dot" style="background:${colorFor(m)}"></div>${escapeHtml(shortenModelName(m.replace(/-Q\d.*$/i, ""), 18))}</div>`),
+    `<div class="legend-item"><div class="legend-dot" style="background:var(--accent-primary)"></div>KV cache %</div>`,
+    `<div class="legend-item"><div class="legend-dot" style="background:var(--accent-secondary)"></div>Busy slots %</div>`,
+    `<div class="legend-item"><div class="legend-dot" style="background:var(--accent-warn)"></div>Deferred requests</div>`
+  ].join("");
+
+  return `
+    <div class="card-panel full-width" data-panel="server-load">
+      <h3 class="dark-header">SERVER LOAD TIMELINE</h3>
+      <div class="sub-label">Generation speed per run (dots) against server KV cache usage and busy slots (lines, right axis).</div>
+      <div class="chart-container decay-chart">${perfRenderServerLoadSvg(pointsFor("predicted_tps", 1), relevant, t0, t1, "TPS")}</div>
+      <div class="sub-label">TTFT per run (seconds) on the same timeline.</div>
+      <div class="chart-container decay-chart">${perfRenderServerLoadSvg(pointsFor("ttft_ms", 0.001), relevant, t0, t1, "TTFT s")}</div>
+      <div>${legend}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${typeof idleTps === "number" && typeof contendedTps === "number"
+        ? `Runs that shared the server with other requests generated at ${formatNumber(contendedTps, 1)} t/s vs ${formatNumber(idleTps, 1)} t/s when they had it to themselves.`
+        : `${formatInt(relevant.length)} load sample${relevant.length === 1 ? "" : "s"} cover this period; no run overlapped with other requests on the server.`}</div>
+    </div>
+  `;
+}
+
+/**
+ * Is Loopback Origin.
+ */
+function isLoopbackOrigin(origin) {
+  try {
+    const host = new URL(origin).hostname.toLowerCase();
+    return host === "localhost" || host.endsWith(".localhost") || host === "[::1]" || host.startsWith("127.");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Perf Render Network Overhead Card.
+ * Median connection phases from Resource Timing and the TTFT share not spent on server prompt processing, per remote host.
+ */
+function perfRenderNetworkOverheadCard(records) {
+  const hostOf = (r) => {
+    try {
+      return new URL(r.ui_origin).host;
+    } catch {
+      return null;
+    }
+  };
+  const remote = (records || []).filter((r) => r?.ui_origin && !isLoopbackOrigin(r.ui_origin) && hostOf(r));
+  const hosts = uniqueValues(remote.map(hostOf)).sort((a, b) => a.localeCompare(b));
+  const withTiming = remote.filter((r) => r?.net_timing_allowed !== null || r?.ttft_overhead_ms !== null);
+  if (!hosts.length || !withTiming.length) {
+    return `
+      <div class="card-panel" data-panel="network-overhead">
+        <h3 class="blue-header">NETWORK OVERHEAD</h3>
+        <div class="sub-label">DNS, connect, TLS and request wait from Resource Timing for remote servers, next to the TTFT not explained by prompt processing.</div>
+        <div class="llm-empty">No runs against remote servers with network timing for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const phases = [
+    { key: "net_dns_ms", label: "DNS" },
+    { key: "net_connect_ms", label: "Connect (incl. TLS)" },
+    { key: "net_tls_ms", label: "TLS" },
+    { key: "net_request_ms", label: "Request → first byte" },
+    { key: "ttft_overhead_ms", label: "TTFT − server prompt" }
+  ];
+  const blocks = hosts.slice(0, 4).map((host, i) => {
+    const runs = withTiming.filter((r) => hostOf(r) === host);
+    if (!runs.length) return "";
+    const values = phases.map((p) => ({ ...p, value: median(runs.map((r) => toFiniteNumber(r?.[p.key])).filter((x) => x !== null)) }));
+    const max = Math.max(...values.map((v) => v.value || 0), 1);
+    const restricted = runs.filter((r) => r?.net_timing_allowed === false).length;
+    return `
+      <div class="sub-label"><span class="color-dot" style="background:${perfColorByIndex(i)}"></span>${escapeHtml(host)} · ${formatInt(runs.length)} run${runs.length === 1 ? "" : "s"}${restricted ? ` · ${formatInt(restricted)} without Timing-Allow-Origin` : ""}</div>
+      <div>${values.map((v) => perfSpeedBarRow(v.label, v.value, "ms", ((v.value || 0) / max) * 100, perfColorByIndex(i), v.key === "ttft_overhead_ms" ? "val-warn" : "val")).join("")}</div>
+    `;
+  }).join("");
+
+  const setup = median(withTiming
+    .map((r) => {
+      const parts = [toFiniteNumber(r?.net_dns_ms), toFiniteNumber(r?.net_connect_ms)];
+      return parts.some((x) => x !== null) ? parts.reduce((a, b) => a + (b || 0), 0) : null;
+    })
+    .filter((x) => x !== null));
+  const overhead = median(withTiming.map((r) => toFiniteNumber(r?.ttft_overhead_ms)).filter((x) => x !== null));
+
+  return `
+    <div class="card-panel" data-panel="network-overhead">
+      <h3 class="blue-header">NETWORK OVERHEAD</h3>
+      <div class="sub-label">Median per-request phases for remote servers. "TTFT − server prompt" covers network, slot queueing and templating.</div>
+      ${blocks}
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${typeof overhead === "number"
+        ? `${formatNumber(overhead, 0)} ms of each TTFT happens outside prompt processing${typeof setup === "number" ? `, of which ${formatNumber(setup, 0)} ms is DNS and connection setup` : ""}.`
+        : "Connection phases are available, but no streamed run reported server prompt timings to compare against."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Sampling Rows.
+ * Runs with logprob statistics grouped by their temperature / top_p setting.
+ */
+function perfBuildSamplingRows(records) {
+  const groups = new Map();
+  for (const r of records || []) {
+    if (toFiniteNumber(r?.sampling_perplexity) === null) continue;
+    const temp = toFiniteNumber(r?.temperature);
+    const topP = toFiniteNumber(r?.top_p);
+    const key = `${temp ?? "default"}|${topP ?? "default"}`;
+    if (!groups.has(key)) groups.set(key, { temp, topP, runs: [] });
+    groups.get(key).runs.push(r);
+  }
+
+  return Array.from(groups.values()).map((g) => {
+    const pick = (key) => median(g.runs.map((r) => toFiniteNumber(r?.[key])).filter((x) => x !== null));
+    const lowConf = pick("sampling_low_conf_fraction");
+    return {
+      label: `T ${g.temp === null ? "default" : formatNumber(g.temp, 2)} · top_p ${g.topP === null ? "default" : formatNumber(g.topP, 2)}`,
+      temp: g.temp,
+      runs: g.runs.length,
+      perplexity: pick("sampling_perplexity"),
+      low_conf_pct: typeof lowConf === "number" ? lowConf * 100 : null,
+      margin: pick("sampling_top_margin")
+    };
+  }).sort((a, b) => (a.temp ?? -1) - (b.temp ?? -1) || a.label.localeCompare(b.label));
+}
+
+/**
+ * Perf Render Sampling Card.
+ */
+function perfRenderSamplingCard(records) {
+  const rows = perfBuildSamplingRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="sampling-confidence">
+        <h3 class="orange-header">SAMPLING CONFIDENCE</h3>
+        <div class="sub-label">Token probabilities from runs that requested logprobs / n_probs, grouped by temperature and top_p.</div>
+        <div class="llm-empty">No runs with logprobs for the current filters (the UI must request logprobs or n_probs).</div>
+      </div>
+    `;
+  }
+
+  const maxPpl = Math.max(...rows.map((r) => r.perplexity || 0), 1);
+  const shown = rows.slice(0, 8);
+  const pplBars = shown
+    .map((r, i) => perfSpeedBarRow(`${r.label} (${formatInt(r.runs)})`, r.perplexity, "", ((r.perplexity || 0) / maxPpl) * 100, perfColorByIndex(i), "val"))
+    .join("");
+  const lowBars = shown
+    .map((r, i) => perfSpeedBarRow(r.label, r.low_conf_pct, "%", r.low_conf_pct || 0, perfColorByIndex(i), (r.low_conf_pct || 0) >= 25 ? "val-warn" : "val-green"))
+    .join("");
+  const tempRows = rows.filter((r) => r.temp !== null);
+  const coolest = tempRows[0];
+  const hottest = tempRows[tempRows.length - 1];
+
+  return `
+    <div class="card-panel" data-panel="sampling-confidence">
+      <h3 class="orange-header">SAMPLING CONFIDENCE</h3>
+      <div class="sub-label">Median perplexity of the sampled tokens per sampler setting (lower = the model was more certain of what it emitted; run count in brackets).</div>
+      <div>${pplBars}</div>
+      <div class="sub-label">Share of sampled tokens with probability below 50%.</div>
+      <div>${lowBars}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${coolest && hottest && coolest !== hottest
+        ? `Going from T ${formatNumber(coolest.temp, 2)} to T ${formatNumber(hottest.temp, 2)} moves median perplexity from ${formatNumber(coolest.perplexity, 2)} to ${formatNumber(hottest.perplexity, 2)} and low-confidence tokens from ${formatPct(coolest.low_conf_pct)} to ${formatPct(hottest.low_conf_pct)}.`
+        : `Median perplexity ${formatNumber(rows[0].perplexity, 2)}, top-1 vs top-2 margin ${formatNumber(rows[0].margin, 2)}; vary temperature to compare settings.`}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Sampler Settings Rows.
+ * Completed runs grouped by llama.cpp parameter fingerprint, with median speed and TTFT.
+ */
+function perfBuildSamplerSettingsRows(records) {
+  const groups = new Map();
+  for (const r of records || []) {
+    const fp = r?.param_fingerprint;
+    if (!fp) continue;
+    if (!groups.has(fp)) groups.set(fp, []);
+    groups.get(fp).push(r);
+  }
+  return Array.from(groups.entries()).map(([fp, runs]) => ({
+    fingerprint: fp,
+    label: runs[runs.length - 1]?.sampler_label || "server defaults",
+    models: uniqueValues(runs.map((r) => r?.model || "unknown")).length,
+    runs: runs.length,
+    tps: median(runs.map((r) => toFiniteNumber(r?.predicted_tps)).filter((x) => x !== null)),
+    ttft: median(runs.map((r) => toFiniteNumber(r?.ttft_ms)).filter((x) => x !== null))
+  })).sort((a, b) => b.runs - a.runs || a.label.localeCompare(b.label));
+}
+
+/**
+ * Perf Render Sampler Settings Card.
+ */
+function perfRenderSamplerSettingsCard(records) {
+  const rows = perfBuildSamplerSettingsRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="sampler-settings">
+        <h3 class="orange-header">SAMPLER SETTINGS</h3>
+        <div class="sub-label">Runs grouped by the full llama.cpp parameter set sent with the request.</div>
+        <div class="llm-empty">No runs with captured llama.cpp parameters for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const shown = rows.slice(0, 8);
+  const maxTps = Math.max(...shown.map((r) => r.tps || 0), 1);
+  const body = shown.map((row, i) => `
+      ${perfSpeedBarRow(row.label, row.tps, " t/s", ((row.tps || 0) / maxTps) * 100, perfColorByIndex(i))}
+      <div class="sub-label" title="fingerprint ${escapeHtml(row.fingerprint)}">${formatInt(row.runs)} run${row.runs === 1 ? "" : "s"} · ${formatInt(row.models)} model${row.models === 1 ? "" : "s"} · TTFT ${formatNumber(convertMsToSec(row.ttft), 2)} s · ${escapeHtml(row.fingerprint)}</div>
+    `).join("");
+  const fastest = [...rows].filter((r) => typeof r.tps === "number").sort((a, b) => b.tps - a.tps)[0];
+
+  return `
+    <div class="card-panel" data-panel="sampler-settings">
+      <h3 class="orange-header">SAMPLER SETTINGS</h3>
+      <div class="sub-label">Median generation speed per parameter fingerprint (temperature, top_p/top_k/min_p, penalties, DRY/XTC/mirostat, grammar and schema constraints, LoRA).</div>
+      <div>${body}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${rows.length === 1
+        ? "All runs used the same sampler settings."
+        : `${formatInt(rows.length)} distinct settings; ${fastest ? `"${escapeHtml(fastest.label)}" was fastest at ${formatNumber(fastest.tps, 1)} t/s.` : ""} Compare within one model, since settings and models are often changed together.`}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Structured Output Rows.
+ * Per model: median speed of JSON-constrained vs unconstrained runs and the share of constrained answers that validated.
+ */
+function perfBuildStructuredOutputRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  const rows = [];
+  for (const [model, runs] of byModel.entries()) {
+    const constrained = runs.filter((r) => r?.output_constraint === "json_schema" || r?.output_constraint === "json_object");
+    if (!constrained.length) continue;
+    const free = runs.filter((r) => !r?.output_constraint);
+    const checked = constrained.filter((r) => typeof r?.structured_valid === "boolean");
+    const tpsOf = (arr) => median(arr.map((r) => toFiniteNumber(r?.predicted_tps)).filter((x) => x !== null));
+    rows.push({
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      constrained_runs: constrained.length,
+      free_runs: free.length,
+      constrained_tps: tpsOf(constrained),
+      free_tps: tpsOf(free),
+      checked: checked.length,
+      valid_pct: checked.length ? (checked.filter((r) => r.structured_valid).length / checked.length) * 100 : null,
+      parse_fail: checked.filter((r) => r.structured_parse_ok === false).length
+    });
+  }
+  return rows.sort((a, b) => b.constrained_runs - a.constrained_runs || a.model.localeCompare(b.model));
+}
+
+/**
+ * Perf Render Structured Output Card.
+ */
+function perfRenderStructuredOutputCard(records) {
+  const rows = perfBuildStructuredOutputRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="structured-output">
+        <h3 class="blue-header">STRUCTURED OUTPUT</h3>
+        <div class="sub-label">Runs that requested response_format / json_schema, checked after the stream for valid JSON.</div>
+        <div class="llm-empty">No JSON-constrained runs for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const shown = rows.slice(0, 6);
+  const maxTps = Math.max(...shown.flatMap((r) => [r.constrained_tps || 0, r.free_tps || 0]), 1);
+  const body = shown.map((row, i) => `
+      <div class="sub-label">${escapeHtml(row.short)} · ${formatInt(row.constrained_runs)} constrained / ${formatInt(row.free_runs)} free</div>
+      ${perfSpeedBarRow("constrained", row.constrained_tps, " t/s", ((row.constrained_tps || 0) / maxTps) * 100, perfColorByIndex(i))}
+      ${perfSpeedBarRow("unconstrained", row.free_tps, " t/s", ((row.free_tps || 0) / maxTps) * 100, "var(--accent-secondary)")}
+      ${perfSpeedBarRow("valid JSON", row.valid_pct, "%", row.valid_pct || 0, perfColorByIndex(i), row.valid_pct !== null && row.valid_pct < 95 ? "val-warn" : "val-green")}
+    `).join("");
+  const compared = rows.filter((r) => typeof r.constrained_tps === "number" && typeof r.free_tps === "number" && r.free_tps > 0);
+  const costPct = compared.length ? median(compared.map((r) => (1 - r.constrained_tps / r.free_tps) * 100)) : null;
+  const parseFails = rows.reduce((sum, r) => sum + r.parse_fail, 0);
+
+  return `
+    <div class="card-panel" data-panel="structured-output">
+      <h3 class="blue-header">STRUCTURED OUTPUT</h3>
+      <div class="sub-label">Median generation speed with and without a JSON constraint, and the share of constrained answers that parsed with the expected top-level type and required keys.</div>
+      <div>${body}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${typeof costPct === "number"
+        ? `Constrained decoding ${costPct >= 0 ? "costs" : "gains"} a median ${formatPct(Math.abs(costPct))} of generation speed across ${formatInt(compared.length)} model${compared.length === 1 ? "" : "s"}.`
+        : "Run the same model without response_format to measure the speed cost of constraints."} ${parseFails ? `${formatInt(parseFails)} constrained answer${parseFails === 1 ? "" : "s"} did not parse as JSON.` : ""}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Degenerate Output Rows.
+ * Per model: share of completed runs with an empty answer or looping text, plus median repeated n-gram ratio.
+ */
+function perfBuildDegenerateOutputRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    if (toFiniteNumber(r?.output_chars) === null) continue;
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  return Array.from(byModel.entries()).map(([model, runs]) => {
+    const empty = runs.filter((r) => r?.output_empty === true).length;
+    const looping = runs.filter((r) => r?.output_looping === true).length;
+    return {
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      runs: runs.length,
+      empty,
+      looping,
+      degenerate_pct: ((runs.filter((r) => r?.output_empty === true || r?.output_looping === true).length) / runs.length) * 100,
+      repeat_ratio: median(runs.map((r) => toFiniteNumber(r?.output_repeat_ratio)).filter((x) => x !== null)),
+      chars: median(runs.map((r) => toFiniteNumber(r?.output_chars)).filter((x) => x !== null))
+    };
+  }).sort((a, b) => b.degenerate_pct - a.degenerate_pct || a.model.localeCompare(b.model));
+}
+
+/**
+ * Perf Render Degenerate Output Card.
+ */
+function perfRenderDegenerateOutputCard(records) {
+  const rows = perfBuildDegenerateOutputRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="degenerate-output">
+        <h3 class="dark-header">DEGENERATE OUTPUT</h3>
+        <div class="sub-label">Empty answers and looping text per model, from the captured response text.</div>
+        <div class="llm-empty">No runs with output analysis for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const body = rows.slice(0, 8).map((row, i) => `
+      ${perfSpeedBarRow(row.short, row.degenerate_pct, "%", row.degenerate_pct, perfColorByIndex(i), row.degenerate_pct > 0 ? "val-warn" : "val-green")}
+      <div class="sub-label">${formatInt(row.runs)} run${row.runs === 1 ? "" : "s"} · ${formatInt(row.empty)} empty · ${formatInt(row.looping)} looping · repeated 6-grams ${formatPct(typeof row.repeat_ratio === "number" ? row.repeat_ratio * 100 : null)} · median ${formatInt(row.chars)} chars</div>
+    `).join("");
+  const worst = rows[0];
+
+  return `
+    <div class="card-panel" data-panel="degenerate-output">
+      <h3 class="dark-header">DEGENERATE OUTPUT</h3>
+      <div class="sub-label">Share of completed runs per model whose answer was empty or looped (at least half of its 6-word sequences repeated, one of them 4+ times).</div>
+      <div>${body}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${worst.degenerate_pct > 0
+        ? `${escapeHtml(worst.short)} produced degenerate output in ${formatPct(worst.degenerate_pct)} of runs; use the "Output: empty or looping" filter to inspect them, and check repeat penalties or context length.`
+        : "No empty or looping answers for the current filters."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Tool Call Rows.
+ */
+function perfBuildToolCallRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  const rows = [];
+  for (const [model, arr] of Array.from(byModel.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+    const withCalls = arr.filter((r) => (toFiniteNumber(r?.tool_calls_count) || 0) > 0);
+    if (!withCalls.length) continue;
+    const checked = withCalls.reduce((sum, r) => sum + (toFiniteNumber(r?.tool_calls_json_checked_count) || 0), 0);
+    const valid = withCalls.reduce((sum, r) => sum + (toFiniteNumber(r?.tool_calls_json_valid_count) || 0), 0);
+    const timed = withCalls.filter((r) => (toFiniteNumber(r?.tool_call_args_ms) || 0) > 0);
+    const timedBytes = timed.reduce((sum, r) => sum + (toFiniteNumber(r?.tool_call_args_bytes) || 0), 0);
+    const timedMs = timed.reduce((sum, r) => sum + (toFiniteNumber(r?.tool_call_args_ms) || 0), 0);
+    rows.push({
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      color: perfColorByIndex(colorIdx++),
+      run_count: arr.length,
+      tool_run_count: withCalls.length,
+      call_count: withCalls.reduce((sum, r) => sum + (toFiniteNumber(r?.tool_calls_count) || 0), 0),
+      tool_rate_pct: (withCalls.length / arr.length) * 100,
+      json_valid_pct: checked > 0 ? (valid / checked) * 100 : null,
+      args_bytes_per_sec: timedMs > 0 ? (timedBytes / timedMs) * 1000 : null
+    });
+  }
+  return rows;
+}
+
+/**
+ * Perf Render Tool Call Card.
+ */
+function perfRenderToolCallCard(records) {
+  const rows = perfBuildToolCallRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="tool-calls">
+        <h3 class="orange-header">TOOL CALLS</h3>
+        <div class="sub-label">Tracks how often models answer with tool calls, whether the streamed arguments are valid JSON, and how fast the arguments are generated.</div>
+        <div class="llm-empty">No tool-call runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const rateBars = [...rows]
+    .sort((a, b) => b.tool_rate_pct - a.tool_rate_pct)
+    .map((r) => perfSpeedBarRow(r.short, r.tool_rate_pct, "%", r.tool_rate_pct, r.color, "val"))
+    .join("");
+  const validRows = rows.filter((r) => typeof r.json_valid_pct === "number").sort((a, b) => b.json_valid_pct - a.json_valid_pct);
+  const validBars = validRows.length
+    ? validRows.map((r) => perfSpeedBarRow(r.short, r.json_valid_pct, "%", r.json_valid_pct, r.color, r.json_valid_pct >= 99.5 ? "val-green" : "val-warn")).join("")
+    : `<div class="llm-empty">No tool-call arguments to validate.</div>`;
+  const speedRows = rows.filter((r) => typeof r.args_bytes_per_sec === "number").sort((a, b) => b.args_bytes_per_sec - a.args_bytes_per_sec);
+  const speedMax = Math.max(...speedRows.map((r) => r.args_bytes_per_sec || 0), 1);
+  const speedBars = speedRows.length
+    ? speedRows.map((r) => perfSpeedBarRow(r.short, r.args_bytes_per_sec, " B/s", (r.args_bytes_per_sec / speedMax) * 100, r.color, "val-blue")).join("")
+    : `<div class="llm-empty">No streamed tool-call arguments with timing.</div>`;
+  const worstValid = validRows[validRows.length - 1] || null;
+
+  return `
+    <div class="card-panel" data-panel="tool-calls">
+      <h3 class="orange-header">TOOL CALLS</h3>
+      <div class="sub-label">Share of completions that returned at least one tool call, per model.</div>
+      <div>${rateBars}</div>
+      <div class="sub-label">Share of tool calls whose assembled arguments parse as JSON. Anything below 100% means the client has to repair or retry calls.</div>
+      <div>${validBars}</div>
+      <div class="sub-label">Argument generation speed from first to last argument chunk (bytes per second, streamed runs only).</div>
+      <div>${speedBars}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${worstValid && worstValid.json_valid_pct < 100 ? `${escapeHtml(worstValid.short)} produced invalid arguments in ${formatNumber(100 - worstValid.json_valid_pct, 1)}% of calls.` : "All captured tool-call arguments parsed as valid JSON."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Itl Rows.
+ * Per-model medians of each run's inter-token latency percentiles plus stalls per 1k token chunks.
+ */
+function perfBuildItlRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    if (toFiniteNumber(r?.itl_p50_ms) === null) continue;
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  return Array.from(byModel.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([model, arr]) => {
+      const chunks = arr.reduce((sum, r) => sum + (toFiniteNumber(r?.token_chunk_count) || 0), 0);
+      const stallRuns = arr.filter((r) => toFiniteNumber(r?.stall_count) !== null);
+      const stalls = stallRuns.reduce((sum, r) => sum + (toFiniteNumber(r?.stall_count) || 0), 0);
+      return {
+        model,
+        short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+        color: perfColorByIndex(colorIdx++),
+        run_count: arr.length,
+        p50: median(arr.map((r) => toFiniteNumber(r?.itl_p50_ms)).filter((x) => x !== null)),
+        p90: median(arr.map((r) => toFiniteNumber(r?.itl_p90_ms)).filter((x) => x !== null)),
+        p99: median(arr.map((r) => toFiniteNumber(r?.itl_p99_ms)).filter((x) => x !== null)),
+        max: Math.max(...arr.map((r) => toFiniteNumber(r?.itl_max_ms) || 0)),
+        stall_runs: stallRuns.length,
+        stalls_per_1k: stallRuns.length && chunks > 0 ? (stalls / chunks) * 1000 : null
+      };
+    });
+}
+
+/**
+ * Perf Render Itl Card.
+ */
+function perfRenderItlCard(records) {
+  const rows = perfBuildItlRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="itl">
+        <h3 class="blue-header">INTER-TOKEN LATENCY</h3>
+        <div class="sub-label">Client-observed gaps between streamed token chunks: p50, p90 and p99 per model, plus stalls above the configured threshold.</div>
+        <div class="llm-empty">No streamed runs with chunk timelines for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const scaleMax = Math.max(...rows.map((r) => r.p99 || r.p90 || r.p50 || 0), 1);
+  const pct = (v) => Math.min(100, ((v || 0) / scaleMax) * 100);
+  const distRows = [...rows]
+    .sort((a, b) => (a.p50 || 0) - (b.p50 || 0))
+    .map((r) => `
+      <div class="consistency-row" title="p50 ${formatNumber(r.p50, 0)}ms / p90 ${formatNumber(r.p90, 0)}ms / p99 ${formatNumber(r.p99, 0)}ms / max ${formatNumber(r.max, 0)}ms">
+        <div class="consistency-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</div>
+        <div class="consistency-bar-bg itl-track">
+          <div class="itl-tail" style="left:${formatNumber(pct(r.p90), 1)}%;width:${formatNumber(Math.max(0, pct(r.p99) - pct(r.p90)), 1)}%;background:${r.color}"></div>
+          <div class="consistency-bar-fill" style="width:${formatNumber(pct(r.p90), 1)}%;background:${r.color}"></div>
+          <div class="itl-marker" style="left:${formatNumber(pct(r.p50), 1)}%"></div>
+        </div>
+        <div class="consistency-value" style="color:${r.color}">${formatNumber(r.p50, 0)}/${formatNumber(r.p99, 0)}</div>
+      </div>
+    `).join("");
+  const stallRows = rows.filter((r) => typeof r.stalls_per_1k === "number").sort((a, b) => b.stalls_per_1k - a.stalls_per_1k);
+  const stallMax = Math.max(...stallRows.map((r) => r.stalls_per_1k || 0), 1);
+  const stallBars = stallRows.length
+    ? stallRows.map((r) => perfSpeedBarRow(r.short, r.stalls_per_1k, " /1k", (r.stalls_per_1k / stallMax) * 100, r.color, r.stalls_per_1k > 0 ? "val-warn" : "val-green")).join("")
+    : `<div class="llm-empty">No stall counts recorded (set a stall threshold in the popup).</div>`;
+  const worstTail = [...rows].filter((r) => typeof r.p99 === "number" && typeof r.p50 === "number" && r.p50 > 0)
+    .sort((a, b) => (b.p99 / b.p50) - (a.p99 / a.p50))[0] || null;
+
+  return `
+    <div class="card-panel" data-panel="itl">
+      <h3 class="blue-header">INTER-TOKEN LATENCY</h3>
+      <div class="sub-label">Gap between streamed token chunks (ms). Solid bar runs to p90, the faded tail to p99, the tick marks p50. Value shows p50/p99.</div>
+      <div>${distRows}</div>
+      <div class="sub-label">Stalls per 1,000 token chunks (gaps at or above the stall threshold).</div>
+      <div>${stallBars}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${worstTail ? `${escapeHtml(worstTail.short)} has the heaviest tail: p99 is ${formatNumber(worstTail.p99 / worstTail.p50, 1)}x its median gap.` : "Not enough chunk timing data to compare tails."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Throughput Decay Rows.
+ * Per-model medians of first/last-quartile speed, decay ratio and each position bucket of the speed curve.
+ */
+function perfBuildThroughputDecayRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    if (toFiniteNumber(r?.throughput_decay_ratio) === null) continue;
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  return Array.from(byModel.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([model, arr]) => {
+      const buckets = Math.max(...arr.map((r) => (Array.isArray(r?.throughput_curve_tps) ? r.throughput_curve_tps.length : 0)));
+      const curve = Array.from({ length: buckets }, (_, i) =>
+        median(arr.map((r) => toFiniteNumber(r?.throughput_curve_tps?.[i])).filter((x) => x !== null))
+      );
+      return {
+        model,
+        short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+        color: perfColorByIndex(colorIdx++),
+        run_count: arr.length,
+        q1_tps: median(arr.map((r) => toFiniteNumber(r?.throughput_q1_tps)).filter((x) => x !== null)),
+        q4_tps: median(arr.map((r) => toFiniteNumber(r?.throughput_q4_tps)).filter((x) => x !== null)),
+        decay_ratio: median(arr.map((r) => toFiniteNumber(r?.throughput_decay_ratio)).filter((x) => x !== null)),
+        curve
+      };
+    });
+}
+
+/**
+ * Perf Render Throughput Curve Svg.
+ */
+function perfRenderThroughputCurveSvg(rows) {
+  const W = 620;
+  const H = 200;
+  const pad = { l: 52, r: 22, t: 18, b: 40 };
+  const maxY = Math.max(10, Math.ceil(Math.max(...rows.flatMap((r) => r.curve.filter((x) => typeof x === "number")), 0) / 10) * 10);
+  const xp = (pos) => pad.l + pos * (W - pad.l - pad.r);
+  const yp = (v) => H - pad.b - (v / maxY) * (H - pad.t - pad.b);
+
+  const grid = Array.from({ length: 5 }, (_, i) => {
+    const y = pad.t + i * ((H - pad.t - pad.b) / 4);
+    const val = maxY - i * (maxY / 4);
+    return `<g><line x1="${pad.l}" y1="${y}" x2="${W - pad.r}" y2="${y}" class="scatter-grid"/><text x="${pad.l - 5}" y="${y + 4}" class="scatter-tick" text-anchor="end">${Math.round(val)}</text></g>`;
+  }).join("");
+  const ticksX = Array.from({ length: 5 }, (_, i) => {
+    const x = xp(i / 4);
+    return `<text x="${x}" y="${H - pad.b + 16}" class="scatter-tick" text-anchor="middle">${i * 25}%</text>`;
+  }).join("");
+  const lines = rows.map((r) => {
+    const pts = r.curve
+      .map((v, i) => (typeof v === "number" ? `${formatNumber(xp((i + 0.5) / r.curve.length), 1)},${formatNumber(yp(v), 1)}` : null))
+      .filter(Boolean);
+    if (!pts.length) return "";
+    return `<polyline points="${pts.join(" ")}" fill="none" stroke="${r.color}" stroke-width="2" stroke-linejoin="round" opacity=".9"></polyline>`;
+  }).join("");
+
+  return `
+    <svg viewBox="0 0 ${W} ${H}" class="perf-scatter-svg" preserveAspectRatio="none">
+      ${grid}
+      ${ticksX}
+      <line x1="${pad.l}" y1="${H - pad.b}" x2="${W - pad.r}" y2="${H - pad.b}" class="scatter-axis"/>
+      <line x1="${pad.l}" y1="${pad.t}" x2="${pad.l}" y2="${H - pad.b}" class="scatter-axis"/>
+      <text x="${W / 2}" y="${H - 3}" class="scatter-axis-label" text-anchor="middle">Position in output →</text>
+      <text x="12" y="${H / 2}" class="scatter-axis-label" text-anchor="middle" transform="rotate(-90 12 ${H / 2})">TPS ↑</text>
+      ${lines}
+    </svg>
+  `;
+}
+
+/**
+ * Perf Render Throughput Decay Card.
+ */
+function perfRenderThroughputDecayCard(records) {
+  const rows = perfBuildThroughputDecayRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="throughput-decay">
+        <h3 class="orange-header">THROUGHPUT DECAY</h3>
+        <div class="sub-label">Generation speed across the length of each output, from the intermediate timings llama.cpp attaches to streamed chunks.</div>
+        <div class="llm-empty">No streamed runs with intermediate timings for the current filters (the server must send timings per chunk).</div>
+      </div>
+    `;
+  }
+
+  const decayRows = [...rows].sort((a, b) => (a.decay_ratio || 0) - (b.decay_ratio || 0));
+  const decayBars = decayRows.map((r) => {
+    const changePct = ((r.decay_ratio || 0) - 1) * 100;
+    return perfSpeedBarRow(r.short, changePct, "%", Math.min(100, Math.abs(changePct)), r.color, changePct <= -10 ? "val-warn" : "val-green");
+  }).join("");
+  const legend = rows.map((r) => `<div class="legend-item"><div class="legend-dot" style="background:${r.color}"></div>${escapeHtml(r.short)} (${formatNumber(r.q1_tps, 1)} → ${formatNumber(r.q4_tps, 1)} t/s)</div>`).join("");
+  const worst = decayRows[0];
+
+  return `
+    <div class="card-panel" data-panel="throughput-decay">
+      <h3 class="orange-header">THROUGHPUT DECAY</h3>
+      <div class="sub-label">Median generation speed by position in the output (each line is one model; later positions run with a fuller KV cache).</div>
+      <div class="chart-container decay-chart">${perfRenderThroughputCurveSvg(rows)}</div>
+      <div>${legend}</div>
+      <div class="sub-label">Last-quartile vs first-quartile speed. Negative values mean generation slows down as the output grows.</div>
+      <div>${decayBars}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${worst && worst.decay_ratio < 1 ? `${escapeHtml(worst.short)} loses ${formatNumber((1 - worst.decay_ratio) * 100, 1)}% of its speed between the first and last quarter of an output.` : "No model slows down over the course of its outputs."}</div>
+    </div>
+  `;
+}
+
+/**
+ * Perf Build Speculative Rows.
+ * Per target model, median generation speed of runs with and without a draft model, plus draft acceptance.
+ */
+function perfBuildSpeculativeRows(records) {
+  const byModel = new Map();
+  for (const r of records || []) {
+    const model = r?.model || "unknown";
+    if (!byModel.has(model)) byModel.set(model, []);
+    byModel.get(model).push(r);
+  }
+
+  let colorIdx = 0;
+  const rows = [];
+  for (const [model, arr] of Array.from(byModel.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+    const drafted = arr.filter((r) => (toFiniteNumber(r?.draft_n) || 0) > 0);
+    if (!drafted.length) continue;
+    const plain = arr.filter((r) => !((toFiniteNumber(r?.draft_n) || 0) > 0));
+    const draftTps = median(drafted.map((r) => toFiniteNumber(r?.predicted_tps)).filter((x) => x !== null));
+    const plainTps = median(plain.map((r) => toFiniteNumber(r?.predicted_tps)).filter((x) => x !== null));
+    const draftN = drafted.reduce((sum, r) => sum + (toFiniteNumber(r?.draft_n) || 0), 0);
+    const accepted = drafted.reduce((sum, r) => sum + (toFiniteNumber(r?.draft_n_accepted) || 0), 0);
+    rows.push({
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      color: perfColorByIndex(colorIdx++),
+      draft_run_count: drafted.length,
+      plain_run_count: plain.length,
+      draft_tps: draftTps,
+      plain_tps: plainTps,
+      speedup: typeof draftTps === "number" && typeof plainTps === "number" && plainTps > 0 ? draftTps / plainTps : null,
+      acceptance_pct: draftN > 0 ? (accepted / draftN) * 100 : null
     });
   }
-
   return rows;
 }
 
 /**
- * Perf Doc Tone Class.
+ * Perf Render Speculative Card.
  */
-function perfDocToneClass(index, total) {
-  const n = Math.max(1, total | 0);
-  if (n <= 2) return index === 0 ? "good" : "warn";
-  const p = index / Math.max(1, n - 1);
-  if (p <= 0.33) return "good";
-  if (p <= 0.66) return "mid";
-  return "warn";
+function perfRenderSpeculativeCard(records) {
+  const rows = perfBuildSpeculativeRows(records);
+  if (!rows.length) {
+    return `
+      <div class="card-panel" data-panel="speculative">
+        <h3 class="dark-header">SPECULATIVE DECODING</h3>
+        <div class="sub-label">Draft-model acceptance and generation speed with vs without a draft model, from the draft counters llama.cpp reports in timings.</div>
+        <div class="llm-empty">No speculative-decoding runs detected for the current filters.</div>
+      </div>
+    `;
+  }
+
+  const tpsMax = Math.max(...rows.flatMap((r) => [r.draft_tps || 0, r.plain_tps || 0]), 1);
+  const tpsBars = rows.map((r) => `
+    ${perfSpeedBarRow(`${r.short} + draft`, r.draft_tps, " t/s", ((r.draft_tps || 0) / tpsMax) * 100, r.color, "val-blue")}
+    ${perfSpeedBarRow(`${r.short} alone`, r.plain_tps, " t/s", ((r.plain_tps || 0) / tpsMax) * 100, r.color, "val")}
+  `).join("");
+  const acceptRows = rows.filter((r) => typeof r.acceptance_pct === "number").sort((a, b) => b.acceptance_pct - a.acceptance_pct);
+  const acceptBars = acceptRows.map((r) => perfSpeedBarRow(r.short, r.acceptance_pct, "%", r.acceptance_pct, r.color, r.acceptance_pct >= 60 ? "val-green" : "val-warn")).join("");
+  const best = [...rows].filter((r) => typeof r.speedup === "number").sort((a, b) => b.speedup - a.speedup)[0] || null;
+
+  return `
+    <div class="card-panel" data-panel="speculative">
+      <h3 class="dark-header">SPECULATIVE DECODING</h3>
+      <div class="sub-label">Median generation speed with a draft model vs runs of the same target model without one.</div>
+      <div>${tpsBars}</div>
+      <div class="sub-label">Share of drafted tokens accepted by the target model.</div>
+      <div>${acceptBars || `<div class="llm-empty">No acceptance counters reported.</div>`}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${best ? `Drafting makes ${escapeHtml(best.short)} ${formatNumber(best.speedup, 2)}x as fast as running it alone.` : "Capture runs without a draft model too to measure the speedup."}</div>
+    </div>
+  `;
 }
 
 /**
- * Perf Render Document Ingestion Card.
+ * Perf Build Prefill Rows.
+ * Most recent document-attached runs that streamed prompt progress, oldest first, colored by model.
  */
-function perfRenderDocumentIngestionCard(records) {
-  const rows = perfBuildDocumentIngestionRows(records);
-  if (!rows.length) {
+function perfBuildPrefillRows(records, limit = 12) {
+  const runs = (records || [])
+    .filter((r) => Array.isArray(r?.prefill_curve) && r.prefill_curve.length > 0)
+    .filter((r) => r?.document_detected === true || String(r?.input_mode || "").includes("file"))
+    .sort((a, b) => (toFiniteNumber(a?.captured_at_ms) || 0) - (toFiniteNumber(b?.captured_at_ms) || 0))
+    .slice(-limit);
+  const models = uniqueValues(runs.map((r) => r?.model || "unknown")).sort((a, b) => a.localeCompare(b));
+  const colorByModel = new Map(models.map((m, i) => [m, perfColorByIndex(i)]));
+  return runs.map((r) => {
+    const model = r?.model || "unknown";
+    return {
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      color: colorByModel.get(model),
+      total_tokens: toFiniteNumber(r?.prefill_total_tokens),
+      cache_skipped_pct: toFiniteNumber(r?.prefill_cache_skipped_pct),
+      prefill_ms: toFiniteNumber(r?.prefill_client_ms),
+      curve: r.prefill_curve
+        .map((p) => [toFiniteNumber(p?.[0]), toFiniteNumber(p?.[1])])
+        .filter((p) => p[0] !== null && p[1] !== null)
+    };
+  });
+}
+
+/**
+ * Perf Render Prefill Card.
+ */
+function perfRenderPrefillCard(records) {
+  const runs = perfBuildPrefillRows(records);
+  if (!runs.length) {
     return `
-      <div class="card-panel full-width">
-        <h3 class="dark-header">DOCUMENT INGESTION EFFICIENCY INDEX</h3>
-        <div class="sub-label">Compares file-ingestion cost, startup delay inflation, and post-ingestion output efficiency for document-attached runs.</div>
-        <div class="llm-empty">No document-attached runs detected for the current filters.</div>
+      <div class="card-panel" data-panel="prefill">
+        <h3 class="blue-header">PREFILL PROGRESS</h3>
+        <div class="sub-label">Prompt-processing progress over time for document-attached runs, from llama.cpp prompt progress events.</div>
+        <div class="llm-empty">No document runs with prompt progress for the current filters (the request must set <b>return_progress</b>).</div>
       </div>
     `;
   }
 
-  const ingestionRows = [...rows]
-    .filter((r) => typeof r.doc_ms_per_mb === "number")
-    .sort((a, b) => a.doc_ms_per_mb - b.doc_ms_per_mb);
-  const ingestionMax = Math.max(...ingestionRows.map((r) => r.doc_ms_per_mb || 0), 1);
-  const ttftRows = [...rows]
-    .filter((r) => typeof r.ttft_delta_ms === "number")
-    .sort((a, b) => a.ttft_delta_ms - b.ttft_delta_ms);
-  const ttftAbsMax = Math.max(...ttftRows.map((r) => Math.abs(r.ttft_delta_ms || 0)), 1);
-  const outputRows = [...rows]
-    .filter((r) => typeof r.ms_per_output_token_file === "number" || typeof r.ms_per_output_token_text === "number")
-    .sort((a, b) => (a.ms_per_output_token_file ?? Infinity) - (b.ms_per_output_token_file ?? Infinity));
-  const outputMax = Math.max(...outputRows.flatMap((r) => [r.ms_per_output_token_file || 0, r.ms_per_output_token_text || 0]), 1);
+  const W = 620;
+  const H = 200;
+  const pad = { l: 52, r: 22, t: 18, b: 40 };
+  const maxX = Math.max(...runs.flatMap((r) => r.curve.map((p) => p[0])), 1);
+  const xp = (v) => pad.l + (v / maxX) * (W - pad.l - pad.r);
+  const yp = (v) => H - pad.b - v * (H - pad.t - pad.b);
+  const grid = Array.from({ length: 5 }, (_, i) => {
+    const y = pad.t + i * ((H - pad.t - pad.b) / 4);
+    return `<g><line x1="${pad.l}" y1="${y}" x2="${W - pad.r}" y2="${y}" class="scatter-grid"/><text x="${pad.l - 5}" y="${y + 4}" class="scatter-tick" text-anchor="end">${100 - i * 25}%</text></g>`;
+  }).join("");
+  const ticksX = Array.from({ length: 5 }, (_, i) => `<text x="${xp((maxX * i) / 4)}" y="${H - pad.b + 16}" class="scatter-tick" text-anchor="middle">${Math.round((maxX * i) / 4)}ms</text>`).join("");
+  const lines = runs.map((r) => {
+    const pts = r.curve.map((p) => `${formatNumber(xp(p[0]), 1)},${formatNumber(yp(p[1]), 1)}`);
+    return `<polyline points="${pts.join(" ")}" fill="none" stroke="${r.color}" stroke-width="2" stroke-linejoin="round" opacity=".85"></polyline>`;
+  }).join("");
+  const legend = uniqueValues(runs.map((r) => r.model))
+    .map((m) => runs.find((r) => r.model === m))
+    .map((r) => `<div class="legend-item"><div class="legend-dot" style="background:${r.color}"></div>${escapeHtml(r.short)}</div>`)
+    .join("");
+  const cached = runs.filter((r) => typeof r.cache_skipped_pct === "number");
+  const avgCached = cached.length ? avgOf(cached.map((r) => r.cache_skipped_pct)) : null;
+  const slowest = [...runs].filter((r) => typeof r.prefill_ms === "number").sort((a, b) => b.prefill_ms - a.prefill_ms)[0] || null;
 
-  const ingestionHtml = ingestionRows.length
-    ? ingestionRows.map((r, i) => {
-      const cls = perfDocToneClass(i, ingestionRows.length);
-      const pct = ((r.doc_ms_per_mb || 0) / ingestionMax) * 100;
-      const medal = i < 3 ? ["🥇 ", "🥈 ", "🥉 "][i] : "";
-      return `
-        <div class="doc-metric-row">
-          <div class="doc-row-head">
-            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${medal}${escapeHtml(r.short)}</span>
-            <span class="doc-value">${formatNumber(r.doc_ms_per_mb, 0)} ms/MB</span>
-          </div>
-          <div class="doc-track"><div class="doc-fill ${cls}" style="width:${formatNumber(pct, 1)}%"></div></div>
-          <div class="doc-meta">${formatInt(r.file_run_count)} runs · median file ${formatNumber(r.file_bytes_median_mb, 2)} MB</div>
-        </div>
-      `;
-    }).join("")
-    : `<div class="llm-empty">No valid prompt/file size timing pairs.</div>`;
+  return `
+    <div class="card-panel" data-panel="prefill">
+      <h3 class="blue-header">PREFILL PROGRESS</h3>
+      <div class="sub-label">Share of the prompt processed over time since the request was sent (last ${formatInt(runs.length)} document runs). Lines starting above 0% skipped cached tokens.</div>
+      <div class="chart-container decay-chart">
+        <svg viewBox="0 0 ${W} ${H}" class="perf-scatter-svg" preserveAspectRatio="none">
+          ${grid}
+          ${ticksX}
+          <line x1="${pad.l}" y1="${H - pad.b}" x2="${W - pad.r}" y2="${H - pad.b}" class="scatter-axis"/>
+          <line x1="${pad.l}" y1="${pad.t}" x2="${pad.l}" y2="${H - pad.b}" class="scatter-axis"/>
+          <text x="${W / 2}" y="${H - 3}" class="scatter-axis-label" text-anchor="middle">Time since request →</text>
+          <text x="12" y="${H / 2}" class="scatter-axis-label" text-anchor="middle" transform="rotate(-90 12 ${H / 2})">Prompt ↑</text>
+          ${lines}
+        </svg>
+      </div>
+      <div>${legend}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${slowest ? `Slowest prefill: ${escapeHtml(slowest.short)} took ${formatNumber(slowest.prefill_ms, 0)}ms for ${typeof slowest.total_tokens === "number" ? formatInt(slowest.total_tokens) : "?"} prompt tokens.` : "No prefill timing available."}${typeof avgCached === "number" ? ` On average ${formatNumber(avgCached, 1)}% of each prompt came from cache.` : ""}</div>
+    </div>
+  `;
+}
 
-  const ttftHtml = ttftRows.length
-    ? ttftRows.map((r) => {
-      const delta = r.ttft_delta_ms || 0;
-      const magPct = (Math.abs(delta) / ttftAbsMax) * 50;
-      const left = delta < 0 ? (50 - magPct) : 50;
-      const cls = delta < 0 ? "good" : (delta > 0 ? "warn" : "mid");
-      const baselineLabel = r.baseline_exact_count > 0
-        ? (r.baseline_model_count > 0 ? `mixed baseline (${r.baseline_exact_count} exact)` : "prompt-hash baseline")
-        : "model baseline";
-      return `
-        <div class="doc-metric-row">
-          <div class="doc-row-head">
-            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</span>
-            <span class="doc-value ${delta < 0 ? "val-green" : delta > 0 ? "val-warn" : "val"}">${delta >= 0 ? "+" : ""}${formatNumber(delta, 0)} ms</span>
-          </div>
-          <div class="doc-delta-track">
-            <div class="doc-delta-zero"></div>
-            <div class="doc-delta-fill ${cls}" style="left:${formatNumber(left, 1)}%;width:${formatNumber(magPct, 1)}%"></div>
-          </div>
-          <div class="doc-meta">${baselineLabel} · ${formatInt(r.ttft_delta_count)} comparable runs</div>
-        </div>
-      `;
-    }).join("")
-    : `<div class="llm-empty">No text-only baseline available for TTFT delta.</div>`;
+/** @internal */
+const PERF_TOKEN_BUCKET_ORDER = ["0", "1-512", "513-2K", "2K-8K", "8K-32K", ">32K"];
 
-  const outputHtml = outputRows.length
-    ? outputRows.map((r) => {
-      const f = r.ms_per_output_token_file;
-      const t = r.ms_per_output_token_text;
-      const filePct = typeof f === "number" ? (f / outputMax) * 100 : 0;
-      const textPct = typeof t === "number" ? (t / outputMax) * 100 : 0;
-      const deltaPct = r.output_efficiency_delta_pct;
-      return `
-        <div class="doc-metric-row">
-          <div class="doc-row-head">
-            <span class="doc-name"><span class="color-dot" style="background:${r.color}"></span>${escapeHtml(r.short)}</span>
-            <span class="doc-value">${typeof f === "number" ? `${formatNumber(f, 2)} ms/tok` : "-"}</span>
-          </div>
-          <div class="doc-dual-bars">
-            <div class="doc-dual-line">
-              <span class="doc-dual-label">Text</span>
-              <div class="doc-track"><div class="doc-fill neutral" style="width:${formatNumber(textPct, 1)}%"></div></div>
-              <span class="doc-dual-value">${typeof t === "number" ? formatNumber(t, 2) : "-"}</span>
-            </div>
-            <div class="doc-dual-line">
-              <span class="doc-dual-label">File</span>
-              <div class="doc-track"><div class="doc-fill blue" style="width:${formatNumber(filePct, 1)}%"></div></div>
-              <span class="doc-dual-value">${typeof f === "number" ? formatNumber(f, 2) : "-"}</span>
-            </div>
-          </div>
-          <div class="doc-meta">${typeof deltaPct === "number" ? `${deltaPct >= 0 ? "+" : ""}${formatNumber(deltaPct, 1)}% vs text baseline` : "No text-only output-speed baseline"}</div>
-        </div>
-      `;
-    }).join("")
-    : `<div class="llm-empty">No output timing data available for document runs.</div>`;
+/**
+ * Perf Build Prompt Token Rows.
+ * Runs with `/tokenize` counts grouped by the current user message's token bucket, plus bytes per token per model.
+ */
+function perfBuildPromptTokenRows(records) {
+  const tokenized = (records || []).filter((r) => PERF_TOKEN_BUCKET_ORDER.includes(r?.user_text_token_bucket));
+  const pick = (runs, key) => median(runs.map((r) => toFiniteNumber(r?.[key])).filter((x) => x !== null));
+  const buckets = PERF_TOKEN_BUCKET_ORDER
+    .map((label) => {
+      const runs = tokenized.filter((r) => r.user_text_token_bucket === label);
+      return { label, runs: runs.length, ttft: pick(runs, "ttft_ms") };
+    })
+    .filter((b) => b.runs > 0);
+  const models = uniqueValues(tokenized.map((r) => r?.model || "unknown"))
+    .sort((a, b) => a.localeCompare(b))
+    .map((model, i) => ({
+      model,
+      short: shortenModelName(model.replace(/-Q\d.*$/i, ""), 18),
+      color: perfColorByIndex(i),
+      bytes_per_token: pick(tokenized.filter((r) => (r?.model || "unknown") === model), "bytes_per_token")
+    }))
+    .filter((m) => typeof m.bytes_per_token === "number");
+  return { buckets, models };
+}
 
-  const bestIngestion = ingestionRows[0] || null;
-  const bestTtft = [...ttftRows].sort((a, b) => (a.ttft_delta_ms || 0) - (b.ttft_delta_ms || 0))[0] || null;
-  const stableOutput = [...outputRows]
-    .filter((r) => typeof r.output_efficiency_delta_pct === "number")
-    .sort((a, b) => Math.abs(a.output_efficiency_delta_pct) - Math.abs(b.output_efficiency_delta_pct))[0] || null;
+/**
+ * Perf Render Prompt Token Card.
+ */
+function perfRenderPromptTokenCard(records) {
+  const { buckets, models } = perfBuildPromptTokenRows(records);
+  if (!buckets.length) {
+    return `
+      <div class="card-panel" data-panel="prompt-tokens">
+        <h3 class="blue-header">PROMPT TOKENS</h3>
+        <div class="sub-label">TTFT by the exact token count of the current user message, and bytes per token per model.</div>
+        <div class="llm-empty">No runs with exact token counts for the current filters (enable <b>Exact prompt token counts</b> in the popup).</div>
+      </div>
+    `;
+  }
+
+  const maxTtft = Math.max(...buckets.map((b) => b.ttft || 0), 1);
+  const ttftBars = buckets
+    .map((b, i) => perfSpeedBarRow(`${b.label} tokens (${formatInt(b.runs)})`, b.ttft, "ms", ((b.ttft || 0) / maxTtft) * 100, perfColorByIndex(i), "val"))
+    .join("");
+  const maxBpt = Math.max(...models.map((m) => m.bytes_per_token || 0), 1);
+  const bptBars = models
+    .map((m) => perfSpeedBarRow(m.short, m.bytes_per_token, " B", ((m.bytes_per_token || 0) / maxBpt) * 100, m.color, "val"))
+    .join("");
+  const timed = buckets.filter((b) => typeof b.ttft === "number");
+  const first = timed[0];
+  const last = timed[timed.length - 1];
+  const densest = [...models].sort((a, b) => b.bytes_per_token - a.bytes_per_token)[0] || null;
 
   return `
-    <div class="card-panel full-width" data-panel="document-ingestion-efficiency">
-      <h3 class="dark-header">DOCUMENT INGESTION EFFICIENCY INDEX</h3>
-      <div class="sub-label">Isolates document workflows by comparing ingestion cost per MB, TTFT inflation versus text-only baselines, and post-ingestion output efficiency. Lower values are generally better.</div>
-      <div class="doc-ingestion-grid">
-        <div class="doc-subpanel">
-          <div class="doc-subpanel-title">A. Ingestion Cost per MB</div>
-          <div class="doc-subpanel-sub">Prompt processing cost normalized by file size (ms/MB)</div>
-          <div>${ingestionHtml}</div>
-        </div>
-        <div class="doc-subpanel">
-          <div class="doc-subpanel-title">B. TTFT Inflation (Delta)</div>
-          <div class="doc-subpanel-sub">Document TTFT minus text-only baseline TTFT (ms)</div>
-          <div>${ttftHtml}</div>
-        </div>
-        <div class="doc-subpanel">
-          <div class="doc-subpanel-title">C. Output Efficiency After Ingestion</div>
-          <div class="doc-subpanel-sub">Compare ms/output-token for text-only vs text+file (lower is better)</div>
-          <div>${outputHtml}</div>
-        </div>
-      </div>
-      <div class="takeaway"><strong>DOC TAKEAWAY:</strong> ${bestIngestion ? `${escapeHtml(bestIngestion.short)} leads ingestion at ${formatNumber(bestIngestion.doc_ms_per_mb, 0)} ms/MB.` : "Need more file runs."} ${bestTtft ? `Best startup delta: ${escapeHtml(bestTtft.short)} (${bestTtft.ttft_delta_ms >= 0 ? "+" : ""}${formatNumber(bestTtft.ttft_delta_ms, 0)} ms).` : ""} ${stableOutput ? `Most stable output speed vs text baseline: ${escapeHtml(stableOutput.short)} (${stableOutput.output_efficiency_delta_pct >= 0 ? "+" : ""}${formatNumber(stableOutput.output_efficiency_delta_pct, 1)}%).` : ""}</div>
+    <div class="card-panel" data-panel="prompt-tokens">
+      <h3 class="blue-header">PROMPT TOKENS</h3>
+      <div class="sub-label">Median TTFT by the exact token count of the current user message (run count in brackets).</div>
+      <div>${ttftBars}</div>
+      <div class="sub-label">Median UTF-8 bytes per prompt token per model (more bytes per token = fewer tokens for the same text).</div>
+      <div>${bptBars || `<div class="llm-empty">No bytes-per-token data.</div>`}</div>
+      <div class="takeaway"><strong>TAKEAWAY:</strong> ${first && last && first !== last
+        ? `Median TTFT goes from ${formatNumber(first.ttft, 0)}ms at ${escapeHtml(first.label)} tokens to ${formatNumber(last.ttft, 0)}ms at ${escapeHtml(last.label)} tokens.`
+        : "All tokenized runs fall in one size bucket; vary prompt length to compare."}${models.length > 1 && densest ? ` ${escapeHtml(densest.short)} packs the most text into each token (${formatNumber(densest.bytes_per_token, 2)} bytes).` : ""}</div>
     </div>
   `;
 }
@@ -954,9 +2411,11 @@ function adjustPerfFrontierChartHeight(root = __dashboardState.elements?.root) {
 /**
  * Perf Render Dashboard Template.
  */
-function perfRenderDashboardTemplate(records, summary, theme) {
+function perfRenderDashboardTemplate(records, summary, theme, attemptedRecords = records, serverSnapshots = [], serverSamples = []) {
   const models = perfBuildModelRows(records);
-  if (!models.length) return `<div class="llm-empty">No data available for the infographic dashboard.</div>`;
+  const abandonmentCard = perfRenderAbandonmentCard(attemptedRecords);
+  const errorCard = perfRenderErrorCard(attemptedRecords);
+  if (!models.length && !attemptedRecords.length) return `<div class="llm-empty">No data available for the infographic dashboard.</div>`;
 
   const textModels = models.filter((m) => !m.vision && typeof m.ttft === "number");
   const visionModels = models.filter((m) => m.vision && typeof m.ttft === "number").sort((a, b) => (b.ttft || 0) - (a.ttft || 0));
@@ -1026,6 +2485,21 @@ function perfRenderDashboardTemplate(records, summary, theme) {
   const scatterSvg = perfRenderScatterSvg(textModels);
   const docRows = perfBuildDocumentIngestionRows(records);
   const docIngestionCard = perfRenderDocumentIngestionCard(records);
+  const multiChoiceCard = perfRenderMultiChoiceCard(records);
+  const toolCallCard = perfRenderToolCallCard(records);
+  const itlCard = perfRenderItlCard(records);
+  const throughputDecayCard = perfRenderThroughputDecayCard(records);
+  const speculativeCard = perfRenderSpeculativeCard(records);
+  const prefillCard = perfRenderPrefillCard(records);
+  const truncationCard = perfRenderTruncationCard(records);
+  const serverConfigCard = perfRenderServerConfigCard(records, serverSnapshots);
+  const serverLoadCard = perfRenderServerLoadCard(records, serverSamples);
+  const networkOverheadCard = perfRenderNetworkOverheadCard(records);
+  const samplingCard = perfRenderSamplingCard(records);
+  const promptTokenCard = perfRenderPromptTokenCard(records);
+  const samplerSettingsCard = perfRenderSamplerSettingsCard(records);
+  const structuredOutputCard = perfRenderStructuredOutputCard(records);
+  const degenerateOutputCard = perfRenderDegenerateOutputCard(records);
 
   const topTps = tpsSorted[0];
   const lowTps = tpsSorted[tpsSorted.length - 1];
@@ -1118,7 +2592,9 @@ function perfRenderDashboardTemplate(records, summary, theme) {
             ${bestInClassRow}
             <div class="card-panel" data-panel="ttft">
               <h3 class="orange-header">THE RACE TO FIRST RESPONSE</h3>
-              <div class="sub-label">Shows time-to-first-token (TTFT) in milliseconds for text models, so compare bar lengths to identify the fastest interactive responders and spot latency outliers.</div>
+              <div class="sub-label">${__dashboardState.ttftBasis === "first_content"
+                ? "Shows time to the first visible answer chunk (after any reasoning) in milliseconds for text models, so thinking models are ranked by when the user actually starts reading."
+                : "Shows time-to-first-token (TTFT) in milliseconds for text models, so compare bar lengths to identify the fastest interactive responders and spot latency outliers."}</div>
               <div>${ttftBars}</div>
               <div class="takeaway"><strong>TAKEAWAY:</strong> Fastest text models cluster near ${ttftSorted[0]?.ttft ? `${formatNumber(ttftSorted[0].ttft, 0)}ms` : "-"} TTFT.</div>
             </div>
@@ -1183,6 +2659,38 @@ function perfRenderDashboardTemplate(records, summary, theme) {
               <div>${speedRank}</div>
             </div>
 
+            ${abandonmentCard}
+
+            ${errorCard}
+
+            ${toolCallCard}
+
+            ${itlCard}
+
+            ${throughputDecayCard}
+
+            ${speculativeCard}
+
+            ${prefillCard}
+
+            ${promptTokenCard}
+
+            ${truncationCard}
+
+            ${samplingCard}
+
+            ${samplerSettingsCard}
+            ${structuredOutputCard}
+            ${degenerateOutputCard}
+
+            ${serverConfigCard}
+
+            ${networkOverheadCard}
+
+            ${serverLoadCard}
+
+            ${multiChoiceCard}
+
             <div class="card-panel full-width" data-panel="latency-stability">
               <h3 class="dark-header">LATENCY STABILITY — Consistency Under Load</h3>
               <div class="sub-label">Shows TTFT variability as standard deviation in milliseconds, so lower values indicate more predictable response starts while higher values signal unstable latency behavior.</div>
@@ -1220,12 +2728,11 @@ function renderDashboard(stats) {
   const baseRecords = Array.isArray(stats?.records_compact) ? stats.records_compact : [];
   const models = Array.isArray(stats?.models) ? stats.models : [];
   syncInputModeSelector(baseRecords);
+  syncEndpointSelector(baseRecords);
   syncModelToggles(models);
 
-  const mode = __dashboardState.selectedInputMode || "all";
-  const filteredByMode = mode === "all" ? baseRecords : baseRecords.filter((r) => (r?.input_mode || "unknown") === mode);
-  const selectedModels = new Set(Array.from(__dashboardState.selectedModels));
-  const filtered = filteredByMode.filter((r) => selectedModels.has(r.model));
+  const attempted = applyTtftBasis(filterDashboardRecords(baseRecords));
+  const filtered = attempted.filter(isCompletedDashboardRecord);
 
   const filteredSummary = (() => {
     const total = filtered.length;
@@ -1255,7 +2762,9 @@ function renderDashboard(stats) {
   elements.summary.style.display = "none";
   const titleEl = elements.root.querySelector(".llm-title");
   if (titleEl) titleEl.textContent = "Llama.cpp UI: Metrics Dashboard";
-  elements.bestCards.innerHTML = perfRenderDashboardTemplate(filtered, filteredSummary, __dashboardState.theme);
+  const serverSnapshots = Array.isArray(stats?.server_snapshots) ? stats.server_snapshots : [];
+  const serverSamples = Array.isArray(stats?.server_samples) ? stats.server_samples : [];
+  elements.bestCards.innerHTML = perfRenderDashboardTemplate(filtered, filteredSummary, __dashboardState.theme, attempted, serverSnapshots, serverSamples);
 
   requestAnimationFrame(() => {
     adjustPerfFrontierChartHeight(elements.root);
@@ -1588,7 +3097,7 @@ function mountDashboardUi() {
       .llm-chip b { color: var(--llm-ink); font-weight: 700; }
       .llm-controls {
         display: grid;
-        grid-template-columns: 280px 1fr;
+        grid-template-columns: 280px 280px 220px 1fr;
         gap: 10px;
         align-items: start;
       }
@@ -1965,6 +3474,22 @@ function mountDashboardUi() {
       .perf-dashboard .main-grid > .card-panel[data-panel="efficiency-frontier"] { order: 70; }
       .perf-dashboard .main-grid > .card-panel[data-panel="size-efficiency"] { order: 80; }
       .perf-dashboard .main-grid > .card-panel[data-panel="reasoning-share"] { order: 90; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="abandonment"] { order: 91; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="errors"] { order: 92; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="tool-calls"] { order: 93; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="itl"] { order: 94; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="multi-choice"] { order: 95; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="throughput-decay"] { order: 96; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="speculative"] { order: 97; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="prefill"] { order: 98; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="context-truncation"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="server-config"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="server-load"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="network-overhead"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="sampling-confidence"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="sampler-settings"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="structured-output"] { order: 99; }
+      .perf-dashboard .main-grid > .card-panel[data-panel="degenerate-output"] { order: 99; }
       .perf-dashboard .main-grid > .card-panel[data-panel="latency-stability"] { order: 100; }
       .perf-dashboard .best-class-row {
         display: grid;
@@ -2090,9 +3615,13 @@ function mountDashboardUi() {
       .perf-dashboard .consistency-bar-bg { flex:1; height:13px; background:var(--bg-bar-track); border-radius:3px; overflow:hidden; }
       .perf-dashboard .consistency-bar-fill { height:100%; border-radius:3px; opacity:.78; }
       .perf-dashboard .consistency-value { width:54px; text-align:right; font-size:.66rem; font-weight:700; }
+      .perf-dashboard .itl-track { position:relative; }
+      .perf-dashboard .itl-tail { position:absolute; top:3px; bottom:3px; border-radius:0 3px 3px 0; opacity:.35; }
+      .perf-dashboard .itl-marker { position:absolute; top:0; bottom:0; width:2px; margin-left:-1px; background:var(--text-primary); opacity:.7; }
       .perf-dashboard .chart-container { background: var(--bg-inset); border-radius: 5px; overflow: hidden; border:1px solid var(--border-color); }
       .perf-dashboard .frontier-grid { display:grid; grid-template-columns: 2fr 1fr; gap: 12px; }
       .perf-dashboard .frontier-chart { height: 220px; }
+      .perf-dashboard .decay-chart { height: 200px; margin-bottom: 6px; }
       .perf-dashboard .perf-scatter-svg { width: 100%; height: 100%; display: block; }
       .perf-dashboard .scatter-grid { stroke: var(--canvas-grid); stroke-width: 1; }
       .perf-dashboard .scatter-axis { stroke: var(--canvas-text); stroke-width: 1.2; }
@@ -2306,6 +3835,18 @@ function mountDashboardUi() {
           <div class="llm-summary" id="llm-summary"></div>
           <div class="llm-controls">
             <select id="llm-input-mode" class="llm-select"></select>
+            <select id="llm-endpoint" class="llm-select"></select>
+            <select id="llm-ttft-basis" class="llm-select" title="What TTFT measures across the dashboard">
+              <option value="first_token">TTFT: first token</option>
+              <option value="first_content">TTFT: first visible answer</option>
+            </select>
+            <select id="llm-output-shape" class="llm-select" title="Filter runs by the structure of the captured answer">
+              <option value="all">Output Filter (All)</option>
+              <option value="code">Output: has code</option>
+              <option value="markdown">Output: markdown, no code</option>
+              <option value="prose">Output: plain prose</option>
+              <option value="degenerate">Output: empty or looping</option>
+            </select>
             <div class="llm-model-filter">
               <button id="llm-model-filter-toggle" class="llm-select llm-model-filter-btn" type="button" aria-expanded="false">Model Filters (All)</button>
               <div id="llm-model-filter-panel" class="llm-model-filter-panel" hidden>
@@ -2328,6 +3869,9 @@ function mountDashboardUi() {
   const exportPng = root.getElementById("llm-export-png");
   const themeToggle = root.getElementById("llm-theme");
   const inputMode = root.getElementById("llm-input-mode");
+  const endpoint = root.getElementById("llm-endpoint");
+  const ttftBasis = root.getElementById("llm-ttft-basis");
+  const outputShape = root.getElementById("llm-output-shape");
   const modelFilterToggle = root.getElementById("llm-model-filter-toggle");
   const modelFilterPanel = root.getElementById("llm-model-filter-panel");
   const modelToggles = root.getElementById("llm-model-toggles");
@@ -2348,6 +3892,9 @@ function mountDashboardUi() {
     summary: root.getElementById("llm-summary"),
     bestCards: root.getElementById("llm-best-cards"),
     inputMode,
+    endpoint,
+    ttftBasis,
+    outputShape,
     modelFilterToggle,
     modelFilterPanel,
     modelToggles
@@ -2373,6 +3920,18 @@ function mountDashboardUi() {
     __dashboardState.selectedInputMode = inputMode.value || "all";
     if (__dashboardState.lastStats) renderDashboard(__dashboardState.lastStats);
   });
+  endpoint.addEventListener("change", () => {
+    __dashboardState.selectedEndpoint = endpoint.value || "all";
+    if (__dashboardState.lastStats) renderDashboard(__dashboardState.lastStats);
+  });
+  outputShape.addEventListener("change", () => {
+    __dashboardState.selectedOutputShape = outputShape.value || "all";
+    if (__dashboardState.lastStats) renderDashboard(__dashboardState.lastStats);
+  });
+  ttftBasis.addEventListener("change", () => {
+    __dashboardState.ttftBasis = ttftBasis.value === "first_content" ? "first_content" : "first_token";
+    if (__dashboardState.lastStats) renderDashboard(__dashboardState.lastStats);
+  });
   modelFilterToggle.addEventListener("click", () => {
     const isOpen = !modelFilterPanel.hidden;
     setModelFilterOpen(!isOpen);
@@ -2406,11 +3965,7 @@ function mountDashboardUi() {
     adjustPerfFrontierChartHeight(root);
     const stats = __dashboardState.lastStats;
     const baseRecords = Array.isArray(stats?.records_compact) ? stats.records_compact : [];
-    const mode = __dashboardState.selectedInputMode || "all";
-    const filteredByMode = mode === "all" ? baseRecords : baseRecords.filter((r) => (r?.input_mode || "unknown") === mode);
-    const selectedModels = new Set(Array.from(__dashboardState.selectedModels));
-    const filtered = filteredByMode.filter((r) => selectedModels.has(r.model));
-    rerenderPerfFrontierScatter(root, filtered);
+    rerenderPerfFrontierScatter(root, applyTtftBasis(filterDashboardRecords(baseRecords)).filter(isCompletedDashboardRecord));
   });
 }
 
@@ -2432,17 +3987,30 @@ function installBridgeListeners() {
       probeLog("inject_ready_message");
       await debugLog("Injected script ready signal received");
       await syncDebugToPage("inject.ready");
+      await syncEndpointRulesToPage("inject.ready");
+      await syncCaptureOptionsToPage("inject.ready");
+      return;
+    }
+
+    if (msg.type === "LLAMACPP_SERVER_SNAPSHOT") {
+      const snapshotId = msg.snapshot?.snapshot_id || null;
+      const res = await safeSendMessage({ type: "server_snapshot", snapshot: msg.snapshot || null });
+      await debugLog("Server snapshot forwarded", { snapshot_id: snapshotId, reason: msg.reason || "unknown", ok: Boolean(res?.ok) });
       return;
     }
 
     if (msg.type === "LLAMACPP_METRICS_RECORD") {
       const traceId = msg.record?.trace_id || "no-trace";
+      let resolveKey = () => {};
+      __recordKeysByTrace.set(traceId, new Promise((resolve) => { resolveKey = resolve; }));
+      setTimeout(() => __recordKeysByTrace.delete(traceId), RECORD_KEY_RETENTION_MS);
       await debugLog(`Forwarding record [trace ${traceId}]`, msg.record);
       try {
         const res = await safeSendMessage({
           type: "record",
           record: msg.record
         });
+        resolveKey(res?.ok ? res.key || null : null);
         if (res?.ok) {
           await debugLog(`Record stored [trace ${traceId}]`, {
             session_id: res.session_id || null,
@@ -2465,6 +4033,7 @@ function installBridgeListeners() {
           });
         }
       } catch (e) {
+        resolveKey(null);
         await debugLog(`Failed to forward record [trace ${traceId}]`, String(e?.message || e));
         probeLog("record_forward_error", {
           trace_id: traceId,
@@ -2472,6 +4041,19 @@ function installBridgeListeners() {
         });
       }
       scheduleDashboardRefresh("new_record");
+      return;
+    }
+
+    if (msg.type === "LLAMACPP_METRICS_NETWORK_TIMING") {
+      const traceId = msg.trace_id || "no-trace";
+      const key = await __recordKeysByTrace.get(traceId);
+      if (!key) {
+        await debugLog(`Network timing dropped; record not stored [trace ${traceId}]`);
+        return;
+      }
+      const res = await safeSendMessage({ type: "record_network_timing", key, network_timing: msg.network_timing || null });
+      await debugLog(`Network timing forwarded [trace ${traceId}]`, { key, ok: Boolean(res?.ok) });
+      if (res?.ok) scheduleDashboardRefresh("network_timing");
     }
   });
 }
@@ -2491,6 +4073,8 @@ function startCapture() {
   probeLog("content_capture_started", { host: location.host });
 
   syncDebugToPage("content.startup");
+  syncEndpointRulesToPage("content.startup");
+  syncCaptureOptionsToPage("content.startup");
 }
 
 /**
@@ -2517,6 +4101,14 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     }
   }
 
+  if (changes[ENDPOINT_RULES_KEY] && __captureStarted) {
+    sendEndpointRulesToPage(changes[ENDPOINT_RULES_KEY].newValue, "storage.onChanged");
+  }
+
+  if (changes[CAPTURE_OPTIONS_KEY] && __captureStarted) {
+    sendCaptureOptionsToPage(changes[CAPTURE_OPTIONS_KEY].newValue, "storage.onChanged");
+  }
+
   if (changes[ALLOWED_DOMAINS_KEY]) {
     maybeStartCapture("allowed_domains_changed");
   }
@@ -1,7 +1,8 @@
 /**
  * @module injected
- * Page-context capture hook that wraps `window.fetch()` for `/v1/chat/completions`, parses SSE streams,
- * derives metrics, and emits normalized records back to the content script via `window.postMessage`.
+ * Page-context capture hook that wraps `window.fetch()` and `XMLHttpRequest` for `/v1/chat/completions`,
+ * `/v1/completions` and llama.cpp native `/completion`, parses SSE streams,
+ * reads non-streamed JSON completions, derives metrics, and emits normalized records back to the content script via `window.postMessage`.
  */
 
 (function () {
@@ -19,10 +20,83 @@
   const ATTACHMENT_EVENT_WINDOW_MS = 5 * 60 * 1000;
   /** @internal */
   const MAX_CAPTURED_TEXT_CHARS = 200000;
+  /** @internal */
+  const MAX_PERSISTED_CHUNK_GAPS = 8192;
+  /** @internal */
+  const TPS_CURVE_MAX_WINDOWS = 20;
+  /** @internal */
+  const MAX_THROUGHPUT_SAMPLES = 64;
+  /** @internal */
+  const THROUGHPUT_CURVE_BUCKETS = 10;
+  /** @internal */
+  const MAX_PROMPT_PROGRESS_SAMPLES = 64;
+  /** @internal */
+  const RESOURCE_TIMING_MATCH_MS = 1000;
+  /** @internal */
+  const NETWORK_TIMING_WAIT_MS = 30000;
+  /** @internal */
+  const LOW_CONFIDENCE_PROB = 0.5;
+  /** @internal */
+  const LLAMA_PARAMS_VERSION = 1;
+  /** @internal */
+  const LLAMA_PARAM_KEYS = [
+    "cache_prompt", "id_slot", "n_keep", "min_p", "typical_p", "top_n_sigma",
+    "repeat_penalty", "repeat_last_n", "penalize_nl", "dynatemp_range", "dynatemp_exponent",
+    "samplers", "grammar", "grammar_lazy", "json_schema", "response_format", "lora",
+    "reasoning_format", "chat_template_kwargs", "n_probs", "post_sampling_probs", "timings_per_token", "return_progress"
+  ];
+  // Keys that do not change what gets sampled; left out of the parameter fingerprint.
+  /** @internal */
+  const NON_SAMPLER_PARAM_KEYS = ["cache_prompt", "id_slot", "n_keep", "n_probs", "post_sampling_probs", "timings_per_token", "return_progress"];
+  /** @internal */
+  const MAX_INLINE_PARAM_CHARS = 256;
+  /** @internal */
+  const MAX_CHECKED_REQUIRED_KEYS = 32;
+  /** @internal */
+  const OUTPUT_SHAPE_NGRAM_WORDS = 6;
+  /** @internal */
+  const OUTPUT_SHAPE_MAX_WORDS = 20000;
+  /** @internal */
+  const LOOP_REPEAT_RATIO = 0.5;
+  /** @internal */
+  const LOOP_MIN_REPEATS = 4;
+  /** @internal */
+  const MAX_CODE_LANGUAGES = 8;
+  /** @internal */
+  const DEFAULT_CAPTURE_OPTIONS = {
+    stall_threshold_ms: 500,
+    reasoning_open_tag: "<think>",
+    reasoning_close_tag: "</think>",
+    tokenize_prompts: false
+  };
+
+  /** @internal */
+  const DEFAULT_ENDPOINT_RULES = [
+    { type: "suffix", pattern: "/chat/completions", method: null, endpoint: "/v1/chat/completions" },
+    { type: "suffix", pattern: "/v1/completions", method: null, endpoint: "/v1/completions" },
+    { type: "suffix", pattern: "/completions", method: null, endpoint: "/completion" },
+    { type: "suffix", pattern: "/completion", method: null, endpoint: "/completion" }
+  ];
 
   // Debug flag controlled via postMessage (CSP-safe)
   /** @internal */
   let __debugEnabled = false;
+  // Endpoint match rules controlled via postMessage; defaults apply until the content script pushes stored rules.
+  /** @internal */
+  let __endpointRules = compileEndpointRules(DEFAULT_ENDPOINT_RULES);
+  // Capture tuning (stall threshold, ...) controlled via postMessage.
+  /** @internal */
+  let __captureOptions = { ...DEFAULT_CAPTURE_OPTIONS };
+  // Latest llama.cpp server snapshot (/props + /v1/models) per completion origin; records link to it by id.
+  /** @internal */
+  const __serverSnapshots = new Map();
+  /** @internal */
+  const __serverSnapshotsInFlight = new Map();
+  /** @internal */
+  const __lastRequestModels = new Map();
+  // Prompt texts kept off the persisted request metadata, for opt-in `/tokenize` enrichment.
+  /** @internal */
+  const __tokenizeTexts = new WeakMap();
 
   window.addEventListener("message", (event) => {
     if (event.source !== window) return;
@@ -35,6 +109,29 @@
         console.log("[llama.cpp metrics][inject] Debug enabled", { reason: msg.reason || "unknown" });
       }
     }
+
+    if (msg.type === "LLAMACPP_SET_ENDPOINT_RULES") {
+      __endpointRules = compileEndpointRules(Array.isArray(msg.rules) ? msg.rules : DEFAULT_ENDPOINT_RULES);
+      debugLog(null, "Endpoint rules updated", { count: __endpointRules.length, reason: msg.reason || "unknown" });
+    }
+
+    if (msg.type === "LLAMACPP_SET_CAPTURE_OPTIONS") {
+      const options = msg.options && typeof msg.options === "object" ? msg.options : {};
+      const stall = Number(options.stall_threshold_ms);
+      __captureOptions = {
+        ...DEFAULT_CAPTURE_OPTIONS,
+        stall_threshold_ms: Number.isFinite(stall) && stall > 0 ? stall : DEFAULT_CAPTURE_OPTIONS.stall_threshold_ms,
+        // Empty strings are kept: they switch inline tag detection off.
+        reasoning_open_tag: typeof options.reasoning_open_tag === "string"
+          ? options.reasoning_open_tag.trim()
+          : DEFAULT_CAPTURE_OPTIONS.reasoning_open_tag,
+        reasoning_close_tag: typeof options.reasoning_close_tag === "string"
+          ? options.reasoning_close_tag.trim()
+          : DEFAULT_CAPTURE_OPTIONS.reasoning_close_tag,
+        tokenize_prompts: options.tokenize_prompts === true
+      };
+      debugLog(null, "Capture options updated", { options: __captureOptions, reason: msg.reason || "unknown" });
+    }
   });
 
     /**
@@ -116,6 +213,19 @@
     return null;
   }
 
+    /**
+     * Get System Prompt Text.
+     * Text of all system messages joined by newlines; null when there are none.
+     */
+    function getSystemPromptText(bodyObj) {
+    const messages = Array.isArray(bodyObj?.messages) ? bodyObj.messages : [];
+    const parts = messages
+      .filter((m) => m?.role === "system")
+      .map((m) => extractTextFromMessageContent(m?.content))
+      .filter((t) => typeof t === "string" && t.length);
+    return parts.length ? parts.join("\n") : null;
+  }
+
     /**
      * Clip Captured Text.
      */
@@ -208,6 +318,210 @@
     });
   }
 
+    /**
+     * Build Prompt Structure For Hash.
+     */
+    function buildPromptStructureForHash(prompt) {
+    const parts = Array.isArray(prompt) ? prompt : [prompt];
+    return parts.map((p) => {
+      if (typeof p === "string") return { kind: "string", text_bytes: utf8Bytes(p) };
+      if (typeof p === "number") return { kind: "token" };
+      if (Array.isArray(p)) return { kind: "tokens", length: p.length };
+      if (p && typeof p === "object") return { kind: "object" };
+      return { kind: "unknown" };
+    });
+  }
+
+    /**
+     * Describe Output Constraint.
+     * What the request constrains the output to (`response_format`, `json_schema` or `grammar`), with the top-level
+     * schema type and required keys when the schema is simple enough to check; null for unconstrained requests.
+     */
+    function describeOutputConstraint(bodyObj) {
+    if (!bodyObj || typeof bodyObj !== "object") return null;
+    const rf = bodyObj.response_format && typeof bodyObj.response_format === "object" ? bodyObj.response_format : null;
+    let kind = null;
+    let schema = null;
+    if (rf?.type === "json_schema") {
+      kind = "json_schema";
+      schema = rf.json_schema?.schema ?? rf.schema ?? null;
+    } else if (rf?.type === "json_object") {
+      kind = "json_object";
+      schema = rf.schema ?? null;
+    } else if (bodyObj.json_schema && typeof bodyObj.json_schema === "object") {
+      kind = "json_schema";
+      schema = bodyObj.json_schema;
+    } else if (typeof bodyObj.grammar === "string" && bodyObj.grammar.trim()) {
+      return { kind: "grammar", expects_json: false, schema_type: null, required_keys: null };
+    }
+    if (!kind) return null;
+
+    const simple = schema && typeof schema === "object" && !schema.$ref && !schema.anyOf && !schema.oneOf && !schema.allOf;
+    const required = simple && Array.isArray(schema.required)
+      ? schema.required.filter((k) => typeof k === "string").slice(0, MAX_CHECKED_REQUIRED_KEYS)
+      : null;
+    return {
+      kind,
+      expects_json: true,
+      schema_type: simple && typeof schema.type === "string" ? schema.type : (kind === "json_object" ? "object" : null),
+      required_keys: required && required.length ? required : null
+    };
+  }
+
+    /**
+     * Json Type Of.
+     */
+    function jsonTypeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    return typeof value;
+  }
+
+    /**
+     * Validate Structured Output.
+     * Post-stream check of the answer text against the request's output constraint: parse success, top-level type and
+     * required-key presence. Returns null when the request did not ask for JSON.
+     */
+    function validateStructuredOutput(text, constraint, textClipped) {
+    if (!constraint?.expects_json) return null;
+    const base = { kind: constraint.kind, chars: typeof text === "string" ? text.length : 0 };
+    if (textClipped) return { ...base, parse_ok: null, valid: null, reason: "text_clipped" };
+
+    let value;
+    try {
+      value = JSON.parse(typeof text === "string" ? text.trim() : "");
+    } catch {
+      return { ...base, parse_ok: false, top_level_type: null, type_matches: null, required_keys_missing: null, valid: false };
+    }
+
+    const type = jsonTypeOf(value);
+    const wanted = constraint.schema_type;
+    const typeMatches = wanted ? (type === wanted || (wanted === "number" && type === "integer")) : null;
+    const missing = Array.isArray(constraint.required_keys)
+      ? (type === "object" ? constraint.required_keys.filter((k) => !Object.prototype.hasOwnProperty.call(value, k)) : [...constraint.required_keys])
+      : null;
+    return {
+      ...base,
+      parse_ok: true,
+      top_level_type: type,
+      type_matches: typeMatches,
+      required_keys_checked: Array.isArray(constraint.required_keys) ? constraint.required_keys.length : 0,
+      required_keys_missing: missing,
+      valid: typeMatches !== false && (!missing || missing.length === 0)
+    };
+  }
+
+    /**
+     * Analyze Output Shape.
+     * Structural features of the captured answer text: real character count, fenced code blocks and their languages,
+     * markdown headings and list items outside code, and repeated word n-grams as a looping signal.
+     */
+    function analyzeOutputShape(text, textClipped) {
+    const s = typeof text === "string" ? text : "";
+    let codeBlocks = 0;
+    let openFence = null;
+    let headings = 0;
+    let listItems = 0;
+    const languages = [];
+    const lines = s.split("\n");
+    for (const line of lines) {
+      const trimmed = line.trimStart();
+      const fenceChar = trimmed.startsWith("```") ? "`" : (trimmed.startsWith("~~~") ? "~" : null);
+      if (fenceChar && (!openFence || openFence === fenceChar)) {
+        if (!openFence) {
+          codeBlocks += 1;
+          let i = 0;
+          while (trimmed[i] === fenceChar) i += 1;
+          const lang = (trimmed.slice(i).trim().split(/\s+/)[0] || "").toLowerCase();
+          if (lang && !languages.includes(lang) && languages.length < MAX_CODE_LANGUAGES) languages.push(lang);
+        }
+        openFence = openFence ? null : fenceChar;
+        continue;
+      }
+      if (openFence) continue;
+      const heading = line.match(/^ *(#+)\s+\S/);
+      if (heading && heading[1].length <= 6) headings += 1;
+      else if (/^\s*([-*+]|\d+[.)])\s+\S/.test(line)) listItems += 1;
+    }
+
+    const words = s.split(/\s+/).filter(Boolean).slice(0, OUTPUT_SHAPE_MAX_WORDS);
+    const gramCount = words.length - OUTPUT_SHAPE_NGRAM_WORDS + 1;
+    let repeatRatio = null;
+    let topRepeats = null;
+    if (gramCount > 0) {
+      const counts = new Map();
+      for (let i = 0; i < gramCount; i++) {
+        const gram = words.slice(i, i + OUTPUT_SHAPE_NGRAM_WORDS).join(" ");
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+      repeatRatio = Math.round((1 - counts.size / gramCount) * 10000) / 10000;
+      topRepeats = Math.max(...counts.values());
+    }
+
+    return {
+      chars: s.length,
+      text_clipped: textClipped === true,
+      empty: s.trim() === "",
+      words: words.length,
+      lines: s ? lines.length : 0,
+      code_blocks: codeBlocks,
+      code_block_unclosed: openFence !== null,
+      code_languages: languages,
+      headings,
+      list_items: listItems,
+      repeated_ngram_ratio: repeatRatio,
+      top_ngram_repeats: topRepeats,
+      looping: repeatRatio !== null && repeatRatio >= LOOP_REPEAT_RATIO && topRepeats >= LOOP_MIN_REPEATS
+    };
+  }
+
+    /**
+     * Reduce Param Value.
+     * Keeps scalars and short values as sent; longer strings and structures (grammars, schemas) become a hash and length.
+     */
+    async function reduceParamValue(value) {
+    if (value === null || typeof value === "number" || typeof value === "boolean") return value;
+    const text = typeof value === "string" ? value : stableStringify(value);
+    if (typeof text !== "string") return null;
+    if (text.length <= MAX_INLINE_PARAM_CHARS) return value;
+    const hash = await sha256Hex(text);
+    return { sha256: hash ? hash.slice(0, 16) : null, chars: text.length };
+  }
+
+    /**
+     * Pick Llama Params.
+     * llama.cpp-specific request parameters (including every `dry_*`, `xtc_*` and `mirostat*` key) plus a fingerprint
+     * over the settings that affect sampling.
+     */
+    async function pickLlamaParams(bodyObj, genericParams) {
+    if (!bodyObj || typeof bodyObj !== "object") return null;
+    const values = {};
+    for (const k of Object.keys(bodyObj).sort()) {
+      if (!LLAMA_PARAM_KEYS.includes(k) && !/^(dry_|xtc_|mirostat)/.test(k)) continue;
+      const v = bodyObj[k];
+      // Keep the response format type readable even when its schema is reduced to a hash.
+      values[k] = k === "response_format" && v && typeof v === "object" && typeof v.type === "string"
+        ? { type: v.type, schema: await reduceParamValue(v.json_schema ?? v.schema ?? null) }
+        : await reduceParamValue(v);
+    }
+
+    const samplerSettings = {};
+    for (const k of ["temperature", "top_p", "top_k", "presence_penalty", "frequency_penalty"]) {
+      if (genericParams && Object.prototype.hasOwnProperty.call(genericParams, k)) samplerSettings[k] = genericParams[k];
+    }
+    for (const [k, v] of Object.entries(values)) {
+      if (!NON_SAMPLER_PARAM_KEYS.includes(k)) samplerSettings[k] = v;
+    }
+    const hash = await sha256Hex(stableStringify(samplerSettings));
+
+    return {
+      version: LLAMA_PARAMS_VERSION,
+      values,
+      fingerprint: hash ? hash.slice(0, 12) : null
+    };
+  }
+
     /**
      * Build Prompt Identity.
      */
@@ -222,8 +536,11 @@
     }
 
     const messages = Array.isArray(bodyObj.messages) ? bodyObj.messages : [];
-    const promptMaterial = stableStringify(messages);
-    const structureMaterial = stableStringify(buildMessageStructureForHash(messages));
+    const isPromptBody = !Array.isArray(bodyObj.messages) && Object.prototype.hasOwnProperty.call(bodyObj, "prompt");
+    const promptMaterial = isPromptBody ? stableStringify(bodyObj.prompt ?? null) : stableStringify(messages);
+    const structureMaterial = isPromptBody
+      ? stableStringify(buildPromptStructureForHash(bodyObj.prompt))
+      : stableStringify(buildMessageStructureForHash(messages));
 
     const [promptHash, structureHash] = await Promise.all([
       sha256Hex(promptMaterial),
@@ -816,16 +1133,86 @@
   }
 
     /**
-     * Is Chat Completions Url.
+     * Glob To Reg Exp.
+     * `**` spans path segments, `*` and `?` stay within one segment.
+     */
+    function globToRegExp(glob) {
+    let out = "";
+    for (let i = 0; i < glob.length; i++) {
+      const c = glob[i];
+      if (c === "*" && glob[i + 1] === "*") {
+        out += ".*";
+        i += 1;
+      } else if (c === "*") {
+        out += "[^/]*";
+      } else if (c === "?") {
+        out += "[^/]";
+      } else {
+        out += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${out}$`);
+  }
+
+    /**
+     * Infer Endpoint From Path.
+     * Used by rules with `endpoint: "auto"` to pick the response parser from the matched path.
+     */
+    function inferEndpointFromPath(pathname) {
+    if (pathname.endsWith("/chat/completions")) return "/v1/chat/completions";
+    if (pathname.endsWith("/v1/completions")) return "/v1/completions";
+    if (pathname.endsWith("/completion") || pathname.endsWith("/completions")) return "/completion";
+    return "/v1/chat/completions";
+  }
+
+    /**
+     * Compile Endpoint Rules.
+     * Suffix and glob rules match the URL path; regex rules match the full URL. Invalid rules are dropped.
+     */
+    function compileEndpointRules(rules) {
+    const out = [];
+    for (const rule of Array.isArray(rules) ? rules : []) {
+      const pattern = typeof rule?.pattern === "string" ? rule.pattern.trim() : "";
+      if (!pattern) continue;
+      const method = typeof rule.method === "string" && rule.method.trim() ? rule.method.trim().toUpperCase() : null;
+      const endpoint = ["/v1/chat/completions", "/v1/completions", "/completion"].includes(rule.endpoint) ? rule.endpoint : "auto";
+      let test = null;
+      try {
+        if (rule.type === "suffix") {
+          test = (u) => u.pathname.endsWith(pattern);
+        } else if (rule.type === "glob") {
+          const re = globToRegExp(pattern);
+          test = (u) => re.test(u.pathname);
+        } else if (rule.type === "regex") {
+          const re = new RegExp(pattern);
+          test = (u) => re.test(u.href);
+        }
+      } catch (e) {
+        debugLog(null, "Skipping invalid endpoint rule", { rule, error: String(e?.message || e) });
+      }
+      if (test) out.push({ type: rule.type, pattern, method, endpoint, test });
+    }
+    return out;
+  }
+
+    /**
+     * Get Completion Endpoint.
+     * Maps a request URL to the endpoint label stored on records using the first matching rule, or null when no rule matches.
      */
-    function isChatCompletionsUrl(url) {
+    function getCompletionEndpoint(url, method) {
     try {
       const u = typeof url === "string"
         ? new URL(url, location.href)
         : new URL(url.url, location.href);
-      return u.pathname.endsWith("/v1/chat/completions");
+      const m = String(method || "GET").toUpperCase();
+      for (const rule of __endpointRules) {
+        if (rule.method && rule.method !== m) continue;
+        if (!rule.test(u)) continue;
+        return rule.endpoint === "auto" ? inferEndpointFromPath(u.pathname) : rule.endpoint;
+      }
+      return null;
     } catch {
-      return false;
+      return null;
     }
   }
 
@@ -923,15 +1310,96 @@
     };
   }
 
+    /**
+     * Estimate Prompt Bytes And Counts.
+     * Prompt-based counterpart of `estimateMessagesBytesAndCounts` for `/completion` and `/v1/completions` bodies.
+     */
+    function estimatePromptBytesAndCounts(bodyObj) {
+    const prompt = bodyObj?.prompt;
+    const parts = Array.isArray(prompt) ? prompt : ((prompt === undefined || prompt === null) ? [] : [prompt]);
+    let bytes = 0;
+    let textParts = 0;
+    let tokenIds = 0;
+    let imagesBytes = 0;
+    const imageBytesByPart = [];
+
+    const addPart = (part) => {
+      if (typeof part === "string") {
+        bytes += utf8Bytes(part);
+        textParts += 1;
+      } else if (typeof part === "number") {
+        tokenIds += 1;
+      } else if (Array.isArray(part)) {
+        for (const x of part) {
+          if (typeof x === "number") tokenIds += 1;
+          else if (typeof x === "string") bytes += utf8Bytes(x);
+        }
+        textParts += part.some((x) => typeof x === "string") ? 1 : 0;
+      } else if (part && typeof part === "object") {
+        // llama.cpp multimodal prompt: { prompt_string, multimodal_data: [base64, ...] }
+        if (typeof part.prompt_string === "string") {
+          bytes += utf8Bytes(part.prompt_string);
+          textParts += 1;
+        }
+        for (const b64 of Array.isArray(part.multimodal_data) ? part.multimodal_data : []) {
+          if (typeof b64 !== "string") continue;
+          const pad = (b64.endsWith("==") ? 2 : (b64.endsWith("=") ? 1 : 0));
+          const decoded = Math.max(0, Math.floor((b64.length * 3) / 4) - pad);
+          imagesBytes += decoded;
+          imageBytesByPart.push(decoded);
+        }
+      }
+    };
+    for (const part of parts) addPart(part);
+
+    let promptKind = "none";
+    if (typeof prompt === "string") promptKind = "string";
+    else if (textParts && tokenIds) promptKind = "mixed";
+    else if (tokenIds) promptKind = "tokens";
+    else if (textParts) promptKind = "string_array";
+
+    return {
+      messagesCount: null,
+      byRole: {},
+      byRoleBytes: {},
+      messagesBytes: bytes,
+      currentUserTextBytes: bytes,
+      historyTextBytes: 0,
+      hasImages: imageBytesByPart.length > 0,
+      imagesBytes,
+      imagePartsCount: imageBytesByPart.length,
+      imageBytesByPart,
+      imageMimesByPart: imageBytesByPart.map(() => null),
+      imageMimeTypes: [],
+      promptKind,
+      promptPartsCount: parts.length,
+      promptTokenIdsCount: tokenIds
+    };
+  }
+
+    /**
+     * Get Prompt Text.
+     */
+    function getPromptText(bodyObj) {
+    const prompt = bodyObj?.prompt;
+    if (typeof prompt === "string") return prompt;
+    if (!Array.isArray(prompt)) return null;
+    const texts = prompt
+      .map((p) => (typeof p === "string" ? p : (typeof p?.prompt_string === "string" ? p.prompt_string : null)))
+      .filter((p) => typeof p === "string");
+    return texts.length ? texts.join("\n") : null;
+  }
+
     /**
      * Pick Params.
      */
     function pickParams(bodyObj) {
     const keys = [
-      "temperature", "top_p", "top_k", "max_tokens", "seed",
+      "temperature", "top_p", "top_k", "max_tokens", "n_predict", "seed",
       "presence_penalty", "frequency_penalty",
       "stream", "stream_options",
-      "n", "stop"
+      "n", "stop",
+      "logprobs", "top_logprobs", "n_probs"
     ];
     const params = {};
     for (const k of keys) {
@@ -990,6 +1458,19 @@
     return ">5MB";
   }
 
+    /**
+     * Tokens Bucket.
+     */
+    function tokensBucket(x) {
+    if (typeof x !== "number" || !Number.isFinite(x) || x < 0) return "unknown";
+    if (x === 0) return "0";
+    if (x <= 512) return "1-512";
+    if (x <= 2048) return "513-2K";
+    if (x <= 8192) return "2K-8K";
+    if (x <= 32768) return "8K-32K";
+    return ">32K";
+  }
+
     /**
      * Derive Input Mode.
      */
@@ -1057,155 +1538,949 @@
   }
 
     /**
-     * Parse Sse Clone And Emit Record.
+     * Extract Context Info.
+     * Truncation flag and context figures from a final chunk or body; llama.cpp puts them at the top level of native
+     * responses and under `__verbose` for OpenAI-compatible ones. Returns null when none are present.
      */
-    async function parseSseCloneAndEmitRecord(traceId, response, requestMeta, timingContext = {}) {
-    const clone = response.clone();
-    const contentType = clone.headers.get("content-type") || "";
-    const isSse = contentType.includes("text/event-stream");
+    function extractContextInfo(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const src = raw.__verbose && typeof raw.__verbose === "object" ? { ...raw.__verbose, ...raw } : raw;
+    const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+    const truncated = typeof src.truncated === "boolean" ? src.truncated : null;
+    const nCtx = num(src.n_ctx) ?? num(src.generation_settings?.n_ctx);
+    const tokensEvaluated = num(src.tokens_evaluated);
+    const tokensPredicted = num(src.tokens_predicted);
+    if (truncated === null && nCtx === null && tokensEvaluated === null) return null;
+
+    const used = tokensEvaluated !== null ? tokensEvaluated + (tokensPredicted ?? 0) : null;
+    return {
+      truncated,
+      n_ctx: nCtx,
+      tokens_evaluated: tokensEvaluated,
+      tokens_predicted: tokensPredicted,
+      context_used_pct: nCtx && used !== null ? Math.round((used / nCtx) * 1000) / 10 : null
+    };
+  }
 
-    if (!isSse || !clone.body) return;
+    /**
+     * Native Stop Finish Reason.
+     * Translates llama.cpp native `/completion` stop flags into an OpenAI-style finish reason.
+     */
+    function nativeStopFinishReason(chunk) {
+    if (chunk?.stop_type === "limit" || chunk?.stopped_limit === true) return "length";
+    return "stop";
+  }
 
-    debugLog(traceId, "SSE detected, beginning parse", { contentType });
+    /**
+     * Normalize Stream Chunk.
+     * Maps chat, OpenAI text-completion and llama.cpp native stream chunks onto one shape for the parser.
+     */
+    function normalizeStreamChunk(endpoint, chunk) {
+    if (!chunk || typeof chunk !== "object") return null;
 
-    const reader = clone.body.getReader();
-    const decoder = new TextDecoder("utf-8");
+    if (endpoint === "/completion") {
+      if (typeof chunk.content !== "string" && typeof chunk.stop !== "boolean") return null;
+      return {
+        id: null,
+        created: null,
+        model: chunk.model || null,
+        fingerprint: chunk.system_fingerprint || null,
+        choices: [{
+          index: Number.isInteger(chunk.index) ? chunk.index : 0,
+          content: typeof chunk.content === "string" ? chunk.content : null,
+          reasoning: null,
+          finishReason: chunk.stop === true ? nativeStopFinishReason(chunk) : null,
+          logprobs: normalizeTokenProbs(chunk.completion_probabilities)
+        }],
+        timings: chunk.timings || null,
+        usage: null,
+        raw: chunk
+      };
+    }
 
-    let buffer = "";
-    let completionId = null;
-    let completionCreated = null;
-    let completionModel = null;
-    let systemFingerprint = null;
-
-    let reasoningBoundary = null; // { predicted_n, predicted_ms }
-    let stopChunk = null;
-    let lastTimingsAtStop = null;
-    let stopFinishReason = null;
-    let lastTimedChunk = null;
-    let sawDoneMarker = false;
-    let firstStreamChunkAtMs = null;
-    let stopChunkAtMs = null;
-    let responseText = "";
-    let reasoningText = "";
+    const isTextCompletion = endpoint === "/v1/completions";
+    if (chunk.object !== (isTextCompletion ? "text_completion" : "chat.completion.chunk")) return null;
 
-    try {
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        if (firstStreamChunkAtMs === null) firstStreamChunkAtMs = Date.now();
-
-        buffer += decoder.decode(value, { stream: true });
-
-        let lineEnd;
-        while ((lineEnd = buffer.indexOf("\n")) !== -1) {
-          const line = buffer.slice(0, lineEnd).trimEnd();
-          buffer = buffer.slice(lineEnd + 1);
-
-          if (!line.startsWith("data:")) continue;
-
-          const data = line.slice(5).trim();
-          if (!data) continue;
-
-          if (data === "[DONE]") {
-            sawDoneMarker = true;
-            debugLog(traceId, "SSE DONE marker received");
-            if (!stopChunk && lastTimedChunk) {
-              stopChunk = lastTimedChunk;
-              lastTimingsAtStop = lastTimedChunk.timings || null;
-              stopFinishReason = (Array.isArray(lastTimedChunk.choices) ? lastTimedChunk.choices[0]?.finish_reason : null) ?? "done";
-              stopChunkAtMs = Date.now();
-              debugLog(traceId, "DONE marker used as completion boundary", { finish_reason: stopFinishReason });
-              break;
-            }
-            continue;
-          }
+    const choices = (Array.isArray(chunk.choices) ? chunk.choices : []).map((c, i) => {
+      const delta = isTextCompletion ? { content: c?.text } : (c?.delta || {});
+      return {
+        index: Number.isInteger(c?.index) ? c.index : i,
+        content: typeof delta.content === "string" ? delta.content : null,
+        reasoning: typeof delta.reasoning_content === "string" ? delta.reasoning_content : null,
+        toolCalls: Array.isArray(delta.tool_calls) ? delta.tool_calls : null,
+        finishReason: c?.finish_reason ?? null,
+        logprobs: extractChoiceLogprobs(c?.logprobs)
+      };
+    });
+    return {
+      id: chunk.id || null,
+      created: chunk.created || null,
+      model: chunk.model || null,
+      fingerprint: chunk.system_fingerprint || null,
+      choices,
+      timings: chunk.timings || null,
+      usage: chunk.usage && typeof chunk.usage === "object" ? chunk.usage : null,
+      raw: chunk
+    };
+  }
 
-          const chunk = safeJsonParse(data);
-          if (!chunk || chunk.object !== "chat.completion.chunk") continue;
+    /**
+     * Detect Completion Body Endpoint.
+     * Text-completion paths are ambiguous behind proxies (`.../completions` may be llama.cpp's native alias or an
+     * OpenAI route), so the body decides: `text_completion` choices or native `content`/`stop`.
+     */
+    function detectCompletionBodyEndpoint(endpoint, body) {
+    if (endpoint !== "/completion" && endpoint !== "/v1/completions") return endpoint;
+    if (!body || typeof body !== "object") return endpoint;
+    if (body.object === "text_completion" || Array.isArray(body.choices)) return "/v1/completions";
+    if (typeof body.content === "string" || typeof body.stop === "boolean") return "/completion";
+    return endpoint;
+  }
 
-          completionId = completionId || chunk.id || null;
-          completionCreated = completionCreated || chunk.created || null;
-          completionModel = completionModel || chunk.model || null;
-          systemFingerprint = systemFingerprint || chunk.system_fingerprint || null;
+    /**
+     * Normalize Token Probs.
+     * Per-token `{ logprob, top }` from llama.cpp probability entries: OpenAI-style `logprob`/`top_logprobs`,
+     * `post_sampling_probs` style `prob`/`top_probs`, or the older native `{ content, probs: [{ tok_str, prob }] }`.
+     */
+    function normalizeTokenProbs(entries) {
+    if (!Array.isArray(entries)) return null;
+    const lp = (e) => {
+      if (typeof e?.logprob === "number" && Number.isFinite(e.logprob)) return e.logprob;
+      if (typeof e?.prob === "number" && e.prob > 0) return Math.log(e.prob);
+      return null;
+    };
+    const out = [];
+    for (const e of entries) {
+      if (!e || typeof e !== "object") continue;
+      let logprob = lp(e);
+      let top = Array.isArray(e.top_logprobs) ? e.top_logprobs : (Array.isArray(e.top_probs) ? e.top_probs : []);
+      if (logprob === null && Array.isArray(e.probs)) {
+        logprob = lp(e.probs.find((p) => p?.tok_str === e.content));
+        top = e.probs;
+      }
+      if (logprob === null) continue;
+      out.push({ logprob, top: top.map(lp).filter((x) => x !== null).sort((a, b) => b - a) });
+    }
+    return out;
+  }
 
-          const choice0 = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
-          const delta = choice0?.delta || {};
-          const finishReason = choice0?.finish_reason ?? null;
+    /**
+     * Extract Choice Logprobs.
+     * Token entries from a choice `logprobs` block (`content` array, or the legacy `token_logprobs` shape).
+     */
+    function extractChoiceLogprobs(logprobs) {
+    if (!logprobs || typeof logprobs !== "object") return null;
+    if (Array.isArray(logprobs.content)) return normalizeTokenProbs(logprobs.content);
+    if (Array.isArray(logprobs.token_logprobs)) {
+      const tops = Array.isArray(logprobs.top_logprobs) ? logprobs.top_logprobs : [];
+      return normalizeTokenProbs(logprobs.token_logprobs.map((logprob, i) => ({
+        logprob,
+        top_logprobs: tops[i] && typeof tops[i] === "object" ? Object.values(tops[i]).map((v) => ({ logprob: v })) : []
+      })));
+    }
+    return null;
+  }
 
-          if (typeof delta.content === "string" && responseText.length < MAX_CAPTURED_TEXT_CHARS) {
-            const remaining = MAX_CAPTURED_TEXT_CHARS - responseText.length;
-            if (remaining > 0) responseText += delta.content.slice(0, remaining);
-          }
-          if (typeof delta.reasoning_content === "string" && reasoningText.length < MAX_CAPTURED_TEXT_CHARS) {
-            const remaining = MAX_CAPTURED_TEXT_CHARS - reasoningText.length;
-            if (remaining > 0) reasoningText += delta.reasoning_content.slice(0, remaining);
-          }
+    /**
+     * Record Sampling Tokens.
+     * Folds per-token probabilities into running totals; individual tokens are not kept.
+     */
+    function recordSamplingTokens(state, tokens) {
+    if (!Array.isArray(tokens) || !tokens.length) return;
+    if (!state.samplingStats) {
+      state.samplingStats = { tokens: 0, logprobSum: 0, minLogprob: null, lowConfidence: 0, marginSum: 0, marginCount: 0 };
+    }
+    const s = state.samplingStats;
+    for (const t of tokens) {
+      s.tokens += 1;
+      s.logprobSum += t.logprob;
+      s.minLogprob = s.minLogprob === null ? t.logprob : Math.min(s.minLogprob, t.logprob);
+      if (Math.exp(t.logprob) < LOW_CONFIDENCE_PROB) s.lowConfidence += 1;
+      if (t.top.length >= 2) {
+        s.marginSum += Math.exp(t.top[0]) - Math.exp(t.top[1]);
+        s.marginCount += 1;
+      }
+    }
+  }
 
-          if (chunk.timings) {
-            lastTimedChunk = chunk;
-          }
+    /**
+     * Summarize Sampling Stats.
+     */
+    function summarizeSamplingStats(stats) {
+    if (!stats || stats.tokens <= 0) return null;
+    const meanLogprob = stats.logprobSum / stats.tokens;
+    const round4 = (x) => Math.round(x * 10000) / 10000;
+    return {
+      tokens: stats.tokens,
+      mean_logprob: round4(meanLogprob),
+      perplexity: round4(Math.exp(-meanLogprob)),
+      min_logprob: round4(stats.minLogprob),
+      low_confidence_threshold: LOW_CONFIDENCE_PROB,
+      low_confidence_fraction: round4(stats.lowConfidence / stats.tokens),
+      mean_top_margin: stats.marginCount > 0 ? round4(stats.marginSum / stats.marginCount) : null,
+      margin_tokens: stats.marginCount
+    };
+  }
 
-          if (typeof delta.reasoning_content === "string" && chunk.timings) {
-            reasoningBoundary = {
-              predicted_n: chunk.timings.predicted_n,
-              predicted_ms: chunk.timings.predicted_ms
-            };
-            debugLog(traceId, "Reasoning boundary updated", reasoningBoundary);
-          }
+    /**
+     * Get Choice State.
+     */
+    function getChoiceState(state, index) {
+    const key = Number.isInteger(index) && index >= 0 ? index : 0;
+    if (!state.choices.has(key)) {
+      state.choices.set(key, {
+        index: key,
+        contentChars: 0,
+        reasoningChars: 0,
+        finishReason: null,
+        reasoningBoundary: null, // { predicted_n, predicted_ms }
+        toolCalls: new Map(),
+        reasoningSource: null, // "reasoning_content" | "inline_tags"
+        inlineTags: { phase: "detect", pending: "" },
+        lastTimings: null,
+        timingsAtStop: null,
+        stopAtMs: null
+      });
+    }
+    return state.choices.get(key);
+  }
 
-          if (typeof finishReason === "string" && finishReason.length > 0) {
-            stopChunk = chunk;
-            lastTimingsAtStop = chunk.timings || null;
-            stopFinishReason = finishReason;
-            stopChunkAtMs = Date.now();
-            debugLog(traceId, "Final chunk received", { finishReason, timings: lastTimingsAtStop });
-            break;
-          }
+    /**
+     * Split Inline Reasoning.
+     * Streams `content` text through an open/close tag scanner: text between a leading open tag and the close tag is
+     * reasoning, the rest is content. Partial tags at chunk edges are held back until the next call.
+     */
+    function splitInlineReasoning(scan, text, tags) {
+    let buf = scan.pending + text;
+    let reasoning = "";
+    let content = "";
+    let closed = false;
+    scan.pending = "";
+
+    while (true) {
+      if (scan.phase === "detect") {
+        const trimmed = buf.trimStart();
+        if (trimmed.startsWith(tags.open)) {
+          scan.phase = "inside";
+          buf = trimmed.slice(tags.open.length);
+          continue;
         }
-
-        if (stopChunk) break;
+        if (tags.open.startsWith(trimmed)) {
+          scan.pending = buf;
+          break;
+        }
+        scan.phase = "off";
+        continue;
       }
-    } catch (e) {
-      debugLog(traceId, "SSE parse error", e);
-      return;
-    } finally {
-      try { reader.releaseLock(); } catch {}
+      if (scan.phase === "inside") {
+        const idx = buf.indexOf(tags.close);
+        if (idx !== -1) {
+          reasoning += buf.slice(0, idx);
+          buf = buf.slice(idx + tags.close.length);
+          scan.phase = "after";
+          closed = true;
+          continue;
+        }
+        let hold = Math.min(buf.length, tags.close.length - 1);
+        while (hold > 0 && !tags.close.startsWith(buf.slice(buf.length - hold))) hold--;
+        reasoning += buf.slice(0, buf.length - hold);
+        scan.pending = buf.slice(buf.length - hold);
+        break;
+      }
+      content += buf;
+      break;
     }
 
-    if ((!stopChunk || !lastTimingsAtStop) && lastTimedChunk && sawDoneMarker) {
-      stopChunk = lastTimedChunk;
-      lastTimingsAtStop = lastTimedChunk.timings || null;
-      stopFinishReason = (Array.isArray(lastTimedChunk.choices) ? lastTimedChunk.choices[0]?.finish_reason : null) ?? "done";
-      stopChunkAtMs = Date.now();
+    return { reasoning, content, closed };
+  }
+
+    /**
+     * Apply Inline Reasoning Split.
+     * Rewrites a normalized choice delta in place when its reasoning arrives inline in `content`. Choices that ever
+     * carry `reasoning_content` are left untouched.
+     */
+    function applyInlineReasoningSplit(state, choice, c) {
+    if (typeof c.reasoning === "string" && c.reasoning.length > 0) {
+      choice.reasoningSource = "reasoning_content";
+      return;
     }
+    const tags = state.reasoningTags;
+    if (!tags || choice.reasoningSource === "reasoning_content" || typeof c.content !== "string") return;
+
+    const split = splitInlineReasoning(choice.inlineTags, c.content, tags);
+    c.content = split.content;
+    // A chunk that only closes the tag carries no reasoning, so it must not move the reasoning boundary onto
+    // answer tokens; the close itself is tracked by the scan phase.
+    if (split.reasoning.length > 0) c.reasoning = split.reasoning;
+    if (split.reasoning.length > 0 || split.closed) choice.reasoningSource = "inline_tags";
+  }
 
-    if (!stopChunk || !lastTimingsAtStop) {
-      debugLog(traceId, "No STOP chunk found; skipping record emit");
+    /**
+     * Flush Inline Reasoning Pending.
+     * A stream that ends inside `<think>` (length limit, abort, unclosed tag) leaves held-back text in the scan; it is
+     * added to whichever side the scan was on. Ending inside the tag makes every generated token reasoning.
+     */
+    function flushInlineReasoningPending(state, choice) {
+    const pending = choice.inlineTags.pending;
+    if (!pending) return;
+    choice.inlineTags.pending = "";
+    const isPrimary = choice.index === 0;
+
+    if (choice.inlineTags.phase === "inside") {
+      choice.reasoningChars += pending.length;
+      choice.reasoningSource = "inline_tags";
+      if (choice.lastTimings) {
+        choice.reasoningBoundary = {
+          predicted_n: choice.lastTimings.predicted_n,
+          predicted_ms: choice.lastTimings.predicted_ms
+        };
+      }
+      if (isPrimary) {
+        state.reasoningText = (state.reasoningText + pending).slice(0, MAX_CAPTURED_TEXT_CHARS);
+        state.reasoningBoundary = choice.reasoningBoundary;
+      }
       return;
     }
+    choice.contentChars += pending.length;
+    if (isPrimary) state.responseText = (state.responseText + pending).slice(0, MAX_CAPTURED_TEXT_CHARS);
+  }
 
-    const totalPredN = lastTimingsAtStop.predicted_n ?? null;
-    const totalPredMs = lastTimingsAtStop.predicted_ms ?? null;
+    /**
+     * Apply Tool Call Delta.
+     * Assembles streamed `delta.tool_calls` fragments per call index; argument text is kept only for JSON validation.
+     */
+    function applyToolCallDelta(choice, delta, atMs) {
+    if (!delta || typeof delta !== "object") return;
+    const index = Number.isInteger(delta.index) ? delta.index : 0;
+    if (!choice.toolCalls.has(index)) {
+      choice.toolCalls.set(index, {
+        index,
+        id: null,
+        type: null,
+        name: null,
+        argumentsText: "",
+        argumentsBytes: 0,
+        argumentsChunks: 0,
+        argumentsTruncated: false,
+        firstArgumentAtMs: null,
+        lastArgumentAtMs: null
+      });
+    }
+    const call = choice.toolCalls.get(index);
+    if (typeof delta.id === "string" && delta.id && !call.id) call.id = delta.id;
+    if (typeof delta.type === "string" && delta.type && !call.type) call.type = delta.type;
+
+    const fn = delta.function || {};
+    if (typeof fn.name === "string" && fn.name) call.name = (call.name || "") + fn.name;
+    if (typeof fn.arguments === "string" && fn.arguments.length) {
+      call.argumentsBytes += utf8Bytes(fn.arguments);
+      call.argumentsChunks += 1;
+      if (call.firstArgumentAtMs === null) call.firstArgumentAtMs = atMs;
+      call.lastArgumentAtMs = atMs;
+      if (call.argumentsText.length + fn.arguments.length <= MAX_CAPTURED_TEXT_CHARS) {
+        call.argumentsText += fn.arguments;
+      } else {
+        call.argumentsTruncated = true;
+      }
+    }
+  }
 
-    const rPredN = reasoningBoundary?.predicted_n ?? 0;
-    const rPredMs = reasoningBoundary?.predicted_ms ?? 0;
+    /**
+     * Is Valid Json Text.
+     */
+    function isValidJsonText(text) {
+    if (typeof text !== "string" || !text.trim()) return false;
+    try {
+      JSON.parse(text);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+    /**
+     * Build Tool Call Summaries.
+     * Flattens assembled tool calls across choices for `resp.tool_calls`; argument text itself is not stored.
+     */
+    function buildToolCallSummaries(state) {
+    const out = [];
+    const choices = Array.from(state.choices.values()).sort((a, b) => a.index - b.index);
+    for (const choice of choices) {
+      const calls = Array.from(choice.toolCalls.values()).sort((a, b) => a.index - b.index);
+      for (const call of calls) {
+        out.push({
+          choice_index: choice.index,
+          index: call.index,
+          id: call.id,
+          type: call.type,
+          name: call.name,
+          arguments_bytes: call.argumentsBytes,
+          arguments_chunks: call.argumentsChunks,
+          arguments_valid_json: call.argumentsTruncated ? null : isValidJsonText(call.argumentsText),
+          first_to_last_argument_ms: (state.streamed && call.firstArgumentAtMs !== null)
+            ? Math.max(0, call.lastArgumentAtMs - call.firstArgumentAtMs)
+            : null
+        });
+      }
+    }
+    return out;
+  }
+
+    /**
+     * Get Primary Choice State.
+     * Choice 0 drives the top-level record fields; falls back to the lowest index seen.
+     */
+    function getPrimaryChoiceState(state) {
+    if (state.choices.has(0)) return state.choices.get(0);
+    const indexes = Array.from(state.choices.keys()).sort((a, b) => a - b);
+    return indexes.length ? state.choices.get(indexes[0]) : null;
+  }
+
+    /**
+     * Current Reasoning Tags.
+     * Inline reasoning tags from the capture options, or null when detection is switched off.
+     */
+    function currentReasoningTags() {
+    const open = __captureOptions.reasoning_open_tag;
+    const close = __captureOptions.reasoning_close_tag;
+    return open && close ? { open, close } : null;
+  }
+
+    /**
+     * Create Sse Parse State.
+     */
+    function createSseParseState(endpoint = "/v1/chat/completions", expectedChoices = 1) {
+    return {
+      buffer: "",
+      endpoint,
+      expectedChoices: Number.isInteger(expectedChoices) && expectedChoices > 1 ? expectedChoices : 1,
+      choices: new Map(),
+      streamed: true,
+      completionId: null,
+      completionCreated: null,
+      completionModel: null,
+      systemFingerprint: null,
+      reasoningBoundary: null, // { predicted_n, predicted_ms }
+      stopChunk: null,
+      lastTimingsAtStop: null,
+      stopFinishReason: null,
+      lastTimedChunk: null,
+      sawDoneMarker: false,
+      firstStreamChunkAtMs: null,
+      firstReasoningChunkAtMs: null,
+      promptProgress: [], // [atMs, processed, time_ms]
+      promptProgressTotal: null,
+      promptProgressCache: null,
+      firstContentChunkAtMs: null,
+      stopChunkAtMs: null,
+      tokenChunkCount: 0,
+      tokenChunkFirstAtMs: null,
+      tokenChunkLastAtMs: null,
+      tokenChunkGapsMs: [],
+      awaitUsage: false,
+      reasoningTags: null, // { open, close } for inline reasoning detection
+      usage: null,
+      throughputSamples: [],
+      throughputSampleStride: 1,
+      samplingStats: null,
+      abortCause: null,
+      abortMessage: null,
+      abortedAtMs: null,
+      responseText: "",
+      reasoningText: ""
+    };
+  }
+
+    /**
+     * Mark Stream Aborted.
+     * Records why a stream ended before any completion boundary; the first cause wins.
+     */
+    function markStreamAborted(traceId, state, cause, message) {
+    if (state.stopChunk || state.abortCause) return;
+    state.abortCause = cause;
+    state.abortMessage = typeof message === "string" && message ? message : null;
+    state.abortedAtMs = Date.now();
+    debugLog(traceId, "Stream ended without completion boundary", { cause, message: state.abortMessage });
+  }
+
+    /**
+     * Record Token Chunk Arrival.
+     * Keeps arrival times of token-bearing chunks delta-encoded as gaps from the previous one. Chunks from the same
+     * network read share a timestamp and count as one arrival, so batched delivery does not add 0 ms gaps.
+     */
+    function recordTokenChunkArrival(state, atMs) {
+    if (state.tokenChunkLastAtMs === atMs) return;
+    if (state.tokenChunkLastAtMs === null) {
+      state.tokenChunkFirstAtMs = atMs;
+    } else {
+      state.tokenChunkGapsMs.push(Math.max(0, atMs - state.tokenChunkLastAtMs));
+    }
+    state.tokenChunkLastAtMs = atMs;
+    state.tokenChunkCount += 1;
+  }
+
+    /**
+     * Percentile Of Sorted.
+     */
+    function percentileOfSorted(sorted, q) {
+    if (!sorted.length) return null;
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+    return sorted[idx];
+  }
+
+    /**
+     * Summarize Chunk Timeline.
+     * Inter-token latency percentiles, stalls above the threshold and a windowed client-side tokens/sec curve.
+     */
+    function summarizeChunkTimeline(gaps, stallThresholdMs) {
+    if (!gaps.length) return null;
+    const sorted = [...gaps].sort((a, b) => a - b);
+    const total = gaps.reduce((a, b) => a + b, 0);
+    const hasThreshold = typeof stallThresholdMs === "number" && stallThresholdMs > 0;
+    const stalls = hasThreshold ? gaps.filter((g) => g >= stallThresholdMs) : [];
+
+    let tpsCurve = null;
+    if (total > 0) {
+      const windows = Math.min(TPS_CURVE_MAX_WINDOWS, gaps.length);
+      const windowMs = total / windows;
+      const counts = new Array(windows).fill(0);
+      counts[0] = 1; // first token chunk arrives at t=0
+      let t = 0;
+      for (const g of gaps) {
+        t += g;
+        counts[Math.min(windows - 1, Math.floor(t / windowMs))] += 1;
+      }
+      tpsCurve = {
+        window_ms: roundMs(windowMs),
+        tps: counts.map((c) => Math.round((c / (windowMs / 1000)) * 10) / 10)
+      };
+    }
+
+    return {
+      p50_ms: percentileOfSorted(sorted, 0.5),
+      p90_ms: percentileOfSorted(sorted, 0.9),
+      p99_ms: percentileOfSorted(sorted, 0.99),
+      max_ms: sorted[sorted.length - 1],
+      mean_ms: roundMs(total / gaps.length),
+      stall_threshold_ms: hasThreshold ? stallThresholdMs : null,
+      stall_count: hasThreshold ? stalls.length : null,
+      stall_total_ms: hasThreshold ? stalls.reduce((a, b) => a + b, 0) : null,
+      tps_curve: tpsCurve
+    };
+  }
+
+    /**
+     * Record Throughput Sample.
+     * Keeps a bounded [predicted_n, predicted_ms] series from intermediate chunk timings, halving resolution when full.
+     */
+    function recordThroughputSample(state, timings) {
+    const n = timings?.predicted_n;
+    const ms = timings?.predicted_ms;
+    if (typeof n !== "number" || typeof ms !== "number" || n <= 0 || ms <= 0) return;
+    const samples = state.throughputSamples;
+    const last = samples[samples.length - 1];
+    if (last && n <= last[0]) return;
+    // Below the stride the newest point replaces the previous one, so the final timings always close the series.
+    const anchor = samples[samples.length - 2];
+    if (anchor && n - anchor[0] < state.throughputSampleStride) {
+      samples[samples.length - 1] = [n, ms];
+      return;
+    }
+    samples.push([n, ms]);
+    if (samples.length > MAX_THROUGHPUT_SAMPLES) {
+      state.throughputSamples = samples.filter((_, i) => i % 2 === 1 || i === samples.length - 1);
+      state.throughputSampleStride *= 2;
+    }
+  }
+
+    /**
+     * Interpolate Predicted Ms.
+     * Generation time at token position `n`, linear between samples (the series starts at the origin).
+     */
+    function interpolatePredictedMs(samples, n) {
+    let prev = [0, 0];
+    for (const s of samples) {
+      if (s[0] >= n) {
+        const span = s[0] - prev[0];
+        return span > 0 ? prev[1] + ((n - prev[0]) / span) * (s[1] - prev[1]) : s[1];
+      }
+      prev = s;
+    }
+    return prev[1];
+  }
+
+    /**
+     * Summarize Throughput Curve.
+     * First- vs last-quartile generation speed and a speed-by-position curve; null without enough intermediate samples.
+     */
+    function summarizeThroughputCurve(samples) {
+    if (!Array.isArray(samples) || samples.length < 4) return null;
+    const total = samples[samples.length - 1][0];
+    if (total < THROUGHPUT_CURVE_BUCKETS) return null;
+
+    const speedBetween = (fromN, toN) => {
+      const ms = interpolatePredictedMs(samples, toN) - interpolatePredictedMs(samples, fromN);
+      return ms > 0 ? Math.round(((toN - fromN) / ms) * 1000 * 10) / 10 : null;
+    };
+    const q1 = speedBetween(0, total / 4);
+    const q4 = speedBetween((total * 3) / 4, total);
+    const curve = Array.from({ length: THROUGHPUT_CURVE_BUCKETS }, (_, i) =>
+      speedBetween((total * i) / THROUGHPUT_CURVE_BUCKETS, (total * (i + 1)) / THROUGHPUT_CURVE_BUCKETS)
+    );
+
+    return {
+      samples_count: samples.length,
+      samples: samples.map((s) => [s[0], roundMs(s[1])]),
+      q1_tps: q1,
+      q4_tps: q4,
+      decay_ratio: q1 && q4 !== null ? Math.round((q4 / q1) * 1000) / 1000 : null,
+      curve_tps: curve
+    };
+  }
+
+    /**
+     * Record Prompt Progress.
+     * Keeps a bounded series of llama.cpp `prompt_progress` samples, halving resolution when full.
+     */
+    function recordPromptProgress(state, progress, atMs) {
+    const processed = typeof progress.processed === "number" ? progress.processed : null;
+    if (processed === null) return;
+    if (typeof progress.total === "number") state.promptProgressTotal = progress.total;
+    if (typeof progress.cache === "number") state.promptProgressCache = progress.cache;
+    state.promptProgress.push([atMs, processed, typeof progress.time_ms === "number" ? progress.time_ms : null]);
+    if (state.promptProgress.length > MAX_PROMPT_PROGRESS_SAMPLES) {
+      const samples = state.promptProgress;
+      state.promptProgress = samples.filter((_, i) => i % 2 === 1 || i === samples.length - 1);
+    }
+  }
+
+    /**
+     * Summarize Prompt Progress.
+     * Prefill curve as [client ms since origin, fraction of the prompt processed] plus cache skip and duration.
+     */
+    function summarizePromptProgress(state, originMs) {
+    const samples = state.promptProgress;
+    if (!samples.length) return null;
+    const origin = typeof originMs === "number" ? originMs : samples[0][0];
+    const total = state.promptProgressTotal;
+    const cache = state.promptProgressCache ?? 0;
+    const last = samples[samples.length - 1];
+    // `processed` counts cached tokens too, so the curve starts at the cached share.
+    const fraction = (processed) => (total ? Math.round(Math.min(1, processed / total) * 1000) / 1000 : null);
+
+    return {
+      total_tokens: total,
+      cache_tokens: state.promptProgressCache,
+      processed_tokens: last[1],
+      samples_count: samples.length,
+      first_progress_ms: roundMs(samples[0][0] - origin),
+      last_progress_ms: roundMs(last[0] - origin),
+      server_prefill_ms: roundMs(last[2]),
+      cache_skipped_pct: total ? Math.round((cache / total) * 1000) / 10 : null,
+      curve: samples.map((s) => [roundMs(s[0] - origin), fraction(s[1])])
+    };
+  }
+
+    /**
+     * Consume Sse Line.
+     * `atMs` is when the network read carrying the line arrived, so lines delivered together share one timestamp.
+     */
+    function consumeSseLine(traceId, state, line, atMs = Date.now()) {
+    if (!line.startsWith("data:")) return;
+
+    const data = line.slice(5).trim();
+    if (!data) return;
+
+    if (data === "[DONE]") {
+      state.sawDoneMarker = true;
+      debugLog(traceId, "SSE DONE marker received");
+      if (!state.stopChunk && state.lastTimedChunk) {
+        state.stopChunk = state.lastTimedChunk;
+        state.lastTimingsAtStop = state.lastTimedChunk.timings || null;
+        state.stopFinishReason = getPrimaryChoiceState(state)?.finishReason ?? "done";
+        state.stopChunkAtMs = atMs;
+        debugLog(traceId, "DONE marker used as completion boundary", { finish_reason: state.stopFinishReason });
+      }
+      return;
+    }
+
+    const parsed = safeJsonParse(data);
+    state.endpoint = detectCompletionBodyEndpoint(state.endpoint, parsed);
+    const chunk = normalizeStreamChunk(state.endpoint, parsed);
+    const progress = parsed?.prompt_progress;
+    if (progress && typeof progress === "object") recordPromptProgress(state, progress, atMs);
+
+    if (!chunk) return;
+
+    const carriesTokens = chunk.choices.some((c) =>
+      (typeof c.content === "string" && c.content.length > 0) ||
+      (typeof c.reasoning === "string" && c.reasoning.length > 0) ||
+      (Array.isArray(c.toolCalls) && c.toolCalls.length > 0)
+    );
+
+    // Prefill progress events are skipped; any other chunk (role-only deltas included) is the first stream chunk,
+    // as it was before progress capture, so TTFT stays comparable with older records.
+    const progressOnly = Boolean(progress && typeof progress === "object") && !carriesTokens;
+    if (state.firstStreamChunkAtMs === null && !progressOnly) state.firstStreamChunkAtMs = atMs;
+
+    state.completionId = state.completionId || chunk.id || null;
+    state.completionCreated = state.completionCreated || chunk.created || null;
+    state.completionModel = state.completionModel || chunk.model || null;
+    state.systemFingerprint = state.systemFingerprint || chunk.fingerprint || null;
+    if (chunk.usage) {
+      state.usage = chunk.usage;
+      debugLog(traceId, "Usage block received", chunk.usage);
+    }
+
+    // Timings on a chunk belong to the choices it carries; choice-less chunks (usage trailers) count as primary.
+    if (chunk.timings && (!chunk.choices.length || chunk.choices.some((c) => c.index === 0))) {
+      state.lastTimedChunk = chunk;
+      recordThroughputSample(state, chunk.timings);
+    }
+
+    for (const c of chunk.choices) applyInlineReasoningSplit(state, getChoiceState(state, c.index), c);
+
+    if (carriesTokens) recordTokenChunkArrival(state, atMs);
+
+    for (const c of chunk.choices) {
+      const choice = getChoiceState(state, c.index);
+      const isPrimary = choice.index === 0;
+
+      if (isPrimary) {
+        if (state.firstReasoningChunkAtMs === null && typeof c.reasoning === "string" && c.reasoning.length > 0) {
+          state.firstReasoningChunkAtMs = atMs;
+        }
+        if (state.firstContentChunkAtMs === null && typeof c.content === "string" && c.content.trim().length > 0) {
+          state.firstContentChunkAtMs = atMs;
+        }
+      }
+
+      if (isPrimary && c.logprobs) recordSamplingTokens(state, c.logprobs);
+
+      if (typeof c.content === "string") {
+        choice.contentChars += c.content.length;
+        if (isPrimary && state.responseText.length < MAX_CAPTURED_TEXT_CHARS) {
+          const remaining = MAX_CAPTURED_TEXT_CHARS - state.responseText.length;
+          if (remaining > 0) state.responseText += c.content.slice(0, remaining);
+        }
+      }
+      if (typeof c.reasoning === "string") {
+        choice.reasoningChars += c.reasoning.length;
+        if (isPrimary && state.reasoningText.length < MAX_CAPTURED_TEXT_CHARS) {
+          const remaining = MAX_CAPTURED_TEXT_CHARS - state.reasoningText.length;
+          if (remaining > 0) state.reasoningText += c.reasoning.slice(0, remaining);
+        }
+      }
+
+      if (Array.isArray(c.toolCalls)) {
+        for (const tc of c.toolCalls) applyToolCallDelta(choice, tc, atMs);
+      }
+
+      if (chunk.timings) choice.lastTimings = chunk.timings;
+
+      if (typeof c.reasoning === "string" && chunk.timings) {
+        choice.reasoningBoundary = {
+          predicted_n: chunk.timings.predicted_n,
+          predicted_ms: chunk.timings.predicted_ms
+        };
+        if (isPrimary) {
+          state.reasoningBoundary = choice.reasoningBoundary;
+          debugLog(traceId, "Reasoning boundary updated", state.reasoningBoundary);
+        }
+      }
+
+      if (typeof c.finishReason === "string" && c.finishReason.length > 0 && choice.finishReason === null) {
+        choice.finishReason = c.finishReason;
+        choice.timingsAtStop = chunk.timings || null;
+        choice.stopAtMs = atMs;
+        debugLog(traceId, "Choice finished", { index: choice.index, finishReason: c.finishReason });
+      }
+    }
+
+    // The completion boundary is reached once every expected (or seen) choice has a finish reason.
+    const finishedCount = Array.from(state.choices.values()).filter((c) => c.finishReason !== null).length;
+    if (!state.stopChunk && finishedCount > 0 && finishedCount >= Math.max(state.expectedChoices, state.choices.size)) {
+      const primary = getPrimaryChoiceState(state);
+      state.stopChunk = chunk;
+      state.lastTimingsAtStop = primary?.timingsAtStop || null;
+      state.stopFinishReason = primary?.finishReason ?? null;
+      state.stopChunkAtMs = atMs;
+      debugLog(traceId, "Final chunk received", { finishReason: state.stopFinishReason, timings: state.lastTimingsAtStop });
+    }
+  }
+
+    /**
+     * Build Choice Summaries.
+     * Per-choice lengths, finish reasons and token splits for `resp.choices`, ordered by index.
+     */
+    function buildChoiceSummaries(state) {
+    return Array.from(state.choices.values())
+      .sort((a, b) => a.index - b.index)
+      .map((c) => {
+        const timings = c.timingsAtStop || c.lastTimings || null;
+        const predictedN = typeof timings?.predicted_n === "number" ? timings.predicted_n : null;
+        const reasoningN = c.reasoningBoundary?.predicted_n ?? 0;
+        return {
+          index: c.index,
+          finish_reason: c.finishReason,
+          stop_reason_category: categorizeFinishReason(c.finishReason),
+          content_chars: c.contentChars,
+          reasoning_chars: c.reasoningChars,
+          predicted_n: predictedN,
+          predicted_ms: roundMs(timings?.predicted_ms ?? null),
+          predicted_tps: timings?.predicted_per_second ?? null,
+          reasoning_n: c.reasoningBoundary ? reasoningN : 0,
+          content_n: predictedN !== null ? Math.max(0, predictedN - reasoningN) : null,
+          reasoning_detection: c.reasoningSource,
+          phase_boundary: c.reasoningBoundary
+            ? {
+                reasoning_final_predicted_n: c.reasoningBoundary.predicted_n,
+                reasoning_final_predicted_ms: roundMs(c.reasoningBoundary.predicted_ms)
+              }
+            : null,
+          duration_first_stream_chunk_to_stop_ms: (state.firstStreamChunkAtMs !== null && c.stopAtMs !== null)
+            ? Math.max(0, c.stopAtMs - state.firstStreamChunkAtMs)
+            : null
+        };
+      });
+  }
+
+    /**
+     * Is Sse Settled.
+     * A stopped stream keeps reading when `include_usage` was requested, until the usage trailer or `[DONE]` arrives.
+     */
+    function isSseSettled(state) {
+    if (!state.stopChunk) return false;
+    return !state.awaitUsage || state.usage !== null || state.sawDoneMarker;
+  }
+
+    /**
+     * Consume Sse Text.
+     * Feeds decoded stream text into the parse state; returns true once a completion boundary is reached. Call it once
+     * per network read: every line in `text` is stamped with the same arrival time.
+     */
+    function consumeSseText(traceId, state, text, atMs = Date.now()) {
+    if (isSseSettled(state)) return true;
+
+    state.buffer += text;
+
+    let lineEnd;
+    while ((lineEnd = state.buffer.indexOf("\n")) !== -1) {
+      const line = state.buffer.slice(0, lineEnd).trimEnd();
+      state.buffer = state.buffer.slice(lineEnd + 1);
+      consumeSseLine(traceId, state, line, atMs);
+      if (isSseSettled(state)) return true;
+    }
+    return false;
+  }
+
+    /**
+     * Normalize Usage.
+     * OpenAI-style `usage` block (stream trailer or JSON body) reduced to token counts; null when absent.
+     */
+    function normalizeUsage(usage) {
+    if (!usage || typeof usage !== "object") return null;
+    const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+    return {
+      prompt_tokens: num(usage.prompt_tokens),
+      completion_tokens: num(usage.completion_tokens),
+      total_tokens: num(usage.total_tokens),
+      cached_tokens: num(usage.prompt_tokens_details?.cached_tokens),
+      reasoning_tokens: num(usage.completion_tokens_details?.reasoning_tokens)
+    };
+  }
+
+    /**
+     * Reconcile Usage.
+     * Compares reported usage against llama.cpp timings; prompt tokens are expected to equal `prompt_n + cache_n`.
+     */
+    function reconcileUsage(usage, timings, completionTokensExpected) {
+    if (!usage) return null;
+    const promptExpected = typeof timings?.prompt_n === "number" ? timings.prompt_n + (timings.cache_n ?? 0) : null;
+    const completionExpected = typeof completionTokensExpected === "number" ? completionTokensExpected : null;
+    const delta = (reported, expected) => (reported !== null && expected !== null ? reported - expected : null);
+    const promptDelta = delta(usage.prompt_tokens, promptExpected);
+    const completionDelta = delta(usage.completion_tokens, completionExpected);
+    const totalDelta = usage.total_tokens !== null && usage.prompt_tokens !== null && usage.completion_tokens !== null
+      ? usage.total_tokens - usage.prompt_tokens - usage.completion_tokens
+      : null;
+    const mismatchFields = [
+      promptDelta ? "prompt_tokens" : null,
+      completionDelta ? "completion_tokens" : null,
+      totalDelta ? "total_tokens" : null
+    ].filter(Boolean);
+    const checked = promptDelta !== null || completionDelta !== null || totalDelta !== null;
+
+    return {
+      prompt_tokens_expected: promptExpected,
+      prompt_tokens_delta: promptDelta,
+      completion_tokens_expected: completionExpected,
+      completion_tokens_delta: completionDelta,
+      total_tokens_delta: totalDelta,
+      mismatch: checked ? mismatchFields.length > 0 : null,
+      mismatch_fields: mismatchFields
+    };
+  }
+
+    /**
+     * Build Completion Record.
+     * Returns null when the response never reached a timed completion chunk.
+     */
+    function buildCompletionRecord(traceId, state, requestMeta, timingContext) {
+    if ((!state.stopChunk || !state.lastTimingsAtStop) && state.lastTimedChunk && state.sawDoneMarker) {
+      state.stopChunk = state.lastTimedChunk;
+      state.lastTimingsAtStop = state.lastTimedChunk.timings || null;
+      state.stopFinishReason = getPrimaryChoiceState(state)?.finishReason ?? "done";
+      state.stopChunkAtMs = Date.now();
+    }
+
+    const aborted = (!state.stopChunk || !state.lastTimingsAtStop) && state.abortCause !== null;
+    if ((!state.stopChunk || !state.lastTimingsAtStop) && !aborted) {
+      debugLog(traceId, "No STOP chunk found; skipping record emit");
+      return null;
+    }
+    if (state.streamed) {
+      for (const choice of state.choices.values()) flushInlineReasoningPending(state, choice);
+    }
+
+    // Aborted streams fall back to the last timed chunk, which may be absent if the stop came before any timings.
+    const lastTimingsAtStop = aborted ? (state.lastTimedChunk?.timings || {}) : state.lastTimingsAtStop;
+    const reasoningBoundary = state.reasoningBoundary;
+    const firstStreamChunkAtMs = state.firstStreamChunkAtMs;
+    const reasoningText = state.reasoningText;
+
+    const totalPredN = lastTimingsAtStop.predicted_n ?? null;
+    const totalPredMs = lastTimingsAtStop.predicted_ms ?? null;
+
+    const rPredN = reasoningBoundary?.predicted_n ?? 0;
+    const rPredMs = reasoningBoundary?.predicted_ms ?? 0;
 
     const cPredN = (typeof totalPredN === "number") ? Math.max(0, totalPredN - rPredN) : null;
     const cPredMs = (typeof totalPredMs === "number") ? Math.max(0, totalPredMs - rPredMs) : null;
-    const finishReasonFinal = stopFinishReason ?? "stop";
+    const finishReasonFinal = aborted ? null : (state.stopFinishReason ?? "stop");
     const outputTokensEstimate = (typeof totalPredN === "number" && Number.isFinite(totalPredN)) ? totalPredN : null;
-    const outputCharsEstimate =
-      (typeof outputTokensEstimate === "number" && Number.isFinite(outputTokensEstimate))
-        ? Math.round(outputTokensEstimate * 4)
-        : null;
-    const requestStartMs = typeof timingContext.request_start_ms === "number" ? timingContext.request_start_ms : null;
-    const responseHeadersMs = typeof timingContext.response_headers_ms === "number" ? timingContext.response_headers_ms : null;
-    const stopMs = typeof stopChunkAtMs === "number" ? stopChunkAtMs : Date.now();
+    // Counted from the captured answer and reasoning text; the 4-chars-per-token guess only covers runs whose text
+    // was clipped or never arrived as text (tool calls only).
+    const capturedOutputChars = state.responseText.length + reasoningText.length;
+    const outputTextClipped = state.responseText.length >= MAX_CAPTURED_TEXT_CHARS || reasoningText.length >= MAX_CAPTURED_TEXT_CHARS;
+    const outputCharsFromText = capturedOutputChars > 0 && !outputTextClipped;
+    const outputCharsEstimate = outputCharsFromText
+      ? capturedOutputChars
+      : (typeof outputTokensEstimate === "number" ? Math.round(outputTokensEstimate * 4) : null);
+    const requestStartMs = typeof timingContext?.request_start_ms === "number" ? timingContext.request_start_ms : null;
+    const responseHeadersMs = typeof timingContext?.response_headers_ms === "number" ? timingContext.response_headers_ms : null;
+    const stopMs = aborted
+      ? state.abortedAtMs
+      : (typeof state.stopChunkAtMs === "number" ? state.stopChunkAtMs : Date.now());
 
     const durRequestToHeaders =
       (requestStartMs !== null && responseHeadersMs !== null) ? Math.max(0, responseHeadersMs - requestStartMs) : null;
     const durRequestToFirstChunk =
       (requestStartMs !== null && firstStreamChunkAtMs !== null) ? Math.max(0, firstStreamChunkAtMs - requestStartMs) : null;
+    const durRequestToFirstReasoning =
+      (requestStartMs !== null && state.firstReasoningChunkAtMs !== null) ? Math.max(0, state.firstReasoningChunkAtMs - requestStartMs) : null;
+    const durRequestToFirstContent =
+      (requestStartMs !== null && state.firstContentChunkAtMs !== null) ? Math.max(0, state.firstContentChunkAtMs - requestStartMs) : null;
     const durHeadersToFirstChunk =
       (responseHeadersMs !== null && firstStreamChunkAtMs !== null) ? Math.max(0, firstStreamChunkAtMs - responseHeadersMs) : null;
     const durFirstChunkToStop =
@@ -1214,27 +2489,55 @@
       (responseHeadersMs !== null && stopMs !== null) ? Math.max(0, stopMs - responseHeadersMs) : null;
     const durRequestToStop =
       (requestStartMs !== null && stopMs !== null) ? Math.max(0, stopMs - requestStartMs) : null;
+    const bodyCompleteMs = state.streamed ? null : stopMs;
+    const choiceSummaries = buildChoiceSummaries(state);
+    const choicePredNs = choiceSummaries.map((c) => c.predicted_n).filter((n) => typeof n === "number");
+    const toolCallSummaries = buildToolCallSummaries(state);
+    const stallThresholdMs = typeof timingContext?.stall_threshold_ms === "number" ? timingContext.stall_threshold_ms : null;
+    const itlSummary = state.streamed ? summarizeChunkTimeline(state.tokenChunkGapsMs, stallThresholdMs) : null;
+    const receivedContentChars = choiceSummaries.reduce((sum, c) => sum + c.content_chars, 0);
+    const receivedReasoningChars = choiceSummaries.reduce((sum, c) => sum + c.reasoning_chars, 0);
+    const usage = normalizeUsage(state.usage);
+    const choicesPredictedTotal = choicePredNs.length ? choicePredNs.reduce((a, b) => a + b, 0) : null;
+    const usageCheck = aborted
+      ? null
+      : reconcileUsage(usage, lastTimingsAtStop, choiceSummaries.length > 1 ? choicesPredictedTotal : totalPredN);
+    if (usageCheck?.mismatch) debugLog(traceId, "Usage does not match timings", usageCheck);
+    const contextInfo = aborted ? null : extractContextInfo(state.stopChunk?.raw || state.stopChunk);
+    const contextTruncated = contextInfo?.truncated === true;
+    if (contextTruncated) debugLog(traceId, "Server reported context truncation", contextInfo);
 
-    const record = {
+    return {
       v: 1,
       trace_id: traceId, // NEW
       promptText: clipCapturedText(requestMeta?.promptText ?? null),
-      responseText,
+      responseText: state.responseText,
       ReasoningText: reasoningText.length ? reasoningText : null,
       captured_at_ms: Date.now(),
       ui_origin: location.origin,
-      endpoint: "/v1/chat/completions",
-      streamed: true,
+      endpoint: state.endpoint,
+      streamed: state.streamed,
+      transport: timingContext?.transport || "fetch",
+      aborted,
 
       req: requestMeta,
 
       resp: {
-        id: completionId,
-        created: completionCreated,
-        model: completionModel,
-        fingerprint: systemFingerprint,
+        id: state.completionId,
+        created: state.completionCreated,
+        model: state.completionModel,
+        fingerprint: state.systemFingerprint,
         choice_index: 0,
         finish_reason: finishReasonFinal,
+        choices_count: choiceSummaries.length,
+        choices_predicted_n_total: choicesPredictedTotal,
+        choices: choiceSummaries,
+        tool_calls_count: toolCallSummaries.length,
+        tool_calls: toolCallSummaries,
+        received: {
+          content_chars: receivedContentChars,
+          reasoning_chars: receivedReasoningChars
+        },
 
         timings: {
           cache_n: lastTimingsAtStop.cache_n ?? null,
@@ -1243,9 +2546,17 @@
           predicted_n: lastTimingsAtStop.predicted_n ?? null,
           predicted_ms: roundMs(lastTimingsAtStop.predicted_ms ?? null),
           prompt_tps: lastTimingsAtStop.prompt_per_second ?? null,
-          predicted_tps: lastTimingsAtStop.predicted_per_second ?? null
+          predicted_tps: lastTimingsAtStop.predicted_per_second ?? null,
+          draft_n: lastTimingsAtStop.draft_n ?? null,
+          draft_n_accepted: lastTimingsAtStop.draft_n_accepted ?? null
         },
 
+        usage,
+
+        usage_check: usageCheck,
+
+        context: contextInfo,
+
         phase_boundary: reasoningBoundary
           ? {
               reasoning_final_predicted_n: reasoningBoundary.predicted_n,
@@ -1259,99 +2570,671 @@
           content_n: reasoningBoundary ? cPredN : (typeof totalPredN === "number" ? totalPredN : null),
           content_ms: reasoningBoundary
             ? roundMs(cPredMs)
-            : (typeof totalPredMs === "number" ? roundMs(totalPredMs) : null)
+            : (typeof totalPredMs === "number" ? roundMs(totalPredMs) : null),
+          reasoning_detection: getPrimaryChoiceState(state)?.reasoningSource ?? null,
+          draft_acceptance_rate:
+            typeof lastTimingsAtStop.draft_n === "number" && lastTimingsAtStop.draft_n > 0 && typeof lastTimingsAtStop.draft_n_accepted === "number"
+              ? Math.round((lastTimingsAtStop.draft_n_accepted / lastTimingsAtStop.draft_n) * 10000) / 10000
+              : null,
+          // Client TTFT not explained by server prompt processing: network, queueing for a slot, templating.
+          ttft_overhead_ms:
+            state.streamed && durRequestToFirstChunk !== null && typeof lastTimingsAtStop?.prompt_ms === "number"
+              ? roundMs(Math.max(0, durRequestToFirstChunk - lastTimingsAtStop.prompt_ms))
+              : null
         },
 
+        chunk_timeline: state.streamed && state.tokenChunkCount > 0
+          ? {
+              token_chunk_count: state.tokenChunkCount,
+              first_offset_ms: firstStreamChunkAtMs !== null ? Math.max(0, state.tokenChunkFirstAtMs - firstStreamChunkAtMs) : null,
+              gaps_ms: state.tokenChunkGapsMs.slice(0, MAX_PERSISTED_CHUNK_GAPS),
+              gaps_truncated: state.tokenChunkGapsMs.length > MAX_PERSISTED_CHUNK_GAPS
+            }
+          : null,
+
+        itl: itlSummary,
+
+        throughput: state.streamed ? summarizeThroughputCurve(state.throughputSamples) : null,
+
+        sampling_stats: summarizeSamplingStats(state.samplingStats),
+
+        output_shape: analyzeOutputShape(state.responseText, state.responseText.length >= MAX_CAPTURED_TEXT_CHARS),
+
+        structured_output: aborted
+          ? null
+          : validateStructuredOutput(state.responseText, requestMeta?.output_constraint, state.responseText.length >= MAX_CAPTURED_TEXT_CHARS),
+
+        prompt_progress: summarizePromptProgress(state, requestStartMs),
+
         client_timing: {
           request_start_ms: requestStartMs,
           response_headers_ms: responseHeadersMs,
           first_stream_chunk_ms: firstStreamChunkAtMs,
+          first_reasoning_chunk_ms: state.firstReasoningChunkAtMs,
+          first_content_chunk_ms: state.firstContentChunkAtMs,
           stop_chunk_ms: stopMs,
           duration_request_to_headers_ms: durRequestToHeaders,
           duration_request_to_first_stream_chunk_ms: durRequestToFirstChunk,
           duration_headers_to_first_stream_chunk_ms: durHeadersToFirstChunk,
+          duration_request_to_first_reasoning_chunk_ms: durRequestToFirstReasoning,
+          duration_request_to_first_content_chunk_ms: durRequestToFirstContent,
           duration_first_stream_chunk_to_stop_ms: durFirstChunkToStop,
           duration_headers_to_stop_ms: durHeadersToStop,
-          duration_request_to_stop_ms: durRequestToStop
+          duration_request_to_stop_ms: durRequestToStop,
+          body_complete_ms: bodyCompleteMs,
+          duration_headers_to_body_complete_ms: bodyCompleteMs !== null ? durHeadersToStop : null,
+          duration_request_to_body_complete_ms: bodyCompleteMs !== null ? durRequestToStop : null
         },
 
         guardrails: {
-          stop_reason_category: categorizeFinishReason(finishReasonFinal),
+          stop_reason_category: aborted
+            ? "aborted"
+            : (contextTruncated ? "context_truncated" : categorizeFinishReason(finishReasonFinal)),
+          context_truncated: contextTruncated,
           output_length_estimate: {
             output_tokens_estimate: outputTokensEstimate,
-            output_chars_estimate: outputCharsEstimate
+            output_chars_estimate: outputCharsEstimate,
+            output_chars_source: outputCharsFromText ? "captured_text" : (outputCharsEstimate !== null ? "predicted_n" : null)
           }
         }
       },
 
-      err: null
+      err: aborted
+        ? { type: "aborted", cause: state.abortCause, message: state.abortMessage }
+        : null
+    };
+  }
+
+    /**
+     * Build Server Snapshot.
+     * Server configuration from llama.cpp `/props` and `/v1/models` bodies; null when neither looks like llama.cpp.
+     */
+    function buildServerSnapshot(origin, props, models, chatTemplateHash) {
+    const p = props && typeof props === "object" ? props : null;
+    const model = Array.isArray(models?.data) ? models.data[0] || null : null;
+    if (!p && !model) return null;
+    const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+    const meta = model?.meta && typeof model.meta === "object" ? model.meta : {};
+
+    return {
+      origin,
+      n_ctx: num(p?.default_generation_settings?.n_ctx) ?? num(p?.n_ctx),
+      total_slots: num(p?.total_slots),
+      build_info: typeof p?.build_info === "string" ? p.build_info : null,
+      model_path: typeof p?.model_path === "string" ? p.model_path : null,
+      model_id: typeof model?.id === "string" ? model.id : null,
+      n_params: num(meta.n_params),
+      size_bytes: num(meta.size),
+      n_ctx_train: num(meta.n_ctx_train),
+      n_vocab: num(meta.n_vocab),
+      modalities: p?.modalities && typeof p.modalities === "object" ? p.modalities : null,
+      chat_template_hash: chatTemplateHash || null
+    };
+  }
+
+    /**
+     * Fetch Json Quiet.
+     * GET through the unhooked fetch, sending cookies only to the page origin; null on any failure.
+     */
+    async function fetchJsonQuiet(url) {
+    try {
+      const res = await originalFetch(url, { credentials: "same-origin", cache: "no-store" });
+      if (!res.ok) return null;
+      return safeJsonParse(await res.text());
+    } catch {
+      return null;
+    }
+  }
+
+    /**
+     * Request Origin.
+     * Origin of a request URL resolved against the page; null when it cannot be parsed.
+     */
+    function requestOrigin(url) {
+    try {
+      return new URL(url, location.href).origin;
+    } catch {
+      return null;
+    }
+  }
+
+    /**
+     * Refresh Server Snapshot.
+     * Fetches `/props` and `/v1/models` from the server origin that completions go to and posts the snapshot to the
+     * content script. A failed refresh keeps the previous snapshot for that origin.
+     */
+    async function refreshServerSnapshot(origin, reason) {
+    if (!origin) return null;
+    if (__serverSnapshotsInFlight.has(origin)) return __serverSnapshotsInFlight.get(origin);
+    const pending = (async () => {
+      const [props, models] = await Promise.all([
+        fetchJsonQuiet(`${origin}/props`),
+        fetchJsonQuiet(`${origin}/v1/models`)
+      ]);
+      const templateHash = typeof props?.chat_template === "string" ? await sha256Hex(props.chat_template) : null;
+      const snapshot = buildServerSnapshot(origin, props, models, templateHash);
+      if (!snapshot) {
+        if (!__serverSnapshots.has(origin)) __serverSnapshots.set(origin, null);
+        debugLog(null, "No llama.cpp server snapshot available", { origin, reason });
+        return null;
+      }
+      // The id covers configuration only, so identical servers share a snapshot across refreshes.
+      const id = await sha256Hex(stableStringify(snapshot));
+      const stored = { snapshot_id: id ? id.slice(0, 16) : `${origin}::${Date.now()}`, ...snapshot, fetched_at_ms: Date.now() };
+      __serverSnapshots.set(origin, stored);
+      window.postMessage({ type: "LLAMACPP_SERVER_SNAPSHOT", snapshot: stored, reason }, "*");
+      debugLog(null, "Server snapshot updated", { snapshot: stored, reason });
+      return stored;
+    })();
+    __serverSnapshotsInFlight.set(origin, pending);
+    try {
+      return await pending;
+    } finally {
+      __serverSnapshotsInFlight.delete(origin);
+    }
+  }
+
+    /**
+     * Note Request Model.
+     * Reads the server snapshot for a completion origin on its first request, and again when the UI switches models.
+     */
+    function noteRequestModel(model, origin) {
+    if (!origin) return;
+    const previous = __lastRequestModels.get(origin) ?? null;
+    if (typeof model === "string" && model) __lastRequestModels.set(origin, model);
+    if (!__serverSnapshots.has(origin)) {
+      refreshServerSnapshot(origin, "first_request").catch(() => {});
+    } else if (typeof model === "string" && model && previous !== null && previous !== model) {
+      refreshServerSnapshot(origin, "model_changed").catch(() => {});
+    }
+  }
+
+    /**
+     * Summarize Resource Timing.
+     * Connection and request phases of a `PerformanceResourceTiming` entry in ms. Cross-origin servers that do not
+     * send `Timing-Allow-Origin` expose no phases, so those come back null with `timing_allowed: false`.
+     */
+    function summarizeResourceTiming(entry) {
+    if (!entry || typeof entry.startTime !== "number") return null;
+    const span = (a, b) => (typeof a === "number" && typeof b === "number" && a > 0 && b >= a ? roundMs(b - a) : null);
+    const timingAllowed = entry.requestStart > 0;
+
+    return {
+      timing_allowed: timingAllowed,
+      next_hop_protocol: entry.nextHopProtocol || null,
+      connection_reused: timingAllowed ? entry.connectStart === entry.connectEnd : null,
+      dns_ms: span(entry.domainLookupStart, entry.domainLookupEnd),
+      connect_ms: span(entry.connectStart, entry.connectEnd),
+      tls_ms: entry.secureConnectionStart > 0 ? span(entry.secureConnectionStart, entry.connectEnd) : (timingAllowed ? 0 : null),
+      request_ms: span(entry.requestStart, entry.responseStart),
+      response_start_ms: timingAllowed ? span(entry.startTime || entry.fetchStart, entry.responseStart) : null,
+      response_ms: span(entry.responseStart, entry.responseEnd),
+      transfer_size: typeof entry.transferSize === "number" && entry.transferSize > 0 ? entry.transferSize : null
+    };
+  }
+
+    /**
+     * Find Resource Timing Entry.
+     * The fetch/XHR entry for `url` that started closest to `startPerfMs`, from the performance timeline or an
+     * observer's entry list.
+     */
+    function findResourceTimingEntry(url, startPerfMs, source = performance) {
+    if (typeof source?.getEntriesByName !== "function") return null;
+    let best = null;
+    for (const entry of source.getEntriesByName(url, "resource")) {
+      if (entry.initiatorType !== "fetch" && entry.initiatorType !== "xmlhttprequest") continue;
+      const gap = Math.abs(entry.startTime - startPerfMs);
+      if (gap > RESOURCE_TIMING_MATCH_MS) continue;
+      if (!best || gap < best.gap) best = { gap, entry };
+    }
+    return best ? best.entry : null;
+  }
+
+    /**
+     * Watch Network Timing.
+     * Posts the request's network phases as a follow-up to its record. A streamed response only gets its Resource
+     * Timing entry once the body has ended, so a `resource` observer waits for it instead of holding the record back.
+     */
+    function watchNetworkTiming(traceId, url, startPerfMs) {
+    const post = (entry) => {
+      debugLog(traceId, "Network timing resolved", { url });
+      window.postMessage({ type: "LLAMACPP_METRICS_NETWORK_TIMING", trace_id: traceId, network_timing: summarizeResourceTiming(entry) }, "*");
+    };
+    const existing = findResourceTimingEntry(url, startPerfMs);
+    if (existing) {
+      post(existing);
+      return;
+    }
+    if (typeof PerformanceObserver !== "function") return;
+
+    let timer = null;
+    const observer = new PerformanceObserver((list) => {
+      const entry = findResourceTimingEntry(url, startPerfMs, list);
+      if (!entry) return;
+      observer.disconnect();
+      clearTimeout(timer);
+      post(entry);
+    });
+    observer.observe({ type: "resource" });
+    timer = setTimeout(() => {
+      observer.disconnect();
+      debugLog(traceId, "No resource timing entry found", { url });
+    }, NETWORK_TIMING_WAIT_MS);
+  }
+
+    /**
+     * Tokenize Count.
+     * Token count for `text` from the server's `/tokenize` endpoint (without special tokens); null on failure.
+     */
+    async function tokenizeCount(origin, text) {
+    if (typeof text !== "string") return null;
+    if (!text.length) return 0;
+    try {
+      const res = await originalFetch(`${origin}/tokenize`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content: text, add_special: false }),
+        credentials: "same-origin",
+        cache: "no-store"
+      });
+      if (!res.ok) return null;
+      const body = safeJsonParse(await res.text());
+      return Array.isArray(body?.tokens) ? body.tokens.length : null;
+    } catch {
+      return null;
+    }
+  }
+
+    /**
+     * Apply Prompt Token Counts.
+     * Adds exact system and current-user token counts, a token-size bucket and bytes per token to the request metadata.
+     */
+    function applyPromptTokenCounts(reqMeta, texts, counts) {
+    if (!reqMeta || !texts || !counts) return false;
+    const systemTokens = typeof counts.system === "number" ? counts.system : null;
+    const userTokens = typeof counts.current_user === "number" ? counts.current_user : null;
+    if (systemTokens === null && userTokens === null) return false;
+
+    let bytes = 0;
+    let tokens = 0;
+    if (systemTokens !== null) {
+      bytes += utf8Bytes(texts.system || "");
+      tokens += systemTokens;
+    }
+    if (userTokens !== null) {
+      bytes += utf8Bytes(texts.current_user || "");
+      tokens += userTokens;
+    }
+
+    reqMeta.input_composition = {
+      ...(reqMeta.input_composition || {}),
+      system_text_tokens: systemTokens,
+      current_user_text_tokens: userTokens,
+      tokenized_text_bytes: bytes,
+      bytes_per_token: tokens > 0 ? Math.round((bytes / tokens) * 1000) / 1000 : null,
+      token_count_source: "tokenize"
+    };
+    reqMeta.scenario_labels = {
+      ...(reqMeta.scenario_labels || {}),
+      current_user_text_token_bucket: tokensBucket(userTokens)
     };
+    return true;
+  }
+
+    /**
+     * Enrich Prompt Token Counts.
+     * Runs after the completion so tokenization does not compete with the request being measured.
+     */
+    async function enrichPromptTokenCounts(traceId, reqMeta, requestUrl) {
+    const texts = reqMeta ? __tokenizeTexts.get(reqMeta) : null;
+    if (!texts) return;
+    let origin = location.origin;
+    try {
+      if (typeof requestUrl === "string") origin = new URL(requestUrl).origin;
+    } catch {}
+    const [system, currentUser] = await Promise.all([
+      tokenizeCount(origin, texts.system),
+      tokenizeCount(origin, texts.current_user)
+    ]);
+    const applied = applyPromptTokenCounts(reqMeta, texts, { system, current_user: currentUser });
+    debugLog(traceId, applied ? "Prompt token counts added" : "Prompt tokenization unavailable", { origin, system, current_user: currentUser });
+  }
 
+    /**
+     * Emit Record.
+     * Posts the record as soon as it is built; network timing follows in a separate message (see `watchNetworkTiming`).
+     */
+    async function emitRecord(traceId, record, timingContext = null) {
+    const origin = requestOrigin(timingContext?.request_url);
+    if (origin && __serverSnapshotsInFlight.has(origin)) {
+      try {
+        await __serverSnapshotsInFlight.get(origin);
+      } catch {}
+    }
+    record.api_origin = origin;
+    record.server_snapshot_id = origin ? (__serverSnapshots.get(origin)?.snapshot_id ?? null) : null;
+    const watchTiming = Boolean(record.resp) &&
+      typeof timingContext?.request_url === "string" &&
+      typeof timingContext?.request_start_perf_ms === "number";
+    if (watchTiming) record.resp.network_timing = null;
+    if (__captureOptions.tokenize_prompts && record.req) {
+      await enrichPromptTokenCounts(traceId, record.req, timingContext?.request_url);
+    }
     debugLog(traceId, "Emitting final record", record);
     window.postMessage({ type: "LLAMACPP_METRICS_RECORD", record }, "*");
+    if (!watchTiming) return;
+    try {
+      watchNetworkTiming(traceId, timingContext.request_url, timingContext.request_start_perf_ms);
+    } catch (e) {
+      debugLog(traceId, "Resource timing lookup failed", String(e?.message || e));
+    }
   }
 
-  window.fetch = async function (input, init) {
-    const url = (typeof input === "string") ? input : (input && input.url ? input.url : "");
-    const shouldCapture = isChatCompletionsUrl(url);
-    const isBlobUrlRequest = typeof url === "string" && url.startsWith("blob:");
-    const method = (init && typeof init.method === "string" ? init.method : "GET").toUpperCase();
+    /**
+     * Parse Sse Clone And Emit Record.
+     */
+    async function parseSseCloneAndEmitRecord(traceId, clone, requestMeta, timingContext = {}) {
+    const contentType = clone.headers.get("content-type") || "";
+    const isSse = contentType.includes("text/event-stream");
 
-    if (typeof url === "string" && (url.includes("/v1/") || isBlobUrlRequest)) {
-      emitProbe("fetch_observed", {
-        method,
-        url,
-        should_capture: shouldCapture,
-        is_blob_url: isBlobUrlRequest
+    if (!isSse || !clone.body) return;
+
+    debugLog(traceId, "SSE detected, beginning parse", { contentType });
+
+    const reader = clone.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    const state = createSseParseState(timingContext.endpoint, requestMeta?.params?.n);
+    state.reasoningTags = currentReasoningTags();
+    state.awaitUsage = requestMeta?.params?.stream_options?.include_usage === true;
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          if (!state.sawDoneMarker) markStreamAborted(traceId, state, "stream_closed", null);
+          break;
+        }
+        if (consumeSseText(traceId, state, decoder.decode(value, { stream: true }), Date.now())) break;
+      }
+    } catch (e) {
+      debugLog(traceId, "SSE parse error", e);
+      markStreamAborted(traceId, state, e?.name === "AbortError" ? "abort_signal" : "stream_error", String(e?.message || e));
+    } finally {
+      try { reader.releaseLock(); } catch {}
+    }
+
+    const record = buildCompletionRecord(traceId, state, requestMeta, timingContext);
+    if (record) emitRecord(traceId, record, timingContext);
+  }
+
+    /**
+     * Apply Json Completion.
+     * Loads a non-streamed completion body into a parse state so it shares record building with SSE.
+     */
+    function applyJsonCompletion(traceId, state, body, bodyCompleteMs) {
+    if (!body || typeof body !== "object") return false;
+    state.endpoint = detectCompletionBodyEndpoint(state.endpoint, body);
+
+    let choices = [];
+
+    if (state.endpoint === "/completion") {
+      if (typeof body.content !== "string") return false;
+      choices = [{
+        index: 0,
+        content: body.content,
+        reasoning: null,
+        finishReason: nativeStopFinishReason(body),
+        logprobs: normalizeTokenProbs(body.completion_probabilities)
+      }];
+    } else {
+      if (!Array.isArray(body.choices)) return false;
+      choices = body.choices.map((c, i) => {
+        const message = state.endpoint === "/v1/completions" ? { content: c?.text } : (c?.message || {});
+        return {
+          index: Number.isInteger(c?.index) ? c.index : i,
+          content: message.content,
+          reasoning: message.reasoning_content,
+          toolCalls: Array.isArray(message.tool_calls) ? message.tool_calls : null,
+          finishReason: c?.finish_reason ?? null,
+          logprobs: extractChoiceLogprobs(c?.logprobs)
+        };
       });
-      debugLog(null, "Fetch observed", { method, url, should_capture: shouldCapture, is_blob_url: isBlobUrlRequest });
     }
 
-    if (isBlobUrlRequest) {
-      const meta = blobUrlMeta.get(url) || null;
-      const mime = typeof meta?.mime === "string" ? meta.mime : "";
-      if (meta) {
-        registerAttachmentSignal("fetch.blob_url", {
-          mime,
-          size_bytes: typeof meta?.size_bytes === "number" ? meta.size_bytes : null
-        });
+    for (const c of choices) {
+      const choice = getChoiceState(state, c.index);
+      applyInlineReasoningSplit(state, choice, c);
+      if (choice.inlineTags.pending) {
+        // The whole body is here, so a held-back partial tag is just text.
+        if (choice.inlineTags.phase === "inside") c.reasoning = (c.reasoning || "") + choice.inlineTags.pending;
+        else c.content = (c.content || "") + choice.inlineTags.pending;
+        choice.inlineTags.pending = "";
       }
-      const kind = classifyDocumentKind(mime, "");
-      if (kind) {
-        registerDocumentSignal(kind, "fetch.blob_url", {
-          blob_url: url,
-          mime,
-          size_bytes: meta?.size_bytes ?? null
-        });
+      choice.contentChars = typeof c.content === "string" ? c.content.length : 0;
+      choice.reasoningChars = typeof c.reasoning === "string" ? c.reasoning.length : 0;
+      choice.finishReason = c.finishReason;
+      choice.stopAtMs = bodyCompleteMs;
+      if (Array.isArray(c.toolCalls)) {
+        c.toolCalls.forEach((tc, i) => applyToolCallDelta(choice, { ...tc, index: Number.isInteger(tc?.index) ? tc.index : i }, bodyCompleteMs));
       }
-      emitProbe("blob_fetch_observed", { url, mime: mime || null, meta });
-      debugLog(null, "Blob fetch observed", { url, meta });
     }
+    const primary = getPrimaryChoiceState(state);
+    // Non-streamed bodies report a single `timings` block, attributed to the primary choice.
+    if (primary) primary.timingsAtStop = body.timings || null;
+    const primaryBody = choices.find((c) => c.index === primary?.index) || null;
+    const content = primaryBody?.content;
+    const reasoning = primaryBody?.reasoning;
+    const finishReason = primaryBody?.finishReason ?? null;
+    if (primaryBody?.logprobs) recordSamplingTokens(state, primaryBody.logprobs);
+
+    state.streamed = false;
+    state.completionId = body.id || null;
+    state.completionCreated = body.created || null;
+    state.completionModel = body.model || null;
+    state.systemFingerprint = body.system_fingerprint || null;
+    state.usage = body.usage && typeof body.usage === "object" ? body.usage : null;
+    if (typeof content === "string") {
+      state.responseText = content.slice(0, MAX_CAPTURED_TEXT_CHARS);
+    }
+    if (typeof reasoning === "string") {
+      state.reasoningText = reasoning.slice(0, MAX_CAPTURED_TEXT_CHARS);
+    }
+    state.stopChunk = body;
+    state.lastTimingsAtStop = body.timings || null;
+    state.stopFinishReason = finishReason;
+    state.stopChunkAtMs = bodyCompleteMs;
 
-    // Create trace early (only if this request is relevant)
-    const traceId = shouldCapture ? makeTraceId() : null;
-    const requestStartMs = shouldCapture ? Date.now() : null;
+    debugLog(traceId, "JSON completion body received", { finish_reason: state.stopFinishReason, timings: state.lastTimingsAtStop });
+    return true;
+  }
+
+    /**
+     * Parse Json Clone And Emit Record.
+     */
+    async function parseJsonCloneAndEmitRecord(traceId, clone, requestMeta, timingContext = {}) {
+    let body = null;
+
+    try {
+      body = safeJsonParse(await clone.text());
+    } catch (e) {
+      debugLog(traceId, "JSON body read error", e);
+      return;
+    }
+
+    const state = createSseParseState(timingContext.endpoint);
+    state.reasoningTags = currentReasoningTags();
+    if (!applyJsonCompletion(traceId, state, body, Date.now())) {
+      debugLog(traceId, "JSON body is not a completion; skipping record emit");
+      return;
+    }
+
+    const record = buildCompletionRecord(traceId, state, requestMeta, timingContext);
+    if (record) emitRecord(traceId, record, timingContext);
+  }
+
+    /**
+     * Extract Server Error.
+     * Reads the llama.cpp / OpenAI-style `{ error: { code, type, message } }` body, falling back to the raw text.
+     */
+    function extractServerError(body, text) {
+    const e = body?.error;
+    if (e && typeof e === "object") {
+      return {
+        error_type: typeof e.type === "string" ? e.type : null,
+        error_code: e.code ?? null,
+        message: typeof e.message === "string" ? clipCapturedText(e.message, 2000) : null,
+        n_prompt_tokens: typeof e.n_prompt_tokens === "number" ? e.n_prompt_tokens : null,
+        n_ctx: typeof e.n_ctx === "number" ? e.n_ctx : null
+      };
+    }
+    const message = typeof e === "string"
+      ? e
+      : (typeof body?.message === "string" ? body.message : (typeof text === "string" && text.trim() ? text.trim() : null));
+    return {
+      error_type: null,
+      error_code: null,
+      message: clipCapturedText(message, 2000),
+      n_prompt_tokens: null,
+      n_ctx: null
+    };
+  }
+
+    /**
+     * Build Http Error Record.
+     * Error records share the completion envelope so storage, export and session chaining treat them alike.
+     */
+    function buildHttpErrorRecord(traceId, status, statusText, bodyText, requestMeta, timingContext) {
+    const serverError = extractServerError(safeJsonParse(bodyText || ""), bodyText);
+    const requestStartMs = typeof timingContext?.request_start_ms === "number" ? timingContext.request_start_ms : null;
+    const responseHeadersMs = typeof timingContext?.response_headers_ms === "number" ? timingContext.response_headers_ms : null;
+
+    return {
+      v: 1,
+      trace_id: traceId,
+      promptText: clipCapturedText(requestMeta?.promptText ?? null),
+      responseText: null,
+      ReasoningText: null,
+      captured_at_ms: Date.now(),
+      ui_origin: location.origin,
+      endpoint: timingContext?.endpoint || "/v1/chat/completions",
+      streamed: null,
+      transport: timingContext?.transport || "fetch",
+      aborted: false,
+
+      req: requestMeta,
 
-    if (shouldCapture) debugLog(traceId, "Chat completion fetch detected", url);
+      resp: {
+        status,
+        model: null,
+        finish_reason: null,
+        client_timing: {
+          request_start_ms: requestStartMs,
+          response_headers_ms: responseHeadersMs,
+          duration_request_to_headers_ms:
+            (requestStartMs !== null && responseHeadersMs !== null) ? Math.max(0, responseHeadersMs - requestStartMs) : null
+        },
+        guardrails: {
+          stop_reason_category: "error"
+        }
+      },
 
-    const response = await originalFetch.apply(this, arguments);
-    const responseHeadersMs = shouldCapture ? Date.now() : null;
+      err: {
+        type: "http_error",
+        status,
+        status_text: statusText || null,
+        ...serverError
+      }
+    };
+  }
 
-    if (!shouldCapture) return response;
+    /**
+     * Parse Error Clone And Emit Record.
+     */
+    async function parseErrorCloneAndEmitRecord(traceId, clone, requestMeta, timingContext = {}) {
+    let text = null;
+    try {
+      text = await clone.text();
+    } catch (e) {
+      debugLog(traceId, "Error body read failed", String(e?.message || e));
+    }
+    const record = buildHttpErrorRecord(traceId, clone.status, clone.statusText, text, requestMeta, timingContext);
+    debugLog(traceId, "HTTP error response captured", record.err);
+    emitRecord(traceId, record, timingContext);
+  }
 
-    let bodyStr = null;
-    let bodyObj = null;
+    /**
+     * Parse Clone And Emit Record.
+     * Routes 4xx/5xx responses to the error parser, everything else to the SSE or JSON parser based on its content-type.
+     */
+    async function parseCloneAndEmitRecord(traceId, response, requestMetaPromise, timingContext = {}) {
+    // Clone before the first await: the page may start reading the original body as soon as fetch resolves.
+    const clone = response.clone();
+    const requestMeta = await requestMetaPromise;
+    if (clone.status >= 400) {
+      return parseErrorCloneAndEmitRecord(traceId, clone, requestMeta, timingContext);
+    }
+    const contentType = clone.headers.get("content-type") || "";
+    if (contentType.includes("text/event-stream")) {
+      return parseSseCloneAndEmitRecord(traceId, clone, requestMeta, timingContext);
+    }
+    if (contentType.includes("application/json")) {
+      debugLog(traceId, "JSON response detected, reading body", { contentType });
+      return parseJsonCloneAndEmitRecord(traceId, clone, requestMeta, timingContext);
+    }
+    debugLog(traceId, "Unsupported response content-type; skipping record emit", { contentType });
+  }
 
+    /**
+     * Read Request Body Text.
+     * Decodes the body types fetch and XHR accept into text; returns null for FormData and anything unreadable.
+     * Streams are read to the end, so callers must pass a tee'd branch, never the stream being sent.
+     */
+    async function readRequestBodyText(body) {
+    if (body === null || body === undefined) return null;
+    if (typeof body === "string") return body;
     try {
-      if (init && typeof init.body === "string") {
-        bodyStr = init.body;
-        bodyObj = safeJsonParse(bodyStr);
+      if (typeof URLSearchParams !== "undefined" && body instanceof URLSearchParams) return body.toString();
+      if (typeof Blob !== "undefined" && body instanceof Blob) return await body.text();
+      if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return new TextDecoder().decode(body);
+      if (typeof ReadableStream !== "undefined" && body instanceof ReadableStream) {
+        return await new Response(body).text();
       }
-    } catch {
-      bodyStr = null;
-      bodyObj = null;
+    } catch (e) {
+      debugLog(null, "Request body read failed", String(e?.message || e));
     }
+    return null;
+  }
 
+    /**
+     * Snapshot Fetch Body.
+     * Starts reading the request body of a fetch call without consuming what the page sends. `Request` bodies are
+     * read from a clone; stream bodies in `init` are tee'd, so the returned `init` must be the one passed on.
+     */
+    function snapshotFetchBody(input, init) {
+    if (init && init.body !== undefined && init.body !== null) {
+      if (typeof ReadableStream !== "undefined" && init.body instanceof ReadableStream && !init.body.locked) {
+        const [sent, observed] = init.body.tee();
+        return { init: { ...init, body: sent }, bodyText: readRequestBodyText(observed) };
+      }
+      return { init, bodyText: readRequestBodyText(init.body) };
+    }
+    if (typeof Request !== "undefined" && input instanceof Request && input.body !== null && !input.bodyUsed) {
+      try {
+        return { init, bodyText: input.clone().text().catch(() => null) };
+      } catch (e) {
+        debugLog(null, "Request clone failed", String(e?.message || e));
+      }
+    }
+    return { init, bodyText: Promise.resolve(null) };
+  }
+
+    /**
+     * Build Request Meta.
+     * Shared by the fetch and XHR hooks so both transports produce the same `req` block.
+     */
+    async function buildRequestMeta(traceId, bodyStr, endpoint = "/v1/chat/completions") {
+    const bodyObj = typeof bodyStr === "string" ? safeJsonParse(bodyStr) : null;
+    const isPromptEndpoint = endpoint !== "/v1/chat/completions";
     const bodyBytes = bodyStr ? utf8Bytes(bodyStr) : null;
     let reqMeta = {
       model: bodyObj?.model ?? null,
@@ -1368,6 +3251,8 @@
       has_document: false,
       document: null,
       params: bodyObj ? pickParams(bodyObj) : null,
+      llama_params: null,
+      output_constraint: bodyObj ? describeOutputConstraint(bodyObj) : null,
       prompt_identity: {
         hash_algorithm: "SHA-256",
         prompt_hash: null,
@@ -1381,7 +3266,8 @@
     };
 
     try {
-      const msgInfo = bodyObj ? estimateMessagesBytesAndCounts(bodyObj) : {
+      const estimate = isPromptEndpoint ? estimatePromptBytesAndCounts : estimateMessagesBytesAndCounts;
+      const msgInfo = bodyObj ? estimate(bodyObj) : {
         messagesCount: null,
         byRole: null,
         byRoleBytes: null,
@@ -1399,10 +3285,11 @@
       const docMeta = getDocumentMetaForRequest();
       const attachmentMeta = getAttachmentMetaForRequest();
       const promptIdentity = await buildPromptIdentity(bodyObj);
+      const llamaParams = await pickLlamaParams(bodyObj, reqMeta.params);
 
       reqMeta = {
         ...reqMeta,
-        promptText: getCurrentUserPromptText(bodyObj),
+        promptText: isPromptEndpoint ? getPromptText(bodyObj) : getCurrentUserPromptText(bodyObj),
         messages_count: msgInfo.messagesCount,
         messages_bytes: msgInfo.messagesBytes,
         images_bytes: msgInfo.imagesBytes,
@@ -1415,6 +3302,7 @@
         has_document: docMeta.hasDocument,
         document: docMeta.document,
         prompt_identity: promptIdentity,
+        llama_params: llamaParams,
         input_composition: {
           text_bytes_total: msgInfo.messagesBytes,
           current_user_text_bytes: msgInfo.currentUserTextBytes,
@@ -1431,7 +3319,10 @@
           image_mimes_by_part: msgInfo.imageMimesByPart || [],
           image_bytes_by_part: msgInfo.imageBytesByPart || [],
           file_count: attachmentMeta.attachment.file_count,
-          file_bytes_total: attachmentMeta.attachment.file_bytes_total
+          file_bytes_total: attachmentMeta.attachment.file_bytes_total,
+          prompt_kind: msgInfo.promptKind ?? null,
+          prompt_parts_count: msgInfo.promptPartsCount ?? null,
+          prompt_token_ids_count: msgInfo.promptTokenIdsCount ?? null
         },
         payload_signals: {
           current_user_text_bytes: msgInfo.currentUserTextBytes,
@@ -1443,6 +3334,9 @@
         attachmentMeta,
         runtimeContext: reqMeta.runtime_context
       });
+      if (!isPromptEndpoint && bodyObj) {
+        __tokenizeTexts.set(reqMeta, { system: getSystemPromptText(bodyObj), current_user: reqMeta.promptText });
+      }
     } catch (e) {
       debugLog(traceId, "Request metadata build failed; using fallback", String(e?.message || e));
       emitProbe("request_meta_build_error", {
@@ -1452,11 +3346,246 @@
     }
 
     debugLog(traceId, "Request metadata", reqMeta);
+    return reqMeta;
+  }
+
+  /** @internal */
+  const xhrRequestInfo = new WeakMap();
+
+    /**
+     * Capture Xhr Completion.
+     * Incrementally parses `responseText` as SSE on `progress` (or reads a JSON body on `loadend`) and emits
+     * the same record shape as the fetch hook.
+     */
+    function captureXhrCompletion(xhr, info, body) {
+    const traceId = makeTraceId();
+    const requestStartMs = Date.now();
+    const requestStartPerfMs = performance.now();
+    const requestUrl = new URL(info.url, location.href).href;
+    const state = createSseParseState(info.endpoint, safeJsonParse(typeof body === "string" ? body : "")?.n);
+    state.reasoningTags = currentReasoningTags();
+    state.awaitUsage = safeJsonParse(typeof body === "string" ? body : "")?.stream_options?.include_usage === true;
+    const bodyTextPromise = readRequestBodyText(body);
+    let responseHeadersMs = null;
+    let isSse = false;
+    let isJson = false;
+    let isError = false;
+    let readOffset = 0;
+    let finalized = false;
+
+    debugLog(traceId, "Completion XHR detected", { url: info.url, endpoint: info.endpoint });
+
+    const reqMetaPromise = bodyTextPromise.then((bodyText) => {
+      // Non-string bodies decode asynchronously; pick up `n` before the stream can finish.
+      if (typeof body !== "string") {
+        const parsed = safeJsonParse(bodyText || "");
+        if (Number.isInteger(parsed?.n) && parsed.n > 1) state.expectedChoices = parsed.n;
+        state.awaitUsage = parsed?.stream_options?.include_usage === true;
+      }
+      return buildRequestMeta(traceId, bodyText, info.endpoint);
+    }).then((reqMeta) => {
+      noteRequestModel(reqMeta?.model, requestOrigin(requestUrl));
+      return reqMeta;
+    });
+
+    const finalize = async () => {
+      if (finalized || (!isSse && !isJson && !isError)) return;
+      finalized = true;
+      if (isError) {
+        let text = null;
+        try {
+          text = (!xhr.responseType || xhr.responseType === "text")
+            ? xhr.responseText
+            : (xhr.responseType === "json" && xhr.response ? JSON.stringify(xhr.response) : null);
+        } catch {}
+        const reqMeta = await reqMetaPromise;
+        const errorContext = {
+          request_start_ms: requestStartMs,
+          request_start_perf_ms: requestStartPerfMs,
+          request_url: requestUrl,
+          response_headers_ms: responseHeadersMs,
+          transport: "xhr",
+          endpoint: info.endpoint
+        };
+        const record = buildHttpErrorRecord(traceId, xhr.status, xhr.statusText, text, reqMeta, errorContext);
+        debugLog(traceId, "XHR HTTP error response captured", record.err);
+        emitRecord(traceId, record, errorContext);
+        return;
+      }
+      if (isJson) {
+        let body = null;
+        try {
+          body = (!xhr.responseType || xhr.responseType === "text")
+            ? safeJsonParse(xhr.responseText || "")
+            : (xhr.responseType === "json" ? xhr.response : null);
+        } catch {}
+        if (!applyJsonCompletion(traceId, state, body, Date.now())) {
+          debugLog(traceId, "XHR JSON body is not a completion; skipping record emit");
+          return;
+        }
+      }
+      if (isSse && !state.sawDoneMarker) markStreamAborted(traceId, state, "stream_closed", null);
+      const reqMeta = await reqMetaPromise;
+      const timingContext = {
+        request_start_ms: requestStartMs,
+        request_start_perf_ms: requestStartPerfMs,
+        request_url: requestUrl,
+        response_headers_ms: responseHeadersMs,
+        transport: "xhr",
+        endpoint: info.endpoint,
+        stall_threshold_ms: __captureOptions.stall_threshold_ms
+      };
+      const record = buildCompletionRecord(traceId, state, reqMeta, timingContext);
+      if (record) emitRecord(traceId, record, timingContext);
+    };
+
+    const readNewText = () => {
+      if (!isSse || finalized) return;
+      let text = "";
+      try {
+        if (xhr.responseType && xhr.responseType !== "text") return;
+        text = xhr.responseText || "";
+      } catch {
+        return;
+      }
+      if (text.length <= readOffset) return;
+      const fresh = text.slice(readOffset);
+      readOffset = text.length;
+      if (consumeSseText(traceId, state, fresh, Date.now())) finalize();
+    };
+
+    xhr.addEventListener("readystatechange", () => {
+      if (xhr.readyState < 2 || responseHeadersMs !== null) return;
+      responseHeadersMs = Date.now();
+      const contentType = xhr.getResponseHeader("content-type") || "";
+      isError = xhr.status >= 400;
+      isSse = !isError && contentType.includes("text/event-stream");
+      isJson = !isError && !isSse && contentType.includes("application/json");
+      if (isSse) debugLog(traceId, "XHR SSE detected, beginning parse", { contentType });
+      if (isJson) debugLog(traceId, "XHR JSON response detected", { contentType });
+      if (isError) debugLog(traceId, "XHR error status detected", { status: xhr.status, contentType });
+    });
+    xhr.addEventListener("progress", readNewText);
+    xhr.addEventListener("abort", () => markStreamAborted(traceId, state, "xhr_abort", null));
+    xhr.addEventListener("error", () => markStreamAborted(traceId, state, "xhr_error", null));
+    xhr.addEventListener("timeout", () => markStreamAborted(traceId, state, "xhr_timeout", null));
+    xhr.addEventListener("loadend", () => {
+      readNewText();
+      finalize();
+    });
+  }
+
+    /**
+     * Install Xhr Hooks.
+     */
+    function installXhrHooks() {
+    const proto = window.XMLHttpRequest && window.XMLHttpRequest.prototype;
+    if (!proto) return;
+
+    const originalOpen = proto.open;
+    const originalSend = proto.send;
+
+    proto.open = function (method, url) {
+      try {
+        xhrRequestInfo.set(this, {
+          method: typeof method === "string" ? method.toUpperCase() : "GET",
+          url: typeof url === "string" ? url : String(url ?? "")
+        });
+      } catch {}
+      return originalOpen.apply(this, arguments);
+    };
+
+    proto.send = function (body) {
+      try {
+        const info = xhrRequestInfo.get(this);
+        const endpoint = info ? getCompletionEndpoint(info.url, info.method) : null;
+        const shouldCapture = endpoint !== null;
+        if (info && (info.url.includes("/v1/") || shouldCapture)) {
+          emitProbe("xhr_observed", { method: info.method, url: info.url, should_capture: shouldCapture });
+          debugLog(null, "XHR observed", { method: info.method, url: info.url, should_capture: shouldCapture });
+        }
+        if (shouldCapture) captureXhrCompletion(this, { ...info, endpoint }, body);
+      } catch (e) {
+        debugLog(null, "XHR capture setup failed", String(e?.message || e));
+      }
+      return originalSend.apply(this, arguments);
+    };
+  }
+
+  window.fetch = async function (input, init) {
+    const url = (typeof input === "string")
+      ? input
+      : (input instanceof URL ? input.href : (input && input.url ? input.url : ""));
+    const isBlobUrlRequest = typeof url === "string" && url.startsWith("blob:");
+    const method = (init && typeof init.method === "string"
+      ? init.method
+      : (input && typeof input.method === "string" ? input.method : "GET")).toUpperCase();
+    const endpoint = getCompletionEndpoint(url, method);
+    const shouldCapture = endpoint !== null;
+
+    if (typeof url === "string" && (url.includes("/v1/") || isBlobUrlRequest || shouldCapture)) {
+      emitProbe("fetch_observed", {
+        method,
+        url,
+        should_capture: shouldCapture,
+        is_blob_url: isBlobUrlRequest
+      });
+      debugLog(null, "Fetch observed", { method, url, should_capture: shouldCapture, is_blob_url: isBlobUrlRequest });
+    }
+
+    if (isBlobUrlRequest) {
+      const meta = blobUrlMeta.get(url) || null;
+      const mime = typeof meta?.mime === "string" ? meta.mime : "";
+      if (meta) {
+        registerAttachmentSignal("fetch.blob_url", {
+          mime,
+          size_bytes: typeof meta?.size_bytes === "number" ? meta.size_bytes : null
+        });
+      }
+      const kind = classifyDocumentKind(mime, "");
+      if (kind) {
+        registerDocumentSignal(kind, "fetch.blob_url", {
+          blob_url: url,
+          mime,
+          size_bytes: meta?.size_bytes ?? null
+        });
+      }
+      emitProbe("blob_fetch_observed", { url, mime: mime || null, meta });
+      debugLog(null, "Blob fetch observed", { url, meta });
+    }
+
+    // Create trace early (only if this request is relevant)
+    const traceId = shouldCapture ? makeTraceId() : null;
+    const requestStartMs = shouldCapture ? Date.now() : null;
+    const requestStartPerfMs = shouldCapture ? performance.now() : null;
+
+    if (shouldCapture) debugLog(traceId, "Completion fetch detected", { url, endpoint });
+
+    if (!shouldCapture) return originalFetch.apply(this, arguments);
+
+    const snapshot = snapshotFetchBody(input, init);
+    const response = snapshot.init === init
+      ? await originalFetch.apply(this, arguments)
+      : await originalFetch.call(this, input, snapshot.init);
+    const responseHeadersMs = Date.now();
+
+    // The request body may still be decoding (Blob, stream, Request); the page gets its response without waiting on it.
+    const reqMetaPromise = snapshot.bodyText
+      .then((bodyStr) => buildRequestMeta(traceId, bodyStr, endpoint))
+      .then((reqMeta) => {
+        noteRequestModel(reqMeta?.model, requestOrigin(url));
+        return reqMeta;
+      });
 
     // Parse in the background; do not block UI
-    parseSseCloneAndEmitRecord(traceId, response, reqMeta, {
+    parseCloneAndEmitRecord(traceId, response, reqMetaPromise, {
       request_start_ms: requestStartMs,
-      response_headers_ms: responseHeadersMs
+      request_start_perf_ms: requestStartPerfMs,
+      request_url: new URL(url, location.href).href,
+      response_headers_ms: responseHeadersMs,
+      transport: "fetch",
+      endpoint,
+      stall_threshold_ms: __captureOptions.stall_threshold_ms
     });
 
     return response;
@@ -1464,10 +3593,13 @@
 
   installDocumentHooks();
   installBlobHooks();
+  installXhrHooks();
   window.postMessage({ type: "LLAMACPP_INJECT_READY" }, "*");
+  refreshServerSnapshot(location.origin, "inject.ready").catch(() => {});
   emitProbe("inject_ready_posted");
   debugLog(null, "Injected ready signal posted");
   debugLog(null, "Document hooks installed");
   debugLog(null, "Blob hooks installed");
   debugLog(null, "Fetch hook installed");
+  debugLog(null, "XHR hook installed");
 })();
@@ -1,12 +1,35 @@
 /**
  * @module popup
- * Chrome action popup controller for session status, domain allowlist, export permissions,
- * debug toggles, JSONL import, and reset actions.
+ * Chrome action popup controller for session status, domain allowlist, endpoint match rules, export permissions,
+ * capture options, debug toggles, JSONL import, and reset actions.
  */
 
 /** @internal */
 const ALLOWED_DOMAINS_KEY = "allowed_domains";
 /** @internal */
+const ENDPOINT_RULES_KEY = "endpoint_match_rules";
+/** @internal */
+const ENDPOINT_RULE_TYPES = ["suffix", "glob", "regex"];
+/** @internal */
+const ENDPOINT_RULE_TARGETS = ["auto", "/v1/chat/completions", "/v1/completions", "/completion"];
+/** @internal */
+const DEFAULT_ENDPOINT_RULES = [
+  { type: "suffix", pattern: "/chat/completions", method: null, endpoint: "/v1/chat/completions" },
+  { type: "suffix", pattern: "/v1/completions", method: null, endpoint: "/v1/completions" },
+  { type: "suffix", pattern: "/completions", method: null, endpoint: "/completion" },
+  { type: "suffix", pattern: "/completion", method: null, endpoint: "/completion" }
+];
+/** @internal */
+const CAPTURE_OPTIONS_KEY = "capture_options";
+/** @internal */
+const DEFAULT_STALL_THRESHOLD_MS = 500;
+/** @internal */
+const DEFAULT_REASONING_TAGS = { open: "<think>", close: "</think>" };
+/** @internal */
+const SERVER_POLLING_KEY = "server_polling";
+/** @internal */
+const DEFAULT_SERVER_POLL_INTERVAL_SEC = 30;
+/** @internal */
 let __activeTabPermissionContext = null;
 
 /**
@@ -171,6 +194,70 @@ async function setDebug(val) {
   await chrome.storage.local.set({ debug_enabled: Boolean(val) });
 }
 
+/**
+ * Get Capture Options.
+ */
+async function getCaptureOptions() {
+  const { [CAPTURE_OPTIONS_KEY]: options } = await chrome.storage.local.get([CAPTURE_OPTIONS_KEY]);
+  return options && typeof options === "object" ? options : {};
+}
+
+/**
+ * Set Stall Threshold.
+ * Returns the stored value, or null when the input is not a positive number.
+ */
+async function setStallThreshold(raw) {
+  const value = Math.round(Number(raw));
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const current = await getCaptureOptions();
+  await chrome.storage.local.set({ [CAPTURE_OPTIONS_KEY]: { ...current, stall_threshold_ms: value } });
+  return value;
+}
+
+/**
+ * Set Reasoning Tags.
+ * Both tags must be set, or both empty to switch inline detection off; returns false otherwise.
+ */
+async function setReasoningTags(open, close) {
+  const o = String(open || "").trim();
+  const c = String(close || "").trim();
+  if (Boolean(o) !== Boolean(c)) return false;
+  const current = await getCaptureOptions();
+  await chrome.storage.local.set({ [CAPTURE_OPTIONS_KEY]: { ...current, reasoning_open_tag: o, reasoning_close_tag: c } });
+  return true;
+}
+
+/**
+ * Set Tokenize Prompts.
+ */
+async function setTokenizePrompts(enabled) {
+  const current = await getCaptureOptions();
+  await chrome.storage.local.set({ [CAPTURE_OPTIONS_KEY]: { ...current, tokenize_prompts: Boolean(enabled) } });
+}
+
+/**
+ * Get Server Polling.
+ */
+async function getServerPolling() {
+  const { [SERVER_POLLING_KEY]: options } = await chrome.storage.local.get([SERVER_POLLING_KEY]);
+  return {
+    enabled: options?.enabled === true,
+    interval_sec: Number.isFinite(options?.interval_sec) ? options.interval_sec : DEFAULT_SERVER_POLL_INTERVAL_SEC
+  };
+}
+
+/**
+ * Set Server Polling.
+ * Returns the stored options, or null when the interval is below the 30 s alarm minimum.
+ */
+async function setServerPolling(enabled, rawIntervalSec) {
+  const interval = Math.round(Number(rawIntervalSec));
+  if (!Number.isFinite(interval) || interval < 30) return null;
+  const options = { enabled: Boolean(enabled), interval_sec: interval };
+  await chrome.storage.local.set({ [SERVER_POLLING_KEY]: options });
+  return options;
+}
+
 /**
  * Normalize Domain Pattern.
  */
@@ -293,6 +380,142 @@ async function addDomainFromInput() {
   setStatus("Domain added. Refresh target tabs.");
 }
 
+/**
+ * Normalize Endpoint Rule.
+ * Returns a cleaned `{ type, pattern, method, endpoint }` rule, or null when the rule cannot match anything.
+ */
+function normalizeEndpointRule(input) {
+  if (!input || typeof input !== "object") return null;
+  const type = ENDPOINT_RULE_TYPES.includes(input.type) ? input.type : null;
+  const pattern = typeof input.pattern === "string" ? input.pattern.trim() : "";
+  if (!type || !pattern) return null;
+
+  if (type === "regex") {
+    try {
+      new RegExp(pattern);
+    } catch {
+      return null;
+    }
+  } else if (!pattern.startsWith("/") && !pattern.startsWith("*")) {
+    return null;
+  }
+
+  const method = typeof input.method === "string" && /^[a-z]+$/i.test(input.method.trim())
+    ? input.method.trim().toUpperCase()
+    : null;
+  const endpoint = ENDPOINT_RULE_TARGETS.includes(input.endpoint) ? input.endpoint : "auto";
+  return { type, pattern, method, endpoint };
+}
+
+/**
+ * Endpoint Rule Key.
+ */
+function endpointRuleKey(rule) {
+  return [rule.type, rule.pattern, rule.method || "", rule.endpoint].join("\u0000");
+}
+
+/**
+ * Describe Endpoint Rule.
+ */
+function describeEndpointRule(rule) {
+  return `${rule.type} ${rule.pattern} \u00b7 ${rule.method || "any"} \u2192 ${rule.endpoint}`;
+}
+
+/**
+ * Get Endpoint Rules.
+ * Unset storage means the built-in defaults; an empty stored list disables capture.
+ */
+async function getEndpointRules() {
+  const { [ENDPOINT_RULES_KEY]: rules } = await chrome.storage.local.get([ENDPOINT_RULES_KEY]);
+  if (!Array.isArray(rules)) return DEFAULT_ENDPOINT_RULES.map((r) => ({ ...r }));
+  return rules.map((r) => normalizeEndpointRule(r)).filter(Boolean);
+}
+
+/**
+ * Set Endpoint Rules.
+ */
+async function setEndpointRules(list) {
+  const cleaned = Array.isArray(list) ? list : [];
+  await chrome.storage.local.set({ [ENDPOINT_RULES_KEY]: cleaned });
+}
+
+/**
+ * Render Endpoint Rules.
+ */
+function renderEndpointRules(list) {
+  const container = document.getElementById("ruleList");
+  container.innerHTML = "";
+
+  if (!list.length) {
+    const empty = document.createElement("div");
+    empty.className = "domain-empty";
+    empty.textContent = "No endpoint rules configured. Nothing will be captured.";
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const rule of list) {
+    const row = document.createElement("div");
+    row.className = "domain-item";
+
+    const label = document.createElement("code");
+    label.textContent = describeEndpointRule(rule);
+    label.title = label.textContent;
+
+    const btn = document.createElement("button");
+    btn.className = "mini danger";
+    btn.textContent = "Remove";
+    btn.addEventListener("click", async () => {
+      const current = await getEndpointRules();
+      const next = current.filter((x) => endpointRuleKey(x) !== endpointRuleKey(rule));
+      await setEndpointRules(next);
+      renderEndpointRules(next);
+      setStatus("Endpoint rule removed.");
+    });
+
+    row.appendChild(label);
+    row.appendChild(btn);
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Refresh Endpoint Rules.
+ */
+async function refreshEndpointRules() {
+  const list = await getEndpointRules();
+  renderEndpointRules(list);
+}
+
+/**
+ * Add Endpoint Rule From Input.
+ */
+async function addEndpointRuleFromInput() {
+  const input = document.getElementById("rulePattern");
+  const normalized = normalizeEndpointRule({
+    type: document.getElementById("ruleType").value,
+    pattern: input.value,
+    method: document.getElementById("ruleMethod").value,
+    endpoint: document.getElementById("ruleEndpoint").value
+  });
+  if (!normalized) {
+    setStatus("Invalid rule. Suffix/glob patterns start with / or *; regex must compile.");
+    return;
+  }
+
+  const current = await getEndpointRules();
+  if (current.some((x) => endpointRuleKey(x) === endpointRuleKey(normalized))) {
+    setStatus("Endpoint rule already added.");
+    return;
+  }
+
+  const next = [...current, normalized];
+  await setEndpointRules(next);
+  renderEndpointRules(next);
+  input.value = "";
+  setStatus("Endpoint rule added.");
+}
+
 /**
  * Refresh.
  */
@@ -390,6 +613,107 @@ document.getElementById("domainInput").addEventListener("keydown", (e) => {
   }
 });
 
+document.getElementById("addRuleBtn").addEventListener("click", addEndpointRuleFromInput);
+document.getElementById("rulePattern").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    addEndpointRuleFromInput();
+  }
+});
+document.getElementById("resetRulesBtn").addEventListener("click", async () => {
+  await chrome.storage.local.remove(ENDPOINT_RULES_KEY);
+  await refreshEndpointRules();
+  setStatus("Endpoint rules reset to defaults.");
+});
+
+/** @internal */
+const stallThresholdInput = document.getElementById("stallThresholdInput");
+
+(async () => {
+  const options = await getCaptureOptions();
+  stallThresholdInput.value = String(options.stall_threshold_ms ?? DEFAULT_STALL_THRESHOLD_MS);
+})();
+
+stallThresholdInput.addEventListener("change", async () => {
+  const value = await setStallThreshold(stallThresholdInput.value);
+  if (value === null) {
+    const options = await getCaptureOptions();
+    stallThresholdInput.value = String(options.stall_threshold_ms ?? DEFAULT_STALL_THRESHOLD_MS);
+    setStatus("Stall threshold must be a positive number of milliseconds.");
+    return;
+  }
+  stallThresholdInput.value = String(value);
+  setStatus(`Stall threshold set to ${value} ms.`);
+  setTimeout(() => setStatus(""), 1200);
+});
+
+/** @internal */
+const reasoningOpenTagInput = document.getElementById("reasoningOpenTagInput");
+/** @internal */
+const reasoningCloseTagInput = document.getElementById("reasoningCloseTagInput");
+
+/**
+ * Refresh Reasoning Tags.
+ */
+async function refreshReasoningTags() {
+  const options = await getCaptureOptions();
+  reasoningOpenTagInput.value = typeof options.reasoning_open_tag === "string" ? options.reasoning_open_tag : DEFAULT_REASONING_TAGS.open;
+  reasoningCloseTagInput.value = typeof options.reasoning_close_tag === "string" ? options.reasoning_close_tag : DEFAULT_REASONING_TAGS.close;
+}
+
+for (const input of [reasoningOpenTagInput, reasoningCloseTagInput]) {
+  input.addEventListener("change", async () => {
+    const open = reasoningOpenTagInput.value;
+    const close = reasoningCloseTagInput.value;
+    if (!(await setReasoningTags(open, close))) {
+      // Wait for the other field; a half-configured pair is not stored.
+      setStatus("Set both reasoning tags, or clear both to disable detection.");
+      return;
+    }
+    setStatus(open.trim() ? `Inline reasoning tags set to ${open.trim()} ... ${close.trim()}` : "Inline reasoning detection disabled.");
+    setTimeout(() => setStatus(""), 1200);
+  });
+}
+
+/** @internal */
+const tokenizePromptsToggle = document.getElementById("tokenizePromptsToggle");
+
+(async () => {
+  const options = await getCaptureOptions();
+  tokenizePromptsToggle.checked = options.tokenize_prompts === true;
+})();
+
+tokenizePromptsToggle.addEventListener("change", async () => {
+  await setTokenizePrompts(tokenizePromptsToggle.checked);
+  setStatus(tokenizePromptsToggle.checked ? "Prompt tokens counted with /tokenize" : "Prompt token counting disabled");
+  setTimeout(() => setStatus(""), 1200);
+});
+
+/** @internal */
+const serverPollingToggle = document.getElementById("serverPollingToggle");
+/** @internal */
+const serverPollIntervalInput = document.getElementById("serverPollIntervalInput");
+
+(async () => {
+  const options = await getServerPolling();
+  serverPollingToggle.checked = options.enabled;
+  serverPollIntervalInput.value = String(options.interval_sec);
+})();
+
+for (const input of [serverPollingToggle, serverPollIntervalInput]) {
+  input.addEventListener("change", async () => {
+    const options = await setServerPolling(serverPollingToggle.checked, serverPollIntervalInput.value);
+    if (!options) {
+      const current = await getServerPolling();
+      serverPollIntervalInput.value = String(current.interval_sec);
+      setStatus("Polling interval must be at least 30 seconds.");
+      return;
+    }
+    setStatus(options.enabled ? `Server load polled every ${options.interval_sec} s` : "Server load polling disabled");
+    setTimeout(() => setStatus(""), 1200);
+  });
+}
+
 /** @internal */
 const debugToggle = document.getElementById("debugToggle");
 
@@ -405,4 +729,6 @@ debugToggle.addEventListener("change", async () => {
 
 refresh();
 refreshDomains();
+refreshEndpointRules();
+refreshReasoningTags();
 refreshExportPermissionStatus();
@@ -142,6 +142,40 @@ test('background chain heuristics: getConversationSignals extracts values and sh
   assert.equal(bg.shouldRotateChain(duplicateWindowState, signals, ts, sender), false, 'near-duplicate prompt within window does not rotate');
 });
 
+test('background addRecord: aborted and failed runs are stored without advancing the chain', async () => {
+  const stored = [];
+  const chained = [];
+  const fakeDb = {
+    transaction: () => {
+      const tx = { objectStore: () => ({ put: (row) => { stored.push(row); setTimeout(() => tx.oncomplete()); } }) };
+      return tx;
+    },
+    close: () => {},
+  };
+  const bg = loadFunctions(path.join(repo, 'background.js'), ['recordOutcome', 'addRecord'], {
+    STORE_RECORDS: 'records',
+    getActiveSessionId: async () => 'sess-1',
+    openDb: async () => fakeDb,
+    debugLog: async () => {},
+    notePollOrigin: async () => {},
+    assignChainMetadata: async (record) => {
+      chained.push(record.trace_id);
+      return { chain_id: 'chain-1', turn_number: chained.length };
+    },
+  });
+
+  const aborted = await bg.addRecord(makeRecord({ trace_id: 't-aborted', aborted: true, err: { type: 'aborted' } }));
+  const failed = await bg.addRecord(makeRecord({ trace_id: 't-failed', err: { type: 'http_error', status: 503 } }));
+  const done = await bg.addRecord(makeRecord({ trace_id: 't-done' }));
+
+  assert.equal(stored.length, 3);
+  assert.equal(chained.join(','), 't-done');
+  assert.equal(aborted.chain_id, null);
+  assert.equal(failed.turn_number, null);
+  assert.equal(done.chain_id, 'chain-1');
+  assert.equal(done.turn_number, 1);
+});
+
 test('background aggregations: buildDashboardStats and buildDashboardRecords summarize and sort synthetic records', () => {
   const bg = loadFunctions(path.join(repo, 'background.js'), [
     'toFiniteNumber',
@@ -149,6 +183,9 @@ test('background aggregations: buildDashboardStats and buildDashboardRecords sum
     'round2',
     'average',
     'buildDashboardStats',
+    'recordOutcome',
+    'choiceSpread',
+    'describeSamplerParams',
     'buildDashboardRecords'
   ]);
 
@@ -180,6 +217,132 @@ test('background aggregations: buildDashboardStats and buildDashboardRecords sum
   assert.equal(compact[0].file_kind_set, 'none');
   assert.equal(compact[0].file_size_bucket, '0');
   assert.equal(compact[0].document_detected, true);
+  assert.equal(compact[0].choices_count, 1);
+  assert.equal(compact[0].choices_predicted_n_total, 100);
+
+  const multi = makeRecord({ resp: { choices_count: 3, choices_predicted_n_total: 90, choices: [{ predicted_n: 20 }, { predicted_n: 50 }, { predicted_n: null }] } });
+  const [multiCompact] = bg.buildDashboardRecords([multi]);
+  assert.equal(multiCompact.choices_count, 3);
+  assert.equal(multiCompact.choices_predicted_n_total, 90);
+  assert.equal(multiCompact.choice_predicted_n_spread, 30);
+  assert.equal(multiCompact.choice_content_chars_spread, null);
+
+  const toolRecord = makeRecord({ resp: { tool_calls_count: 2, tool_calls: [
+    { arguments_bytes: 40, arguments_valid_json: true, first_to_last_argument_ms: 100 },
+    { arguments_bytes: 10, arguments_valid_json: false, first_to_last_argument_ms: null },
+  ] } });
+  const [toolCompact] = bg.buildDashboardRecords([toolRecord]);
+  assert.equal(toolCompact.tool_calls_count, 2);
+  assert.equal(toolCompact.tool_calls_json_checked_count, 2);
+  assert.equal(toolCompact.tool_calls_json_valid_count, 1);
+  assert.equal(toolCompact.tool_call_args_bytes, 50);
+  assert.equal(toolCompact.tool_call_args_ms, 100);
+  assert.equal(compact[0].tool_calls_count, 0);
+  assert.equal(compact[0].outcome, 'completed');
+
+  const abortedRecord = makeRecord({ aborted: true, err: { type: 'aborted', cause: 'abort_signal' }, resp: { received: { content_chars: 12, reasoning_chars: 0 } } });
+  const [abortedCompact] = bg.buildDashboardRecords([abortedRecord]);
+  assert.equal(abortedCompact.outcome, 'aborted');
+  assert.equal(abortedCompact.abort_cause, 'abort_signal');
+  assert.equal(abortedCompact.received_content_chars, 12);
+  assert.equal(abortedCompact.error_type, null);
+
+  const errorRecord = makeRecord({ err: { type: 'http_error', status: 400, error_type: 'exceed_context_size_error' } });
+  const [errorCompact] = bg.buildDashboardRecords([errorRecord]);
+  assert.equal(errorCompact.outcome, 'error');
+  assert.equal(errorCompact.http_status, 400);
+  assert.equal(errorCompact.error_type, 'exceed_context_size_error');
+
+  const itlRecord = makeRecord({ resp: { chunk_timeline: { token_chunk_count: 40 }, itl: { p50_ms: 12, p90_ms: 30, p99_ms: 250, max_ms: 900, stall_count: 1, stall_total_ms: 900 } } });
+  const [itlCompact] = bg.buildDashboardRecords([itlRecord]);
+  assert.equal(itlCompact.token_chunk_count, 40);
+  assert.equal(itlCompact.itl_p99_ms, 250);
+  assert.equal(itlCompact.stall_count, 1);
+  assert.equal(compact[0].itl_p50_ms, null);
+
+  const decayRecord = makeRecord({ resp: { throughput: { q1_tps: 80, q4_tps: 60, decay_ratio: 0.75, curve_tps: [80, 78, null, 60] } } });
+  const [decayCompact] = bg.buildDashboardRecords([decayRecord]);
+  assert.equal(decayCompact.throughput_decay_ratio, 0.75);
+  assert.equal(decayCompact.throughput_curve_tps.length, 4);
+  assert.equal(decayCompact.throughput_curve_tps[2], null);
+  assert.equal(compact[0].throughput_curve_tps, null);
+
+  const draftRecord = makeRecord({ resp: { timings: { draft_n: 32, draft_n_accepted: 24 }, derived: { draft_acceptance_rate: 0.75 } } });
+  const [draftCompact] = bg.buildDashboardRecords([draftRecord]);
+  assert.equal(draftCompact.draft_n, 32);
+  assert.equal(draftCompact.draft_acceptance_rate, 0.75);
+  assert.equal(compact[0].draft_n, null);
+
+  const thinkingRecord = makeRecord({ resp: { client_timing: { duration_request_to_first_stream_chunk_ms: 150, duration_request_to_first_reasoning_chunk_ms: 150, duration_request_to_first_content_chunk_ms: 3200 } } });
+  const [thinkingCompact] = bg.buildDashboardRecords([thinkingRecord]);
+  assert.equal(thinkingCompact.ttft_reasoning_ms, 150);
+  assert.equal(thinkingCompact.ttft_content_ms, 3200);
+
+  const prefillRecord = makeRecord({ resp: { prompt_progress: { total_tokens: 4000, cache_skipped_pct: 25, last_progress_ms: 1800, server_prefill_ms: 1700, curve: [[100, 0.25], [1800, 1]] } } });
+  const [prefillCompact] = bg.buildDashboardRecords([prefillRecord]);
+  assert.equal(prefillCompact.prefill_total_tokens, 4000);
+  assert.equal(prefillCompact.prefill_client_ms, 1800);
+  assert.equal(prefillCompact.prefill_curve.length, 2);
+  assert.equal(compact[0].prefill_curve, null);
+
+  const truncRecord = makeRecord({ resp: { context: { truncated: true, n_ctx: 4096, context_used_pct: 100 }, guardrails: { stop_reason_category: 'context_truncated', context_truncated: true } } });
+  const [truncCompact] = bg.buildDashboardRecords([truncRecord]);
+  assert.equal(truncCompact.context_truncated, true);
+  assert.equal(truncCompact.n_ctx, 4096);
+  assert.equal(compact[0].context_truncated, false);
+
+  assert.equal(compact[0].user_text_token_bucket, null);
+  const [tokenCompact] = bg.buildDashboardRecords([makeRecord({ req: { input_composition: { current_user_text_tokens: 900, bytes_per_token: 3.8 }, scenario_labels: { current_user_text_token_bucket: '513-2K' } } })]);
+  assert.equal(tokenCompact.user_text_tokens, 900);
+  assert.equal(tokenCompact.user_text_token_bucket, '513-2K');
+  assert.equal(tokenCompact.bytes_per_token, 3.8);
+
+  const [linkedCompact] = bg.buildDashboardRecords([makeRecord({ server_snapshot_id: 'abc123' })]);
+  assert.equal(linkedCompact.server_snapshot_id, 'abc123');
+  assert.equal(linkedCompact.ui_origin, 'https://ui.example.com');
+  assert.equal(linkedCompact.api_origin, 'https://ui.example.com', 'records without api_origin fall back to the page origin');
+  const [apiCompact] = bg.buildDashboardRecords([makeRecord({ api_origin: 'http://gpu-box:8080' })]);
+  assert.equal(apiCompact.api_origin, 'http://gpu-box:8080');
+
+  const netRecord = makeRecord({ resp: { network_timing: { timing_allowed: true, dns_ms: 12, connect_ms: 40, tls_ms: 25, request_ms: 300 }, derived: { ttft_overhead_ms: 180 } } });
+  const [netCompact] = bg.buildDashboardRecords([netRecord]);
+  assert.equal(netCompact.net_timing_allowed, true);
+  assert.equal(netCompact.net_tls_ms, 25);
+  assert.equal(netCompact.ttft_overhead_ms, 180);
+  assert.equal(compact[0].net_timing_allowed, null);
+
+  const sampledRecord = makeRecord({ req: { params: { temperature: 0.7, top_p: 0.9 } }, resp: { sampling_stats: { tokens: 40, mean_logprob: -0.35, perplexity: 1.42, low_confidence_fraction: 0.1, mean_top_margin: 0.6 } } });
+  const [sampledCompact] = bg.buildDashboardRecords([sampledRecord]);
+  assert.equal(sampledCompact.temperature, 0.7);
+  assert.equal(sampledCompact.top_p, 0.9);
+  assert.equal(sampledCompact.sampling_perplexity, 1.42);
+  assert.equal(sampledCompact.sampling_low_conf_fraction, 0.1);
+  assert.equal(compact[0].sampling_perplexity, null);
+
+  const tunedRecord = makeRecord({ req: { params: { temperature: 0.8, top_k: 40 }, llama_params: { version: 1, fingerprint: 'abcdef123456', values: { min_p: 0.05, repeat_penalty: 1, dry_multiplier: 0.8, grammar: { sha256: 'ff', chars: 900 } } } } });
+  const [tunedCompact] = bg.buildDashboardRecords([tunedRecord]);
+  assert.equal(tunedCompact.param_fingerprint, 'abcdef123456');
+  assert.equal(tunedCompact.sampler_label, 'T0.8 · top_k 40 · min_p 0.05 · DRY · grammar');
+  assert.equal(compact[0].param_fingerprint, null);
+  assert.equal(compact[0].sampler_label, 'server defaults');
+
+  const constrainedRecord = makeRecord({ req: { output_constraint: { kind: 'json_schema', expects_json: true } }, resp: { structured_output: { kind: 'json_schema', parse_ok: true, valid: false } } });
+  const [constrainedCompact] = bg.buildDashboardRecords([constrainedRecord]);
+  assert.equal(constrainedCompact.output_constraint, 'json_schema');
+  assert.equal(constrainedCompact.structured_parse_ok, true);
+  assert.equal(constrainedCompact.structured_valid, false);
+  assert.equal(compact[0].output_constraint, null);
+  assert.equal(compact[0].structured_valid, null);
+
+  const shapedRecord = makeRecord({ resp: { output_shape: { chars: 512, empty: false, looping: true, repeated_ngram_ratio: 0.82, code_blocks: 2, code_languages: ['python'], headings: 1, list_items: 3 } } });
+  const [shapedCompact] = bg.buildDashboardRecords([shapedRecord]);
+  assert.equal(shapedCompact.output_chars, 512);
+  assert.equal(shapedCompact.output_looping, true);
+  assert.equal(shapedCompact.output_repeat_ratio, 0.82);
+  assert.equal(shapedCompact.output_code_languages.join(','), 'python');
+  assert.equal(compact[0].output_chars, null);
+  assert.equal(compact[0].output_empty, null);
+  assert.equal(compact[0].server_snapshot_id, null);
 });
 
 test('background scenario comparisons: selects effective model and groups breakdowns', () => {
@@ -192,6 +355,8 @@ test('background scenario comparisons: selects effective model and groups breakd
     'addScenarioRecord',
     'finalizeScenarioBuckets',
     'groupScenario',
+    'recordOutcome',
+    'buildTokenizerEfficiency',
     'buildScenarioComparisons'
   ]);
 
@@ -206,9 +371,10 @@ test('background scenario comparisons: selects effective model and groups breakd
           file_kind_set: 'none',
           image_size_bucket: '0',
           current_user_text_size_bucket: '65-256',
+          current_user_text_token_bucket: '1-512',
           runtime_bucket: 'default_or_unknown'
         },
-        input_composition: { image_count: 0 },
+        input_composition: { image_count: 0, system_text_tokens: 10, current_user_text_tokens: 30, tokenized_text_bytes: 160, token_count_source: 'tokenize' },
         payload_signals: { current_user_text_bytes: 120, file_bytes_total: 0 },
         prompt_identity: { prompt_hash: 'same-hash' }
       },
@@ -253,7 +419,7 @@ test('background scenario comparisons: selects effective model and groups breakd
           current_user_text_size_bucket: '0',
           runtime_bucket: 'default_or_unknown'
         },
-        input_composition: { image_count: 2 },
+        input_composition: { image_count: 2, system_text_tokens: 20, current_user_text_tokens: 0, tokenized_text_bytes: 60, token_count_source: 'tokenize' },
         prompt_identity: { prompt_hash: 'hash-b' }
       },
       resp: {
@@ -288,8 +454,114 @@ test('background scenario comparisons: selects effective model and groups breakd
   assert.equal(scenario.comparisons.prompt_hash_controls.length, 1, 'same prompt hash across different input modes should appear');
   assert.equal(scenario.comparisons.prompt_hash_controls[0].scenario_count, 2);
 
+  const tokenBuckets = scenario.breakdowns.current_user_text_token_bucket;
+  assert.equal(tokenBuckets.find((r) => r.label === '1-512').avg_user_text_tokens, 30);
+  assert.equal(tokenBuckets.find((r) => r.label === 'unknown').count, 1);
+  const efficiency = scenario.comparisons.tokenizer_efficiency;
+  assert.equal(efficiency.length, 2, 'tokenizer efficiency covers every model, not just the selected one');
+  assert.equal(efficiency[0].model, 'model-a');
+  assert.equal(efficiency[0].bytes_per_token, 4);
+  assert.equal(efficiency[1].bytes_per_token, 3);
+
   const selectedB = bg.buildScenarioComparisons(records, 'model-b');
   assert.equal(selectedB.selected_model, 'model-b');
   assert.equal(selectedB.selected_model_record_count, 1);
   assert.equal(selectedB.breakdowns.image_count_bucket[0].label, '2');
 });
+
+test('background aggregations: aborted and error records are left out of completion counts and averages', () => {
+  const bg = loadFunctions(path.join(repo, 'background.js'), [
+    'toFiniteNumber',
+    'safePct',
+    'round2',
+    'average',
+    'recordOutcome',
+    'buildDashboardStats',
+    'initScenarioBucket',
+    'addScenarioRecord',
+    'finalizeScenarioBuckets',
+    'groupScenario',
+    'buildTokenizerEfficiency',
+    'buildScenarioComparisons'
+  ]);
+
+  const completed = makeRecord({ resp: { timings: { predicted_tps: 100, prompt_ms: 200 } } });
+  const aborted = makeRecord({ aborted: true, err: { type: 'aborted' }, resp: { timings: { predicted_tps: 10, prompt_ms: 2000 }, guardrails: { stop_reason_category: 'aborted' } } });
+  const failed = makeRecord({ err: { type: 'http_error', status: 500 }, resp: { model: 'model-b', timings: { predicted_tps: 0, prompt_ms: 0 } }, req: { model: 'model-b' } });
+
+  const stats = bg.buildDashboardStats([completed, aborted, failed]);
+  assert.equal(stats.summary.total_completions, 1);
+  assert.equal(stats.summary.distinct_models, 1);
+  assert.equal(stats.summary.avg_predicted_tps, 100);
+  assert.equal(stats.summary.avg_ttft_ms, 200);
+  assert.equal(stats.models[0].completions, 1);
+
+  const scenario = bg.buildScenarioComparisons([completed, aborted, failed], null);
+  assert.equal(scenario.model_options.length, 1);
+  assert.equal(scenario.selected_model_record_count, 1);
+  assert.equal(scenario.breakdowns.stop_reason_category.map((r) => r.label).join(','), 'completed');
+  assert.equal(scenario.breakdowns.input_mode[0].avg_predicted_tps, 100);
+});
+
+test('background server polling: parses /metrics and /slots into load samples with interval rates', () => {
+  const bg = loadFunctions(path.join(repo, 'background.js'), [
+    'toFiniteNumber',
+    'round2',
+    'parsePrometheusText',
+    'buildServerSample',
+    'withServerSampleRates',
+    'originMatchesDomainPattern',
+    'selectPollOrigins',
+  ], { SERVER_SAMPLE_RETENTION_MS: 7 * 24 * 60 * 60 * 1000 });
+
+  const metricsText = [
+    '# HELP llamacpp:kv_cache_usage_ratio KV-cache usage. 1 means 100 percent usage.',
+    '# TYPE llamacpp:kv_cache_usage_ratio gauge',
+    'llamacpp:kv_cache_usage_ratio 0.25',
+    'llamacpp:requests_processing 2',
+    'llamacpp:requests_deferred 1',
+    'llamacpp:tokens_predicted_total 1000',
+    'llamacpp:prompt_tokens_total{slot="0"} 300',
+    'llamacpp:prompt_tokens_total{slot="1"} 200',
+    'garbage line',
+  ].join('\n');
+  const parsed = bg.parsePrometheusText(metricsText);
+  assert.equal(parsed['llamacpp:kv_cache_usage_ratio'], 0.25);
+  assert.equal(parsed['llamacpp:prompt_tokens_total'], 500);
+
+  const slots = [{ id: 0, is_processing: true }, { id: 1, is_processing: false }, { id: 2, state: 1 }];
+  const first = bg.buildServerSample('http://127.0.0.1:8080', metricsText, slots, 10000);
+  assert.equal(first.kv_cache_usage_ratio, 0.25);
+  assert.equal(first.requests_processing, 2);
+  assert.equal(first.requests_deferred, 1);
+  assert.equal(first.slots_total, 3);
+  assert.equal(first.slots_processing, 2);
+
+  const slotsOnly = bg.buildServerSample('http://127.0.0.1:8080', null, [], 10000);
+  assert.equal(slotsOnly.slots_total, 0);
+  assert.equal(slotsOnly.kv_cache_usage_ratio, null);
+  assert.equal(bg.buildServerSample('http://127.0.0.1:8080', null, null, 10000), null);
+
+  const second = { ...first, sampled_at_ms: 40000, tokens_predicted_total: 1600, prompt_tokens_total: 400 };
+  const rated = bg.withServerSampleRates([second, first]);
+  assert.equal(rated[0].interval_predicted_tps, null);
+  assert.equal(rated[1].interval_predicted_tps, 20);
+  // Prompt counter went down: the server restarted between samples.
+  assert.equal(rated[1].interval_prompt_tps, null);
+
+  assert.equal(bg.originMatchesDomainPattern('http://127.0.0.1:8080', '127.0.0.1'), true);
+  assert.equal(bg.originMatchesDomainPattern('http://127.0.0.1:8080', '127.0.0.1:9090'), false);
+  assert.equal(bg.originMatchesDomainPattern('https://llm.lan.example.com', '*.example.com'), true);
+  assert.equal(bg.originMatchesDomainPattern('not a url', '*.example.com'), false);
+
+  const now = 10 * 24 * 60 * 60 * 1000;
+  const known = {
+    'http://gpu-box:8080': { ui_origin: 'https://chat.example.com', last_seen_ms: now - 1000 },
+    'http://127.0.0.1:8080': { ui_origin: 'http://127.0.0.1:8080', last_seen_ms: now - 1000 },
+    'http://stale:8080': { ui_origin: 'https://chat.example.com', last_seen_ms: now - 8 * 24 * 60 * 60 * 1000 },
+    'http://other:8080': { ui_origin: 'https://not-allowed.org', last_seen_ms: now },
+  };
+  const polled = bg.selectPollOrigins(known, ['*.example.com', '127.0.0.1'], now);
+  assert.equal(polled.join(','), 'http://127.0.0.1:8080,http://gpu-box:8080', 'API origin of an allowlisted UI is polled, not the UI');
+  assert.equal(bg.selectPollOrigins(known, [], now).length, 0);
+});
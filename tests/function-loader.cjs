@@ -7,7 +7,14 @@ function extractNamedFunctionSource(source, name) {
   if (!m) throw new Error(`Function not found: ${name}`);
 
   const start = m.index + (m[1] ? m[1].length : 0);
-  let i = source.indexOf('{', start);
+  // Skip the parameter list so default values like `opts = {}` are not taken for the body.
+  let parens = 1;
+  let p = m.index + m[0].length;
+  for (; p < source.length && parens > 0; p++) {
+    if (source[p] === '(') parens++;
+    if (source[p] === ')') parens--;
+  }
+  let i = source.indexOf('{', p);
   if (i < 0) throw new Error(`Function body start not found: ${name}`);
 
   let depth = 0;
@@ -84,7 +91,16 @@ function loadFunctions(filePath, names, context = {}) {
   return ctx.__exports;
 }
 
+// Evaluates a literal `const NAME = [...]` or `{...}` initializer (no references to other bindings).
+function loadConstant(filePath, name) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  const m = new RegExp(String.raw`(^|\n)[ \t]*const\s+${name}\s*=\s*([\[{][\s\S]*?\n[ \t]*[\]}]);`).exec(source);
+  if (!m) throw new Error(`Constant not found: ${name}`);
+  return vm.runInNewContext(`(${m[2]})`);
+}
+
 module.exports = {
   loadFunctions,
+  loadConstant,
   extractNamedFunctionSource,
 };
@@ -1,7 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const path = require('node:path');
-const { loadFunctions } = require('./function-loader.cjs');
+const { loadFunctions, loadConstant } = require('./function-loader.cjs');
 
 const repo = 'C:\\Users\\matt\\projects\\llamacpp-ui-metrics-extension';
 
@@ -47,6 +47,38 @@ test('content helpers: host matching supports exact, wildcard, and host:port', (
   assert.equal(content2.hostMatchesPattern('localhost:3000'), false);
 });
 
+test('content helpers: TTFT basis swaps in time to first visible answer', () => {
+  const state = { ttftBasis: 'first_token' };
+  const content = loadFunctions(path.join(repo, 'content.js'), ['toFiniteNumber', 'applyTtftBasis'], { __dashboardState: state });
+  const records = [{ ttft_ms: 120, ttft_content_ms: 2400 }, { ttft_ms: 90, ttft_content_ms: null }];
+
+  assert.equal(content.applyTtftBasis(records), records);
+  state.ttftBasis = 'first_content';
+  const swapped = content.applyTtftBasis(records);
+  assert.equal(swapped[0].ttft_ms, 2400);
+  assert.equal(swapped[1].ttft_ms, 90);
+  assert.equal(records[0].ttft_ms, 120);
+});
+
+test('content helpers: output shape filter buckets runs by answer structure', () => {
+  const content = loadFunctions(path.join(repo, 'content.js'), ['toFiniteNumber', 'outputShapeMatches']);
+  const code = { output_chars: 300, output_code_blocks: 1, output_headings: 2 };
+  const listy = { output_chars: 200, output_code_blocks: 0, output_list_items: 4 };
+  const prose = { output_chars: 150, output_code_blocks: 0, output_headings: 0, output_list_items: 0, output_empty: false, output_looping: false };
+  const looping = { output_chars: 5000, output_code_blocks: 0, output_looping: true };
+  const legacy = { output_chars: null };
+
+  assert.equal(content.outputShapeMatches(legacy, 'all'), true);
+  assert.equal(content.outputShapeMatches(legacy, 'prose'), false);
+  assert.equal(content.outputShapeMatches(code, 'code'), true);
+  assert.equal(content.outputShapeMatches(code, 'markdown'), false);
+  assert.equal(content.outputShapeMatches(listy, 'markdown'), true);
+  assert.equal(content.outputShapeMatches(prose, 'prose'), true);
+  assert.equal(content.outputShapeMatches(looping, 'prose'), false);
+  assert.equal(content.outputShapeMatches(looping, 'degenerate'), true);
+  assert.equal(content.outputShapeMatches(prose, 'degenerate'), false);
+});
+
 test('background helpers: numeric normalization and first-turn heuristic', () => {
   const bg = loadFunctions(path.join(repo, 'background.js'), ['toPositiveInt', 'looksLikeFirstTurn']);
 
@@ -60,15 +92,15 @@ test('background helpers: numeric normalization and first-turn heuristic', () =>
   assert.equal(bg.looksLikeFirstTurn({ userCount: 2, assistantCount: 0, toolCount: 0, messagesCount: 2 }), false);
 });
 
-test('injected helpers: parsing, rounding, endpoint detection, finish categorization, payload estimates', () => {
+test('injected helpers: parsing, rounding, finish categorization, payload estimates', () => {
   const injected = loadFunctions(path.join(repo, 'injected.js'), [
     'utf8Bytes',
     'roundMs',
     'safeJsonParse',
     'clipCapturedText',
     'categorizeFinishReason',
-    'isChatCompletionsUrl',
-    'estimateMessagesBytesAndCounts'
+    'estimateMessagesBytesAndCounts',
+    'estimatePromptBytesAndCounts'
   ], {
     location: { href: 'https://ui.example.com/app', host: 'ui.example.com', hostname: 'ui.example.com' },
     MAX_CAPTURED_TEXT_CHARS: 200000,
@@ -86,9 +118,12 @@ test('injected helpers: parsing, rounding, endpoint detection, finish categoriza
   assert.equal(injected.categorizeFinishReason(undefined), 'unknown');
   assert.equal(injected.categorizeFinishReason('weird'), 'other');
 
-  assert.equal(injected.isChatCompletionsUrl('https://host/v1/chat/completions'), true);
-  assert.equal(injected.isChatCompletionsUrl({ url: '/v1/chat/completions' }), true);
-  assert.equal(injected.isChatCompletionsUrl('https://host/v1/models'), false);
+  const promptSummary = injected.estimatePromptBytesAndCounts({ prompt: ['héllo', [1, 2, 3]] });
+  assert.equal(promptSummary.promptKind, 'mixed');
+  assert.equal(promptSummary.promptPartsCount, 2);
+  assert.equal(promptSummary.promptTokenIdsCount, 3);
+  assert.equal(promptSummary.messagesBytes, 6);
+  assert.equal(injected.estimatePromptBytesAndCounts({ prompt: 'hi' }).promptKind, 'string');
 
   const pngB64 = 'iVBORw0KGgo=';
   const bodyObj = {
@@ -109,3 +144,981 @@ test('injected helpers: parsing, rounding, endpoint detection, finish categoriza
   assert.ok(summary.imagesBytes > 0);
   assert.ok(summary.messagesBytes >= summary.currentUserTextBytes);
 });
+
+test('injected prompt token counts: tokenize results become counts, a token bucket and bytes per token', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'utf8Bytes',
+    'extractTextFromMessageContent',
+    'getSystemPromptText',
+    'tokensBucket',
+    'applyPromptTokenCounts'
+  ]);
+
+  const body = { messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'system', content: [{ type: 'text', text: 'Use English.' }] },
+    { role: 'user', content: 'Hello there' }
+  ] };
+  assert.equal(injected.getSystemPromptText(body), 'Be brief.\nUse English.');
+  assert.equal(injected.getSystemPromptText({ messages: [{ role: 'user', content: 'x' }] }), null);
+
+  assert.equal(injected.tokensBucket(0), '0');
+  assert.equal(injected.tokensBucket(600), '513-2K');
+  assert.equal(injected.tokensBucket(null), 'unknown');
+
+  const reqMeta = { input_composition: { current_user_text_bytes: 11 }, scenario_labels: { input_mode: 'text_only' } };
+  const texts = { system: 'Be brief.\nUse English.', current_user: 'Hello there' };
+  assert.equal(injected.applyPromptTokenCounts(reqMeta, texts, { system: 6, current_user: 2 }), true);
+  assert.equal(reqMeta.input_composition.current_user_text_bytes, 11);
+  assert.equal(reqMeta.input_composition.system_text_tokens, 6);
+  assert.equal(reqMeta.input_composition.current_user_text_tokens, 2);
+  assert.equal(reqMeta.input_composition.tokenized_text_bytes, 33);
+  assert.equal(reqMeta.input_composition.bytes_per_token, 4.125);
+  assert.equal(reqMeta.input_composition.token_count_source, 'tokenize');
+  assert.equal(reqMeta.scenario_labels.current_user_text_token_bucket, '1-512');
+  assert.equal(reqMeta.scenario_labels.input_mode, 'text_only');
+
+  const untouched = { input_composition: {}, scenario_labels: {} };
+  assert.equal(injected.applyPromptTokenCounts(untouched, texts, { system: null, current_user: null }), false);
+  assert.equal(untouched.input_composition.token_count_source, undefined);
+});
+
+test('injected server snapshot: merges /props and /v1/models into one configuration', () => {
+  const { buildServerSnapshot } = loadFunctions(path.join(repo, 'injected.js'), ['buildServerSnapshot']);
+  const props = {
+    default_generation_settings: { n_ctx: 8192 },
+    total_slots: 4,
+    build_info: 'b6100-abc1234',
+    model_path: '/models/qwen3-8b-Q4_K_M.gguf',
+    modalities: { vision: false }
+  };
+  const models = { data: [{ id: 'qwen3-8b', meta: { n_params: 8190735360, size: 5027783488, n_ctx_train: 40960, n_vocab: 151936 } }] };
+
+  const snap = buildServerSnapshot('http://127.0.0.1:8080', props, models, 'tmplhash');
+  assert.equal(snap.origin, 'http://127.0.0.1:8080');
+  assert.equal(snap.n_ctx, 8192);
+  assert.equal(snap.total_slots, 4);
+  assert.equal(snap.build_info, 'b6100-abc1234');
+  assert.equal(snap.model_path, '/models/qwen3-8b-Q4_K_M.gguf');
+  assert.equal(snap.model_id, 'qwen3-8b');
+  assert.equal(snap.n_params, 8190735360);
+  assert.equal(snap.size_bytes, 5027783488);
+  assert.equal(snap.chat_template_hash, 'tmplhash');
+
+  const propsOnly = buildServerSnapshot('http://h', { n_ctx: 2048 }, null, null);
+  assert.equal(propsOnly.n_ctx, 2048);
+  assert.equal(propsOnly.model_id, null);
+  assert.equal(buildServerSnapshot('http://h', null, { data: [] }, null), null);
+});
+
+test('injected server snapshot: taken from the origin completions go to, not the page origin', async () => {
+  const fetched = [];
+  const posted = [];
+  const serverSnapshots = new Map();
+  const inFlight = new Map();
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'debugLog',
+    'stableStringify',
+    'buildServerSnapshot',
+    'requestOrigin',
+    'refreshServerSnapshot',
+    'noteRequestModel'
+  ], {
+    __debugEnabled: false,
+    __serverSnapshots: serverSnapshots,
+    __serverSnapshotsInFlight: inFlight,
+    __lastRequestModels: new Map(),
+    location: { href: 'https://ui.example.com/chat', origin: 'https://ui.example.com' },
+    window: { postMessage: (msg) => posted.push(msg) },
+    sha256Hex: async (text) => require('node:crypto').createHash('sha256').update(text).digest('hex'),
+    fetchJsonQuiet: async (url) => {
+      fetched.push(url);
+      if (url.endsWith('/props')) return { n_ctx: 4096, total_slots: 1 };
+      return { data: [{ id: url.startsWith('http://gpu-box:8080') ? 'model-a' : 'model-b' }] };
+    },
+  });
+
+  const apiOrigin = injected.requestOrigin('http://gpu-box:8080/v1/chat/completions');
+  assert.equal(apiOrigin, 'http://gpu-box:8080');
+  assert.equal(injected.requestOrigin('/v1/chat/completions'), 'https://ui.example.com');
+
+  injected.noteRequestModel('model-a', apiOrigin);
+  await inFlight.get(apiOrigin);
+  assert.equal(fetched.join(','), 'http://gpu-box:8080/props,http://gpu-box:8080/v1/models');
+  assert.equal(serverSnapshots.get(apiOrigin).origin, apiOrigin);
+  assert.equal(serverSnapshots.get(apiOrigin).model_id, 'model-a');
+  assert.equal(posted[0].snapshot.snapshot_id, serverSnapshots.get(apiOrigin).snapshot_id);
+
+  injected.noteRequestModel('model-a', apiOrigin);
+  assert.equal(inFlight.size, 0, 'same model on a known origin does not refetch');
+  injected.noteRequestModel('model-c', apiOrigin);
+  await inFlight.get(apiOrigin);
+  assert.equal(fetched.length, 4, 'switching models refreshes that origin');
+});
+
+test('endpoint match rules: popup normalization and page-hook matching', () => {
+  const popup = loadFunctions(path.join(repo, 'popup.js'), ['normalizeEndpointRule'], {
+    ENDPOINT_RULE_TYPES: ['suffix', 'glob', 'regex'],
+    ENDPOINT_RULE_TARGETS: ['auto', '/v1/chat/completions', '/v1/completions', '/completion'],
+  });
+  assert.equal(JSON.stringify(popup.normalizeEndpointRule({ type: 'glob', pattern: ' /upstream/*/v1/chat/completions ', method: 'post' })),
+    JSON.stringify({ type: 'glob', pattern: '/upstream/*/v1/chat/completions', method: 'POST', endpoint: 'auto' }));
+  assert.equal(popup.normalizeEndpointRule({ type: 'regex', pattern: '(' }), null);
+  assert.equal(popup.normalizeEndpointRule({ type: 'suffix', pattern: 'chat' }), null);
+  assert.equal(popup.normalizeEndpointRule({ type: 'exact', pattern: '/x' }), null);
+
+  const location = { href: 'https://ui.example.com/app', host: 'ui.example.com', hostname: 'ui.example.com' };
+  const names = ['debugLog', 'globToRegExp', 'inferEndpointFromPath', 'compileEndpointRules', 'getCompletionEndpoint'];
+  const { compileEndpointRules } = loadFunctions(path.join(repo, 'injected.js'), names, { __debugEnabled: false, location });
+  const shippedRules = loadConstant(path.join(repo, 'injected.js'), 'DEFAULT_ENDPOINT_RULES');
+  assert.equal(JSON.stringify(loadConstant(path.join(repo, 'popup.js'), 'DEFAULT_ENDPOINT_RULES')), JSON.stringify(shippedRules), 'popup and page hook ship the same defaults');
+  const defaults = loadFunctions(path.join(repo, 'injected.js'), names, {
+    __debugEnabled: false,
+    location,
+    __endpointRules: compileEndpointRules(shippedRules),
+  });
+  assert.equal(defaults.getCompletionEndpoint('https://host/v1/chat/completions'), '/v1/chat/completions');
+  assert.equal(defaults.getCompletionEndpoint('/proxy/llm/v1/chat/completions?x=1', 'POST'), '/v1/chat/completions');
+  assert.equal(defaults.getCompletionEndpoint('/v1/completions'), '/v1/completions');
+  assert.equal(defaults.getCompletionEndpoint('https://proxy/openai/v1/completions', 'POST'), '/v1/completions');
+  assert.equal(defaults.getCompletionEndpoint('/completions', 'POST'), '/completion', 'llama.cpp alias of native /completion');
+  assert.equal(defaults.getCompletionEndpoint('https://proxy/llm/completions', 'POST'), '/completion');
+  assert.equal(defaults.getCompletionEndpoint({ url: '/completion' }), '/completion');
+  assert.equal(defaults.getCompletionEndpoint('https://host/v1/models'), null);
+
+  const custom = loadFunctions(path.join(repo, 'injected.js'), names, {
+    __debugEnabled: false,
+    location,
+    __endpointRules: compileEndpointRules([
+      { type: 'glob', pattern: '/upstream/*/v1/chat/completions', method: 'POST', endpoint: 'auto' },
+      { type: 'regex', pattern: 'generate\\?mode=native', endpoint: '/completion' },
+      { type: 'regex', pattern: '(' },
+    ]),
+  });
+  assert.equal(custom.getCompletionEndpoint('/upstream/qwen/v1/chat/completions', 'post'), '/v1/chat/completions');
+  assert.equal(custom.getCompletionEndpoint('/upstream/qwen/v1/chat/completions', 'GET'), null);
+  assert.equal(custom.getCompletionEndpoint('/upstream/a/b/v1/chat/completions', 'POST'), null);
+  assert.equal(custom.getCompletionEndpoint('/api/generate?mode=native', 'POST'), '/completion');
+  assert.equal(custom.getCompletionEndpoint('/v1/chat/completions', 'POST'), null);
+
+  const auto = loadFunctions(path.join(repo, 'injected.js'), names, {
+    __debugEnabled: false,
+    location,
+    __endpointRules: compileEndpointRules([{ type: 'glob', pattern: '/api/**', endpoint: 'auto' }]),
+  });
+  assert.equal(auto.getCompletionEndpoint('/api/v1/completions', 'POST'), '/v1/completions');
+  assert.equal(auto.getCompletionEndpoint('/api/openai/completions', 'POST'), '/completion');
+  assert.equal(auto.getCompletionEndpoint('/api/completion', 'POST'), '/completion');
+});
+
+test('injected body snapshot: reads Request, Blob, byte, form and stream bodies without consuming them', async () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'debugLog',
+    'readRequestBodyText',
+    'snapshotFetchBody'
+  ], { __debugEnabled: false, Blob, Request, Response, ReadableStream, URLSearchParams });
+
+  const json = '{"model":"model-a","n":2}';
+  assert.equal(await injected.readRequestBodyText(json), json);
+  assert.equal(await injected.readRequestBodyText(new Blob([json])), json);
+  assert.equal(await injected.readRequestBodyText(new TextEncoder().encode(json)), json);
+  assert.equal(await injected.readRequestBodyText(new URLSearchParams({ a: '1' })), 'a=1');
+  assert.equal(await injected.readRequestBodyText(null), null);
+
+  const request = new Request('https://example.com/v1/chat/completions', { method: 'POST', body: json });
+  const fromRequest = injected.snapshotFetchBody(request, undefined);
+  assert.equal(await fromRequest.bodyText, json);
+  assert.equal(request.bodyUsed, false);
+  assert.equal(await request.text(), json);
+
+  const stream = new ReadableStream({ start(c) { c.enqueue(new TextEncoder().encode(json)); c.close(); } });
+  const init = { method: 'POST', body: stream, duplex: 'half' };
+  const fromStream = injected.snapshotFetchBody('https://example.com/completion', init);
+  assert.notEqual(fromStream.init, init);
+  assert.equal(await new Response(fromStream.init.body).text(), json);
+  assert.equal(await fromStream.bodyText, json);
+
+  const plain = { method: 'POST', body: json };
+  assert.equal(injected.snapshotFetchBody('https://example.com/completion', plain).init, plain);
+  assert.equal(await injected.snapshotFetchBody('https://example.com/completion', undefined).bodyText, null);
+});
+
+test('injected response parsing: the response is cloned before the request metadata is ready', async () => {
+  const calls = [];
+  const emitted = [];
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'debugLog',
+    'parseErrorCloneAndEmitRecord',
+    'parseCloneAndEmitRecord'
+  ], {
+    __debugEnabled: false,
+    buildHttpErrorRecord: (traceId, status, statusText, text, requestMeta) => ({ trace_id: traceId, err: { status, message: text }, req: requestMeta }),
+    emitRecord: (traceId, record) => emitted.push(record),
+  });
+  const clone = { status: 500, statusText: 'Internal Server Error', headers: new Map(), text: async () => { calls.push('clone.text'); return 'boom'; } };
+  const response = { clone: () => { calls.push('clone'); return clone; } };
+
+  let resolveMeta;
+  const done = injected.parseCloneAndEmitRecord('t-c', response, new Promise((resolve) => { resolveMeta = resolve; }), {});
+  assert.equal(calls.join(','), 'clone', 'cloned synchronously, while the page may still be reading the original');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(emitted.length, 0, 'waits for the request metadata before building the record');
+  resolveMeta({ model: 'model-a' });
+  await done;
+  assert.equal(calls.join(','), 'clone,clone.text');
+  assert.equal(emitted[0].req.model, 'model-a');
+  assert.equal(emitted[0].err.message, 'boom');
+});
+
+test('injected resource timing: phases from a matching entry, null phases without Timing-Allow-Origin', () => {
+  const entries = [
+    { initiatorType: 'fetch', startTime: 5000, fetchStart: 5000, domainLookupStart: 5000, domainLookupEnd: 5000, connectStart: 5000, connectEnd: 5000, secureConnectionStart: 0, requestStart: 5001, responseStart: 5001, responseEnd: 5002 },
+    { initiatorType: 'fetch', startTime: 1000, fetchStart: 1001, domainLookupStart: 1001, domainLookupEnd: 1021, connectStart: 1021, connectEnd: 1081, secureConnectionStart: 1041, requestStart: 1082, responseStart: 1382, responseEnd: 2382, nextHopProtocol: 'h2', transferSize: 4096 },
+    { initiatorType: 'img', startTime: 1001, requestStart: 1 },
+  ];
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'roundMs',
+    'summarizeResourceTiming',
+    'findResourceTimingEntry'
+  ], {
+    RESOURCE_TIMING_MATCH_MS: 1000,
+    performance: { getEntriesByName: (name, type) => (name === 'https://llm.example.com/v1/chat/completions' && type === 'resource' ? entries : []) },
+  });
+
+  const entry = injected.findResourceTimingEntry('https://llm.example.com/v1/chat/completions', 1002);
+  assert.equal(entry, entries[1]);
+  assert.equal(injected.findResourceTimingEntry('https://other.example.com/x', 1002), null);
+  assert.equal(injected.findResourceTimingEntry('https://llm.example.com/v1/chat/completions', 3000), null);
+
+  const net = injected.summarizeResourceTiming(entry);
+  assert.equal(net.timing_allowed, true);
+  assert.equal(net.next_hop_protocol, 'h2');
+  assert.equal(net.connection_reused, false);
+  assert.equal(net.dns_ms, 20);
+  assert.equal(net.connect_ms, 60);
+  assert.equal(net.tls_ms, 40);
+  assert.equal(net.request_ms, 300);
+  assert.equal(net.response_start_ms, 382);
+  assert.equal(net.response_ms, 1000);
+  assert.equal(injected.summarizeResourceTiming(entries[0]).tls_ms, 0);
+
+  const opaque = injected.summarizeResourceTiming({ initiatorType: 'fetch', startTime: 1000, fetchStart: 1000, domainLookupStart: 0, domainLookupEnd: 0, connectStart: 0, connectEnd: 0, secureConnectionStart: 0, requestStart: 0, responseStart: 0, responseEnd: 2000 });
+  assert.equal(opaque.timing_allowed, false);
+  assert.equal(opaque.dns_ms, null);
+  assert.equal(opaque.tls_ms, null);
+  assert.equal(opaque.request_ms, null);
+  assert.equal(opaque.response_start_ms, null);
+});
+
+test('injected network timing: a streamed record is posted at once and its timing follows when the entry lands', async () => {
+  const url = 'https://llm.example.com/v1/chat/completions';
+  const posted = [];
+  const timeline = [];
+  const observers = [];
+  const timers = [];
+  class FakeObserver {
+    constructor(callback) { this.callback = callback; this.connected = false; observers.push(this); }
+    observe(opts) { assert.equal(opts.type, 'resource'); this.connected = true; }
+    disconnect() { this.connected = false; }
+  }
+  const entryList = (entries) => ({ getEntriesByName: (name, type) => entries.filter((e) => e.name === name && type === 'resource') });
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'debugLog',
+    'roundMs',
+    'requestOrigin',
+    'summarizeResourceTiming',
+    'findResourceTimingEntry',
+    'watchNetworkTiming',
+    'emitRecord'
+  ], {
+    __debugEnabled: false,
+    __captureOptions: { tokenize_prompts: false },
+    __serverSnapshots: new Map(),
+    __serverSnapshotsInFlight: new Map(),
+    RESOURCE_TIMING_MATCH_MS: 1000,
+    NETWORK_TIMING_WAIT_MS: 30000,
+    location: { href: 'https://ui.example.com/chat', origin: 'https://ui.example.com' },
+    window: { postMessage: (msg) => posted.push(msg) },
+    performance: entryList(timeline),
+    PerformanceObserver: FakeObserver,
+    setTimeout: (fn, ms) => { timers.push({ fn, ms, cleared: false }); return timers.length - 1; },
+    clearTimeout: (id) => { if (timers[id]) timers[id].cleared = true; },
+  });
+
+  await injected.emitRecord('t-stream', { trace_id: 't-stream', resp: { streamed: true } }, { request_url: url, request_start_perf_ms: 1000 });
+  assert.equal(posted.length, 1, 'the record does not wait for the resource entry');
+  assert.equal(posted[0].type, 'LLAMACPP_METRICS_RECORD');
+  assert.equal(posted[0].record.resp.network_timing, null);
+  assert.equal(observers.length, 1);
+  assert.equal(timers[0].ms, 30000);
+
+  const entry = { name: url, initiatorType: 'fetch', startTime: 1001, fetchStart: 1001, domainLookupStart: 1001, domainLookupEnd: 1011, connectStart: 1011, connectEnd: 1031, secureConnectionStart: 0, requestStart: 1032, responseStart: 1232, responseEnd: 9000 };
+  observers[0].callback(entryList([{ ...entry, name: 'https://llm.example.com/props' }]));
+  assert.equal(posted.length, 1, 'unrelated entries are ignored');
+  observers[0].callback(entryList([entry]));
+  assert.equal(posted.length, 2);
+  assert.equal(posted[1].type, 'LLAMACPP_METRICS_NETWORK_TIMING');
+  assert.equal(posted[1].trace_id, 't-stream');
+  assert.equal(posted[1].network_timing.request_ms, 200);
+  assert.equal(posted[1].network_timing.response_ms, 7768);
+  assert.equal(observers[0].connected, false);
+  assert.equal(timers[0].cleared, true);
+
+  timeline.push({ ...entry, startTime: 20000, fetchStart: 20000 });
+  await injected.emitRecord('t-json', { trace_id: 't-json', resp: {} }, { request_url: url, request_start_perf_ms: 20000 });
+  assert.equal(posted[2].type, 'LLAMACPP_METRICS_RECORD');
+  assert.equal(posted[3].type, 'LLAMACPP_METRICS_NETWORK_TIMING', 'an entry already on the timeline follows immediately');
+  assert.equal(observers.length, 1);
+
+  await injected.emitRecord('t-late', { trace_id: 't-late', resp: {} }, { request_url: url, request_start_perf_ms: 50000 });
+  timers[1].fn();
+  assert.equal(observers[1].connected, false, 'the observer gives up after the wait');
+  assert.equal(posted.length, 5);
+});
+
+test('injected llama.cpp params: extended keys captured, large values hashed, fingerprint ignores non-sampler keys', async () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'stableStringify',
+    'sha256Hex',
+    'pickParams',
+    'reduceParamValue',
+    'pickLlamaParams'
+  ], {
+    crypto: require('node:crypto').webcrypto,
+    LLAMA_PARAMS_VERSION: 1,
+    LLAMA_PARAM_KEYS: ['cache_prompt', 'id_slot', 'n_keep', 'min_p', 'samplers', 'grammar', 'response_format', 'lora'],
+    NON_SAMPLER_PARAM_KEYS: ['cache_prompt', 'id_slot', 'n_keep'],
+    MAX_INLINE_PARAM_CHARS: 256,
+  });
+
+  const grammar = 'root ::= ' + '"x" '.repeat(200);
+  const body = {
+    temperature: 0.7,
+    top_p: 0.9,
+    cache_prompt: true,
+    id_slot: 1,
+    min_p: 0.05,
+    dry_multiplier: 0.8,
+    xtc_probability: 0,
+    mirostat: 0,
+    samplers: ['top_k', 'min_p', 'temperature'],
+    grammar,
+    response_format: { type: 'json_schema', json_schema: { schema: { type: 'object', properties: { a: { type: 'string' } } } } },
+    lora: [{ id: 0, scale: 0.5 }],
+    unknown_key: 'ignored'
+  };
+  const lp = await injected.pickLlamaParams(body, injected.pickParams(body));
+  assert.equal(lp.version, 1);
+  assert.equal(lp.values.min_p, 0.05);
+  assert.equal(lp.values.dry_multiplier, 0.8);
+  assert.equal(lp.values.xtc_probability, 0);
+  assert.equal(lp.values.mirostat, 0);
+  assert.equal(lp.values.samplers.join(','), 'top_k,min_p,temperature');
+  assert.equal(lp.values.grammar.chars, grammar.length);
+  assert.equal(lp.values.grammar.sha256.length, 16);
+  assert.equal(lp.values.response_format.type, 'json_schema');
+  assert.equal(lp.values.lora[0].scale, 0.5);
+  assert.equal(lp.values.unknown_key, undefined);
+  assert.equal(lp.fingerprint.length, 12);
+
+  const sameSampling = await injected.pickLlamaParams({ ...body, cache_prompt: false, id_slot: 3 }, injected.pickParams(body));
+  assert.equal(sameSampling.fingerprint, lp.fingerprint);
+  const hotter = await injected.pickLlamaParams(body, injected.pickParams({ ...body, temperature: 1.2 }));
+  assert.notEqual(hotter.fingerprint, lp.fingerprint);
+  assert.equal(await injected.pickLlamaParams(null, null), null);
+});
+
+test('injected output shape: code blocks, markdown structure, empty answers and looping text', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), ['analyzeOutputShape'], {
+    OUTPUT_SHAPE_NGRAM_WORDS: 6,
+    OUTPUT_SHAPE_MAX_WORDS: 20000,
+    LOOP_REPEAT_RATIO: 0.5,
+    LOOP_MIN_REPEATS: 4,
+    MAX_CODE_LANGUAGES: 8,
+  });
+
+  const text = [
+    '## Plan',
+    '- step one',
+    '2. step two',
+    '```Python',
+    '# not a heading',
+    'print(1)',
+    '```',
+    '~~~',
+    '- not a list item',
+    '~~~',
+    '```js',
+    'x()',
+  ].join('\n');
+  const shape = injected.analyzeOutputShape(text, false);
+  assert.equal(shape.chars, text.length);
+  assert.equal(shape.code_blocks, 3);
+  assert.equal(shape.code_languages.join(','), 'python,js');
+  assert.equal(shape.code_block_unclosed, true);
+  assert.equal(shape.headings, 1);
+  assert.equal(shape.list_items, 2);
+  assert.equal(shape.looping, false);
+
+  const loop = injected.analyzeOutputShape('Intro sentence here. ' + 'I will answer the question now. '.repeat(30), false);
+  assert.ok(loop.repeated_ngram_ratio > 0.8);
+  assert.ok(loop.top_ngram_repeats >= 4);
+  assert.equal(loop.looping, true);
+
+  const empty = injected.analyzeOutputShape('  \n ', true);
+  assert.equal(empty.empty, true);
+  assert.equal(empty.text_clipped, true);
+  assert.equal(empty.repeated_ngram_ratio, null);
+  assert.equal(empty.looping, false);
+});
+
+test('injected structured output: constraint described from the request and checked against the answer text', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'describeOutputConstraint',
+    'jsonTypeOf',
+    'validateStructuredOutput'
+  ], { MAX_CHECKED_REQUIRED_KEYS: 32 });
+
+  const schema = { type: 'object', properties: { a: { type: 'string' }, b: { type: 'number' } }, required: ['a', 'b'] };
+  const constraint = injected.describeOutputConstraint({ response_format: { type: 'json_schema', json_schema: { schema } } });
+  assert.equal(constraint.kind, 'json_schema');
+  assert.equal(constraint.schema_type, 'object');
+  assert.equal(constraint.required_keys.join(','), 'a,b');
+  assert.equal(injected.describeOutputConstraint({ json_schema: schema }).kind, 'json_schema');
+  assert.equal(injected.describeOutputConstraint({ response_format: { type: 'json_object' } }).schema_type, 'object');
+  assert.equal(injected.describeOutputConstraint({ grammar: 'root ::= "x"' }).expects_json, false);
+  assert.equal(injected.describeOutputConstraint({ response_format: { type: 'text' } }), null);
+  assert.equal(injected.describeOutputConstraint({ json_schema: { anyOf: [schema] } }).required_keys, null);
+
+  const ok = injected.validateStructuredOutput(' {"a":"x","b":1} ', constraint, false);
+  assert.equal(ok.parse_ok, true);
+  assert.equal(ok.top_level_type, 'object');
+  assert.equal(ok.valid, true);
+  assert.equal(ok.required_keys_missing.length, 0);
+
+  const missing = injected.validateStructuredOutput('{"a":"x"}', constraint, false);
+  assert.equal(missing.valid, false);
+  assert.equal(missing.required_keys_missing.join(','), 'b');
+
+  const wrongType = injected.validateStructuredOutput('[1,2]', constraint, false);
+  assert.equal(wrongType.type_matches, false);
+  assert.equal(wrongType.valid, false);
+
+  const broken = injected.validateStructuredOutput('{"a":', constraint, false);
+  assert.equal(broken.parse_ok, false);
+  assert.equal(broken.valid, false);
+
+  assert.equal(injected.validateStructuredOutput('{"a":', constraint, true).valid, null);
+  assert.equal(injected.validateStructuredOutput('{}', null, false), null);
+  assert.equal(injected.validateStructuredOutput('x', { kind: 'grammar', expects_json: false }, false), null);
+});
+
+test('injected SSE parser: first stream chunk skips prefill progress events, however the bytes are split', () => {
+  let clock = 0;
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'safeJsonParse',
+    'debugLog',
+    'extractContextInfo',
+    'nativeStopFinishReason',
+    'normalizeTokenProbs',
+    'extractChoiceLogprobs',
+    'detectCompletionBodyEndpoint',
+    'normalizeStreamChunk',
+    'getChoiceState',
+    'getPrimaryChoiceState',
+    'splitInlineReasoning',
+    'applyInlineReasoningSplit',
+    'applyToolCallDelta',
+    'recordTokenChunkArrival',
+    'recordThroughputSample',
+    'recordPromptProgress',
+    'recordSamplingTokens',
+    'createSseParseState',
+    'isSseSettled',
+    'consumeSseLine',
+    'consumeSseText'
+  ], {
+    __debugEnabled: false,
+    Date: { now: () => clock },
+    MAX_CAPTURED_TEXT_CHARS: 200000,
+    MAX_THROUGHPUT_SAMPLES: 64,
+    MAX_PROMPT_PROGRESS_SAMPLES: 64,
+    LOW_CONFIDENCE_PROB: 0.5,
+  });
+
+  const line = (obj) => `data: ${JSON.stringify(obj)}\n\n`;
+  const stream = [
+    line({ object: 'chat.completion.chunk', choices: [], prompt_progress: { total: 100, cache: 0, processed: 50, time_ms: 10 } }),
+    line({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: { role: 'assistant', content: '' } }] }),
+    line({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: 'Hi' } }] }),
+    line({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], timings: { predicted_n: 1, predicted_ms: 5 } }),
+  ];
+  // The role-only line is the first non-progress chunk; it is parsed when its terminating newline arrives.
+  const firstChunkEnd = stream[0].length + stream[1].length - 2;
+
+  for (const step of [1, 5, 64, stream.join('').length]) {
+    const text = stream.join('');
+    const state = injected.createSseParseState();
+    for (let i = 0; i < text.length; i += step) {
+      clock = i;
+      injected.consumeSseText('t-f', state, text.slice(i, i + step));
+      if (i + step <= firstChunkEnd) assert.equal(state.firstStreamChunkAtMs, null, `split ${step}: only progress so far`);
+    }
+    assert.equal(state.firstStreamChunkAtMs, Math.floor(firstChunkEnd / step) * step, `split ${step}`);
+  }
+});
+
+// Everything consumeSseText and buildCompletionRecord reach, for tests that turn a response body into a full record.
+const recordBuilderFunctions = [
+  'roundMs',
+  'safeJsonParse',
+  'clipCapturedText',
+  'categorizeFinishReason',
+  'debugLog',
+  'extractContextInfo',
+  'nativeStopFinishReason',
+  'detectCompletionBodyEndpoint',
+  'normalizeStreamChunk',
+  'utf8Bytes',
+  'getChoiceState',
+  'splitInlineReasoning',
+  'applyInlineReasoningSplit',
+  'flushInlineReasoningPending',
+  'applyToolCallDelta',
+  'isValidJsonText',
+  'buildToolCallSummaries',
+  'getPrimaryChoiceState',
+  'buildChoiceSummaries',
+  'createSseParseState',
+  'isSseSettled',
+  'normalizeUsage',
+  'reconcileUsage',
+  'recordTokenChunkArrival',
+  'percentileOfSorted',
+  'summarizeChunkTimeline',
+  'recordThroughputSample',
+  'interpolatePredictedMs',
+  'summarizeThroughputCurve',
+  'recordPromptProgress',
+  'summarizePromptProgress',
+  'normalizeTokenProbs',
+  'extractChoiceLogprobs',
+  'recordSamplingTokens',
+  'summarizeSamplingStats',
+  'jsonTypeOf',
+  'validateStructuredOutput',
+  'analyzeOutputShape',
+  'consumeSseLine',
+  'consumeSseText',
+  'buildCompletionRecord'
+];
+
+function loadRecordBuilder(extraNames = []) {
+  return loadFunctions(path.join(repo, 'injected.js'), [...recordBuilderFunctions, ...extraNames], {
+    __debugEnabled: false,
+    MAX_CAPTURED_TEXT_CHARS: 200000,
+    MAX_PERSISTED_CHUNK_GAPS: 8192,
+    TPS_CURVE_MAX_WINDOWS: 20,
+    MAX_THROUGHPUT_SAMPLES: 64,
+    THROUGHPUT_CURVE_BUCKETS: 10,
+    MAX_PROMPT_PROGRESS_SAMPLES: 64,
+    LOW_CONFIDENCE_PROB: 0.5,
+    OUTPUT_SHAPE_NGRAM_WORDS: 6,
+    OUTPUT_SHAPE_MAX_WORDS: 20000,
+    LOOP_REPEAT_RATIO: 0.5,
+    LOOP_MIN_REPEATS: 4,
+    MAX_CODE_LANGUAGES: 8,
+  });
+}
+
+const sseChunk = (delta, extra = {}) => `data: ${JSON.stringify({ object: 'chat.completion.chunk', id: 'cmpl-1', model: 'model-a', choices: [{ index: 0, delta, ...extra.choice }], ...extra.top })}\n\n`;
+
+test('injected record builder: SSE text split at arbitrary boundaries produces a streamed record', () => {
+  const injected = loadRecordBuilder();
+  const stream = [
+    sseChunk({ reasoning_content: 'think' }, { top: { timings: { predicted_n: 3, predicted_ms: 30 } } }),
+    sseChunk({ content: 'Hel' }),
+    sseChunk({ content: 'lo' }, { choice: { finish_reason: 'stop' }, top: { timings: { prompt_n: 10, prompt_ms: 50, predicted_n: 8, predicted_ms: 80, predicted_per_second: 100 } } }),
+  ].join('');
+
+  const state = injected.createSseParseState();
+  let stopped = false;
+  for (let i = 0; i < stream.length && !stopped; i += 7) {
+    stopped = injected.consumeSseText('t-1', state, stream.slice(i, i + 7), 1000 + i);
+  }
+  assert.equal(stopped, true);
+
+  const record = injected.buildCompletionRecord('t-1', state, { model: 'model-a' }, { request_start_ms: 0, response_headers_ms: 5, transport: 'xhr' });
+  assert.equal(record.transport, 'xhr');
+  assert.equal(record.responseText, 'Hello');
+  assert.equal(record.ReasoningText, 'think');
+  assert.equal(record.resp.finish_reason, 'stop');
+  assert.equal(record.resp.timings.predicted_n, 8);
+  assert.equal(record.resp.derived.reasoning_n, 3);
+  assert.equal(record.resp.derived.content_n, 5);
+  assert.equal(record.resp.derived.reasoning_detection, 'reasoning_content');
+  assert.equal(typeof record.resp.derived.ttft_overhead_ms, 'number');
+  assert.equal(record.resp.choices_count, 1);
+  assert.equal(record.resp.choices[0].content_chars, 5);
+  assert.equal(record.resp.output_shape.chars, 5);
+  assert.equal(record.resp.output_shape.empty, false);
+  assert.equal(record.resp.guardrails.output_length_estimate.output_chars_estimate, 10, 'answer plus reasoning text');
+  assert.equal(record.resp.guardrails.output_length_estimate.output_chars_source, 'captured_text');
+  assert.equal(record.resp.chunk_timeline.token_chunk_count, 3);
+  assert.equal(record.resp.chunk_timeline.gaps_ms.length, 2);
+  assert.equal(record.resp.itl.stall_count, null);
+  assert.equal(record.aborted, false);
+  assert.equal(record.err, null);
+
+  // Sections for data this stream does not carry stay null.
+  assert.equal(record.resp.throughput, null);
+  assert.equal(record.resp.sampling_stats, null);
+  assert.equal(record.resp.timings.draft_n, null);
+  assert.equal(record.resp.derived.draft_acceptance_rate, null);
+  assert.equal(record.resp.usage, null);
+  assert.equal(record.resp.usage_check, null);
+  assert.equal(record.resp.prompt_progress, null);
+  assert.equal(record.resp.context, null);
+  assert.equal(record.resp.guardrails.context_truncated, false);
+
+  const empty = injected.createSseParseState();
+  injected.consumeSseText('t-2', empty, sseChunk({ content: 'x' }));
+  assert.equal(injected.buildCompletionRecord('t-2', empty, {}, {}), null, 'no record before the stream settles');
+});
+
+test('injected record builder: time to first reasoning and first answer chunk', () => {
+  const injected = loadRecordBuilder();
+  const state = injected.createSseParseState();
+  injected.consumeSseText('t-r', state, sseChunk({ reasoning_content: 'think' }));
+  injected.consumeSseText('t-r', state, sseChunk({ content: 'Hi' }, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 3, predicted_ms: 30 } } }));
+  const timing = injected.buildCompletionRecord('t-r', state, {}, { request_start_ms: 0 }).resp.client_timing;
+  assert.equal(typeof timing.first_reasoning_chunk_ms, 'number');
+  assert.ok(timing.first_content_chunk_ms >= timing.first_reasoning_chunk_ms);
+  assert.ok(timing.duration_request_to_first_content_chunk_ms >= timing.duration_request_to_first_reasoning_chunk_ms);
+});
+
+test('injected record builder: non-streamed chat JSON bodies produce records', () => {
+  const injected = loadRecordBuilder(['applyJsonCompletion']);
+  const jsonState = injected.createSseParseState();
+  const body = { object: 'chat.completion', id: 'cmpl-2', choices: [{ message: { content: 'Hi' }, finish_reason: 'length' }], timings: { prompt_n: 6, predicted_n: 4, predicted_ms: 40 }, usage: { prompt_tokens: 6, completion_tokens: 4, total_tokens: 10 } };
+  assert.equal(injected.applyJsonCompletion('t-3', jsonState, body, 300), true);
+  const jsonRecord = injected.buildCompletionRecord('t-3', jsonState, {}, { request_start_ms: 100, response_headers_ms: 250 });
+  assert.equal(jsonRecord.streamed, false);
+  assert.equal(jsonRecord.responseText, 'Hi');
+  assert.equal(jsonRecord.resp.guardrails.stop_reason_category, 'truncated_length');
+  assert.equal(jsonRecord.resp.client_timing.duration_request_to_body_complete_ms, 200);
+  assert.equal(jsonRecord.resp.client_timing.duration_headers_to_body_complete_ms, 50);
+  assert.equal(jsonRecord.resp.client_timing.duration_request_to_first_stream_chunk_ms, null);
+  assert.equal(jsonRecord.resp.derived.ttft_overhead_ms, null);
+  assert.equal(jsonRecord.resp.usage_check.mismatch, false);
+  assert.equal(injected.applyJsonCompletion('t-4', injected.createSseParseState(), { error: { code: 500 } }, 0), false);
+});
+
+test('injected record builder: native /completion streams and /v1/completions text bodies', () => {
+  const injected = loadRecordBuilder(['applyJsonCompletion']);
+  assert.equal(injected.nativeStopFinishReason({ stop: true, stop_type: 'limit' }), 'length');
+  assert.equal(injected.nativeStopFinishReason({ stop: true, stopped_limit: true }), 'length');
+  assert.equal(injected.nativeStopFinishReason({ stop: true, stop_type: 'eos' }), 'stop');
+
+  const nativeState = injected.createSseParseState('/completion');
+  injected.consumeSseText('t-5', nativeState, 'data: {"content":"Once","stop":false}\n\n');
+  assert.equal(injected.consumeSseText('t-5', nativeState, 'data: {"content":"","stop":true,"stop_type":"limit","model":"m","timings":{"predicted_n":1,"predicted_ms":10}}\n\n'), true);
+  const nativeRecord = injected.buildCompletionRecord('t-5', nativeState, {}, {});
+  assert.equal(nativeRecord.endpoint, '/completion');
+  assert.equal(nativeRecord.responseText, 'Once');
+  assert.equal(nativeRecord.resp.finish_reason, 'length');
+
+  const textState = injected.createSseParseState('/v1/completions');
+  const textBody = { object: 'text_completion', choices: [{ text: 'abc', finish_reason: 'stop' }], timings: { predicted_n: 1, predicted_ms: 5 } };
+  assert.equal(injected.applyJsonCompletion('t-6', textState, textBody, 0), true);
+  const textRecord = injected.buildCompletionRecord('t-6', textState, {}, {});
+  assert.equal(textRecord.endpoint, '/v1/completions');
+  assert.equal(textRecord.responseText, 'abc');
+
+  // Path rules send `.../completions` to the native parser; an OpenAI-shaped body still picks the text parser.
+  const proxied = injected.createSseParseState('/completion');
+  injected.consumeSseText('t-7', proxied, `data: ${JSON.stringify({ object: 'text_completion', choices: [{ index: 0, text: 'Hi', finish_reason: null }] })}\n\n`);
+  assert.equal(injected.consumeSseText('t-7', proxied, `data: ${JSON.stringify({ object: 'text_completion', choices: [{ index: 0, text: '!', finish_reason: 'stop' }], timings: { predicted_n: 2, predicted_ms: 10 } })}\n\n`), true);
+  const proxiedRecord = injected.buildCompletionRecord('t-7', proxied, {}, {});
+  assert.equal(proxiedRecord.endpoint, '/v1/completions');
+  assert.equal(proxiedRecord.responseText, 'Hi!');
+  const nativeJson = injected.createSseParseState('/v1/completions');
+  assert.equal(injected.applyJsonCompletion('t-8', nativeJson, { content: 'Once', stop: true, stop_type: 'eos', timings: { predicted_n: 1, predicted_ms: 5 } }, 0), true);
+  assert.equal(injected.buildCompletionRecord('t-8', nativeJson, {}, {}).endpoint, '/completion');
+});
+
+test('injected record builder: every choice is tracked when n > 1, the first one leads', () => {
+  const injected = loadRecordBuilder();
+  const multi = injected.createSseParseState('/v1/chat/completions', 2);
+  const choiceChunk = (index, delta, finish, timings) => `data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [{ index, delta, finish_reason: finish }], timings })}\n\n`;
+  assert.equal(injected.consumeSseText('t-m', multi, choiceChunk(0, { content: 'aa' }, null)), false);
+  assert.equal(injected.consumeSseText('t-m', multi, choiceChunk(0, {}, 'stop', { predicted_n: 2, predicted_ms: 20 })), false);
+  assert.equal(injected.consumeSseText('t-m', multi, choiceChunk(1, { content: 'bbbb' }, null)), false);
+  assert.equal(injected.consumeSseText('t-m', multi, choiceChunk(1, {}, 'length', { predicted_n: 4, predicted_ms: 30 })), true);
+  const multiRecord = injected.buildCompletionRecord('t-m', multi, {}, {});
+  assert.equal(multiRecord.responseText, 'aa');
+  assert.equal(multiRecord.resp.finish_reason, 'stop');
+  assert.equal(multiRecord.resp.timings.predicted_n, 2);
+  assert.equal(multiRecord.resp.choices_count, 2);
+  assert.equal(multiRecord.resp.choices_predicted_n_total, 6);
+  assert.equal(multiRecord.resp.choices[1].finish_reason, 'length');
+  assert.equal(multiRecord.resp.choices[1].content_chars, 4);
+});
+
+test('injected record builder: streamed tool-call arguments are assembled per call', () => {
+  const injected = loadRecordBuilder();
+  const tools = injected.createSseParseState();
+  const toolChunk = (toolCalls, finish, timings) => `data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: { tool_calls: toolCalls }, finish_reason: finish }], timings })}\n\n`;
+  injected.consumeSseText('t-tc', tools, toolChunk([{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":' } }]));
+  injected.consumeSseText('t-tc', tools, toolChunk([{ index: 0, function: { arguments: '"Paris"}' } }, { index: 1, id: 'call_2', function: { name: 'lookup', arguments: '{bad' } }]));
+  injected.consumeSseText('t-tc', tools, toolChunk([], 'tool_calls', { predicted_n: 12, predicted_ms: 60 }));
+  const toolRecord = injected.buildCompletionRecord('t-tc', tools, {}, {});
+  assert.equal(toolRecord.resp.tool_calls_count, 2);
+  assert.equal(toolRecord.resp.tool_calls[0].name, 'get_weather');
+  assert.equal(toolRecord.resp.tool_calls[0].arguments_bytes, 16);
+  assert.equal(toolRecord.resp.tool_calls[0].arguments_chunks, 2);
+  assert.equal(toolRecord.resp.tool_calls[0].arguments_valid_json, true);
+  assert.equal(toolRecord.resp.tool_calls[1].arguments_valid_json, false);
+  assert.equal(typeof toolRecord.resp.tool_calls[0].first_to_last_argument_ms, 'number');
+  assert.equal(toolRecord.resp.guardrails.stop_reason_category, 'tool_calls');
+  assert.equal(toolRecord.resp.guardrails.output_length_estimate.output_chars_estimate, 48, 'no text, so predicted_n * 4');
+  assert.equal(toolRecord.resp.guardrails.output_length_estimate.output_chars_source, 'predicted_n');
+});
+
+test('injected record builder: an aborted stream becomes a partial record, the first cause wins', () => {
+  const injected = loadRecordBuilder(['markStreamAborted']);
+  const abortedState = injected.createSseParseState();
+  injected.consumeSseText('t-ab', abortedState, sseChunk({ reasoning_content: 'hmm' }, { top: { timings: { prompt_n: 7, predicted_n: 2, predicted_ms: 20 } } }));
+  injected.consumeSseText('t-ab', abortedState, sseChunk({ content: 'Partial' }));
+  injected.markStreamAborted('t-ab', abortedState, 'abort_signal', 'The user aborted a request.');
+  injected.markStreamAborted('t-ab', abortedState, 'stream_closed', null);
+  const abortedRecord = injected.buildCompletionRecord('t-ab', abortedState, {}, { request_start_ms: 0 });
+  assert.equal(abortedRecord.aborted, true);
+  assert.equal(abortedRecord.err.type, 'aborted');
+  assert.equal(abortedRecord.err.cause, 'abort_signal');
+  assert.equal(abortedRecord.resp.finish_reason, null);
+  assert.equal(abortedRecord.resp.guardrails.stop_reason_category, 'aborted');
+  assert.equal(abortedRecord.resp.timings.prompt_n, 7);
+  assert.equal(abortedRecord.resp.received.content_chars, 7);
+  assert.equal(abortedRecord.resp.received.reasoning_chars, 3);
+  assert.equal(abortedRecord.resp.client_timing.stop_chunk_ms, abortedState.abortedAtMs);
+});
+
+test('injected error records: llama.cpp error bodies and plain-text failures', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'safeJsonParse',
+    'clipCapturedText',
+    'extractServerError',
+    'buildHttpErrorRecord'
+  ], { MAX_CAPTURED_TEXT_CHARS: 200000, location: { origin: 'https://ui.example.com' } });
+
+  const errorBody = JSON.stringify({ error: { code: 400, type: 'exceed_context_size_error', message: 'request exceeds the available context size', n_prompt_tokens: 9000, n_ctx: 8192 } });
+  const errorRecord = injected.buildHttpErrorRecord('t-e', 400, 'Bad Request', errorBody, { model: 'model-a' }, { request_start_ms: 10, response_headers_ms: 35, transport: 'fetch' });
+  assert.equal(errorRecord.err.type, 'http_error');
+  assert.equal(errorRecord.err.status, 400);
+  assert.equal(errorRecord.err.error_type, 'exceed_context_size_error');
+  assert.equal(errorRecord.err.n_ctx, 8192);
+  assert.equal(errorRecord.req.model, 'model-a');
+  assert.equal(errorRecord.ui_origin, 'https://ui.example.com');
+  assert.equal(errorRecord.resp.client_timing.duration_request_to_headers_ms, 25);
+  const plainError = injected.buildHttpErrorRecord('t-e2', 503, '', 'Loading model', {}, {});
+  assert.equal(plainError.err.message, 'Loading model');
+  assert.equal(plainError.err.error_type, null);
+});
+
+test('injected chunk timeline: inter-token percentiles, stalls and a TPS curve', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), ['roundMs', 'percentileOfSorted', 'summarizeChunkTimeline'], {
+    TPS_CURVE_MAX_WINDOWS: 20,
+  });
+  const itl = injected.summarizeChunkTimeline([10, 10, 20, 10, 600, 10, 10, 30, 10, 10], 500);
+  assert.equal(itl.p50_ms, 10);
+  assert.equal(itl.p90_ms, 30);
+  assert.equal(itl.max_ms, 600);
+  assert.equal(itl.stall_count, 1);
+  assert.equal(itl.stall_total_ms, 600);
+  assert.equal(itl.tps_curve.tps.length, 10);
+  assert.equal(injected.summarizeChunkTimeline([], 500), null);
+});
+
+test('injected record builder: lines delivered in one network read share one arrival time', () => {
+  const injected = loadRecordBuilder();
+  const state = injected.createSseParseState();
+  // A proxy batches three token chunks into one read, then the rest arrives 40 ms later.
+  injected.consumeSseText('t-b', state, sseChunk({ content: 'a' }) + sseChunk({ content: 'b' }) + sseChunk({ content: 'c' }), 1000);
+  injected.consumeSseText('t-b', state, sseChunk({ content: 'd' }, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 4, predicted_ms: 40 } } }), 1040);
+  const record = injected.buildCompletionRecord('t-b', state, {}, { request_start_ms: 900 });
+  assert.equal(record.responseText, 'abcd');
+  assert.equal(record.resp.chunk_timeline.token_chunk_count, 2);
+  assert.equal(record.resp.chunk_timeline.gaps_ms.join(','), '40');
+  assert.equal(record.resp.client_timing.first_content_chunk_ms, 1000);
+  assert.equal(record.resp.client_timing.stop_chunk_ms, 1040);
+});
+
+test('injected throughput curve: samples stay bounded and the decay compares the first and last quarter', () => {
+  const injected = loadFunctions(path.join(repo, 'injected.js'), [
+    'roundMs',
+    'recordThroughputSample',
+    'interpolatePredictedMs',
+    'summarizeThroughputCurve'
+  ], { MAX_THROUGHPUT_SAMPLES: 64, THROUGHPUT_CURVE_BUCKETS: 10 });
+
+  const decaying = { throughputSamples: [], throughputSampleStride: 1 };
+  for (let n = 1; n <= 200; n++) {
+    const ms = n <= 100 ? n * 10 : 1000 + (n - 100) * 20;
+    injected.recordThroughputSample(decaying, { predicted_n: n, predicted_ms: ms });
+  }
+  assert.ok(decaying.throughputSamples.length <= 64);
+  assert.equal(decaying.throughputSamples[decaying.throughputSamples.length - 1].join(','), '200,3000');
+  const throughput = injected.summarizeThroughputCurve(decaying.throughputSamples);
+  assert.equal(throughput.q1_tps, 100);
+  assert.equal(throughput.q4_tps, 50);
+  assert.equal(throughput.decay_ratio, 0.5);
+  assert.equal(throughput.curve_tps.length, 10);
+  assert.equal(throughput.curve_tps[9], 50);
+  assert.equal(injected.summarizeThroughputCurve([[8, 80]]), null);
+});
+
+test('injected record builder: a trailing usage block is awaited and reconciled with timings', () => {
+  const injected = loadRecordBuilder();
+  const usageState = injected.createSseParseState();
+  usageState.awaitUsage = true;
+  assert.equal(injected.consumeSseText('t-u', usageState, sseChunk({ content: 'Hi' }, { choice: { finish_reason: 'stop' }, top: { timings: { prompt_n: 10, cache_n: 5, predicted_n: 2, predicted_ms: 20 } } })), false);
+  assert.equal(injected.consumeSseText('t-u', usageState, `data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [], usage: { prompt_tokens: 15, completion_tokens: 3, total_tokens: 18, completion_tokens_details: { reasoning_tokens: 0 } } })}\n\n`), true);
+  const usageRecord = injected.buildCompletionRecord('t-u', usageState, {}, {});
+  assert.equal(usageRecord.resp.finish_reason, 'stop');
+  assert.equal(usageRecord.resp.usage.prompt_tokens, 15);
+  assert.equal(usageRecord.resp.usage.reasoning_tokens, 0);
+  assert.equal(usageRecord.resp.usage_check.prompt_tokens_delta, 0);
+  assert.equal(usageRecord.resp.usage_check.completion_tokens_delta, 1);
+  assert.equal(usageRecord.resp.usage_check.mismatch, true);
+  assert.equal(usageRecord.resp.usage_check.mismatch_fields.join(','), 'completion_tokens');
+});
+
+test('injected record builder: speculative decoding acceptance rate from draft timings', () => {
+  const injected = loadRecordBuilder();
+  const draftState = injected.createSseParseState('/completion');
+  injected.consumeSseText('t-d', draftState, 'data: {"content":"ok","stop":true,"stop_type":"eos","timings":{"predicted_n":40,"predicted_ms":200,"draft_n":32,"draft_n_accepted":24}}\n\n');
+  const draftRecord = injected.buildCompletionRecord('t-d', draftState, {}, {});
+  assert.equal(draftRecord.resp.timings.draft_n, 32);
+  assert.equal(draftRecord.resp.timings.draft_n_accepted, 24);
+  assert.equal(draftRecord.resp.derived.draft_acceptance_rate, 0.75);
+});
+
+test('injected record builder: inline think tags split reasoning from the answer across chunk boundaries', () => {
+  const injected = loadRecordBuilder(['applyJsonCompletion']);
+  const tags = { open: '<think>', close: '</think>' };
+  const inlineState = injected.createSseParseState();
+  inlineState.reasoningTags = tags;
+  injected.consumeSseText('t-i', inlineState, sseChunk({ content: '<thi' }));
+  injected.consumeSseText('t-i', inlineState, sseChunk({ content: 'nk>plan' }, { top: { timings: { predicted_n: 2, predicted_ms: 20 } } }));
+  injected.consumeSseText('t-i', inlineState, sseChunk({ content: ' more</th' }, { top: { timings: { predicted_n: 4, predicted_ms: 40 } } }));
+  injected.consumeSseText('t-i', inlineState, sseChunk({ content: 'ink>Answer' }, { top: { timings: { predicted_n: 6, predicted_ms: 60 } } }));
+  injected.consumeSseText('t-i', inlineState, sseChunk({ content: '!' }, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 8, predicted_ms: 80 } } }));
+  const inlineRecord = injected.buildCompletionRecord('t-i', inlineState, {}, {});
+  assert.equal(inlineRecord.ReasoningText, 'plan more');
+  assert.equal(inlineRecord.responseText, 'Answer!');
+  assert.equal(inlineRecord.resp.derived.reasoning_detection, 'inline_tags');
+  // The boundary is the last chunk with reasoning text; 'ink>Answer' already carries answer tokens.
+  assert.equal(inlineRecord.resp.derived.reasoning_n, 4);
+  assert.equal(inlineRecord.resp.derived.content_n, 4);
+  assert.equal(inlineRecord.resp.derived.reasoning_ms, 40);
+  assert.equal(inlineRecord.resp.choices[0].reasoning_chars, 9);
+
+  const plainScan = { phase: 'detect', pending: '' };
+  assert.equal(injected.splitInlineReasoning(plainScan, '<', tags).content, '');
+  assert.equal(injected.splitInlineReasoning(plainScan, 'div>hi', tags).content, '<div>hi');
+  const untagged = injected.createSseParseState();
+  untagged.reasoningTags = tags;
+  injected.consumeSseText('t-n', untagged, sseChunk({ content: 'No </think> here' }, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 3, predicted_ms: 9 } } }));
+  const untaggedRecord = injected.buildCompletionRecord('t-n', untagged, {}, {});
+  assert.equal(untaggedRecord.responseText, 'No </think> here');
+  assert.equal(untaggedRecord.resp.derived.reasoning_detection, null);
+  assert.equal(untaggedRecord.resp.client_timing.first_reasoning_chunk_ms, null);
+
+  // Length-limited inside the tag: the held-back tail is still reasoning, and every token counts as reasoning.
+  const cutOff = injected.createSseParseState();
+  cutOff.reasoningTags = tags;
+  injected.consumeSseText('t-c', cutOff, sseChunk({ content: '<think>a</' }, { top: { timings: { predicted_n: 3, predicted_ms: 30 } } }));
+  injected.consumeSseText('t-c', cutOff, sseChunk({ content: 'thi' }, { choice: { finish_reason: 'length' }, top: { timings: { predicted_n: 5, predicted_ms: 50 } } }));
+  const cutOffRecord = injected.buildCompletionRecord('t-c', cutOff, {}, {});
+  assert.equal(cutOffRecord.ReasoningText, 'a</thi');
+  assert.equal(cutOffRecord.responseText, '');
+  assert.equal(cutOffRecord.resp.choices[0].reasoning_chars, 6);
+  assert.equal(cutOffRecord.resp.derived.reasoning_n, 5);
+  assert.equal(cutOffRecord.resp.derived.content_n, 0);
+
+  // A stream that stops on a partial open tag keeps it as answer text.
+  const partialOpen = injected.createSseParseState();
+  partialOpen.reasoningTags = tags;
+  injected.consumeSseText('t-o', partialOpen, sseChunk({ content: ' <th' }, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 1, predicted_ms: 9 } } }));
+  const partialOpenRecord = injected.buildCompletionRecord('t-o', partialOpen, {}, {});
+  assert.equal(partialOpenRecord.responseText, ' <th');
+  assert.equal(partialOpenRecord.resp.choices[0].content_chars, 4);
+
+  const inlineJson = injected.createSseParseState();
+  inlineJson.reasoningTags = tags;
+  injected.applyJsonCompletion('t-ij', inlineJson, { object: 'chat.completion', choices: [{ message: { content: '<think>why</think>Because' }, finish_reason: 'stop' }], timings: { predicted_n: 4, predicted_ms: 40 } }, 0);
+  const inlineJsonRecord = injected.buildCompletionRecord('t-ij', inlineJson, {}, {});
+  assert.equal(inlineJsonRecord.responseText, 'Because');
+  assert.equal(inlineJsonRecord.ReasoningText, 'why');
+  assert.equal(inlineJsonRecord.resp.choices[0].reasoning_detection, 'inline_tags');
+});
+
+test('injected record builder: prompt-progress events summarize server prefill', () => {
+  const injected = loadRecordBuilder();
+  const prefill = injected.createSseParseState();
+  const progressChunk = (processed) => `data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [], prompt_progress: { total: 1000, cache: 200, processed, time_ms: processed / 2 } })}\n\n`;
+  injected.consumeSseText('t-p', prefill, progressChunk(200));
+  injected.consumeSseText('t-p', prefill, progressChunk(600));
+  assert.equal(prefill.firstStreamChunkAtMs, null);
+  injected.consumeSseText('t-p', prefill, progressChunk(1000));
+  injected.consumeSseText('t-p', prefill, sseChunk({ content: 'Summary' }, { choice: { finish_reason: 'stop' }, top: { timings: { prompt_n: 800, cache_n: 200, predicted_n: 1, predicted_ms: 5 } } }));
+  assert.equal(typeof prefill.firstStreamChunkAtMs, 'number');
+  const prefillRecord = injected.buildCompletionRecord('t-p', prefill, {}, { request_start_ms: prefill.promptProgress[0][0] });
+  assert.equal(prefillRecord.resp.prompt_progress.samples_count, 3);
+  assert.equal(prefillRecord.resp.prompt_progress.total_tokens, 1000);
+  assert.equal(prefillRecord.resp.prompt_progress.cache_skipped_pct, 20);
+  assert.equal(prefillRecord.resp.prompt_progress.server_prefill_ms, 500);
+  assert.equal(prefillRecord.resp.prompt_progress.first_progress_ms, 0);
+  assert.equal(prefillRecord.resp.prompt_progress.curve.map((p) => p[1]).join(','), '0.2,0.6,1');
+});
+
+test('injected record builder: context truncation reported by the server', () => {
+  const injected = loadRecordBuilder();
+  const truncState = injected.createSseParseState('/completion');
+  injected.consumeSseText('t-tr', truncState, 'data: {"content":"x","stop":true,"stop_type":"eos","truncated":true,"tokens_evaluated":4000,"tokens_predicted":96,"generation_settings":{"n_ctx":4096},"timings":{"predicted_n":96,"predicted_ms":900}}\n\n');
+  const truncRecord = injected.buildCompletionRecord('t-tr', truncState, {}, {});
+  assert.equal(truncRecord.resp.context.truncated, true);
+  assert.equal(truncRecord.resp.context.n_ctx, 4096);
+  assert.equal(truncRecord.resp.context.context_used_pct, 100);
+  assert.equal(truncRecord.resp.guardrails.stop_reason_category, 'context_truncated');
+  assert.equal(truncRecord.resp.guardrails.context_truncated, true);
+  const verbose = injected.extractContextInfo({ choices: [], __verbose: { truncated: false, tokens_evaluated: 10, n_ctx: 100 } });
+  assert.equal(verbose.truncated, false);
+  assert.equal(verbose.context_used_pct, 10);
+});
+
+test('injected record builder: logprobs become sampling-confidence statistics', () => {
+  const injected = loadRecordBuilder();
+  const lp = (p, top) => ({ token: 'x', logprob: Math.log(p), top_logprobs: top.map((q) => ({ token: 'y', logprob: Math.log(q) })) });
+  const probStream = [
+    sseChunk({ content: 'A' }, { choice: { logprobs: { content: [lp(0.9, [0.9, 0.05])] } } }),
+    sseChunk({ content: 'B' }, { choice: { logprobs: { content: [lp(0.4, [0.4, 0.3])] } } }),
+    sseChunk({}, { choice: { finish_reason: 'stop' }, top: { timings: { predicted_n: 2, predicted_ms: 20 } } }),
+  ].join('');
+  const probState = injected.createSseParseState();
+  injected.consumeSseText('t-lp', probState, probStream);
+  const sampling = injected.buildCompletionRecord('t-lp', probState, {}, {}).resp.sampling_stats;
+  assert.equal(sampling.tokens, 2);
+  assert.equal(sampling.mean_logprob, Math.round(((Math.log(0.9) + Math.log(0.4)) / 2) * 10000) / 10000);
+  assert.equal(sampling.perplexity, Math.round(Math.exp(-(Math.log(0.9) + Math.log(0.4)) / 2) * 10000) / 10000);
+  assert.equal(sampling.low_confidence_fraction, 0.5);
+  assert.equal(sampling.mean_top_margin, 0.475);
+
+  // Older native /completion shape: chosen token looked up in `probs` by its text.
+  const native = injected.normalizeTokenProbs([{ content: 'a', probs: [{ tok_str: 'b', prob: 0.25 }, { tok_str: 'a', prob: 0.75 }] }]);
+  assert.equal(native[0].logprob, Math.log(0.75));
+  assert.equal(native[0].top.join(','), [Math.log(0.75), Math.log(0.25)].join(','));
+  const legacy = injected.extractChoiceLogprobs({ tokens: ['a'], token_logprobs: [-0.1], top_logprobs: [{ a: -0.1, b: -2.5 }] });
+  assert.equal(legacy[0].top.length, 2);
+});